@@ -0,0 +1,375 @@
+import * as THREE from 'three';
+import { downloadFile } from './download.js';
+
+// Contour export - turns the contour lines in the scene into vector drawings (SVG and DXF)
+//
+// Contours are read from the THREE.LineSegments that createContour / createContourLines
+// produce, so anything drawn in the scene can be exported as it is shown. Each contour object
+// becomes a layer with its own color, made of the polylines traced with it (userData.polylines,
+// see field/contour_polylines.js) placed where the object is in the scene. Drawings show the
+// plan seen from above: world x to the right and world z downwards, as in the default view.
+//
+// Layout:
+//   overlay - every layer drawn on top of the others (plotting, or a DXF stack with elevations)
+//   grid    - every layer in its own cell of a grid, all cells with the same frame so the
+//             parts stay registered (laser cutting a contour stack sheet by sheet)
+
+// Default values for the export options
+const DEFAULTS = {
+    units: 'mm',        // drawing units, see UNITS
+    scale: 10,          // drawing units per world unit
+    layout: 'overlay',  // 'overlay' or 'grid'
+    gap: 5,             // space between grid cells, in drawing units
+    margin: 5,          // space around the drawing, in drawing units
+    strokeWidth: 0.1    // SVG line width, in drawing units
+};
+
+// Drawing units: the SVG length suffix. R12 DXF has no units header variable, so DXF
+// files name the units in a comment and the importer is told them by hand
+const UNITS = {
+    mm: { svg: 'mm' },
+    cm: { svg: 'cm' },
+    in: { svg: 'in' },
+    px: { svg: '' }
+};
+
+export const CONTOUR_UNITS = Object.keys(UNITS);
+export const CONTOUR_LAYOUTS = ['overlay', 'grid'];
+
+
+/**
+ * Read a contour object from the scene as an export layer
+ *
+ * The traced polylines are moved to where the object sits in the world. Each keeps its
+ * closed flag and nesting (isHole, depth, parent, children, see contour_polylines.js),
+ * and its orientation: values below the threshold stay on the left in the plan.
+ * @param {THREE.LineSegments} lines - A contour made by createContour / createContourLines
+ * @param {string} name
+ * @returns {{ name: string, color: string, elevation: number, polylines: Object[] }}
+ */
+export function contourLayer(lines, name) {
+    const traced = lines.userData.polylines;
+    if (!traced) {
+        throw new Error(`Contour "${lines.name}" has no traced polylines; create it with createContourLines or trace it again with updateContourLines`);
+    }
+
+    lines.updateWorldMatrix(true, false);
+    const height = lines.userData.height ?? 0;
+    const vertex = new THREE.Vector3();
+    const e = lines.matrixWorld.elements;
+
+    // A transform that mirrors the plan would put the low side on the right
+    const mirrored = e[0] * e[10] - e[8] * e[2] < 0;
+
+    const copies = new Map();
+    for (const polyline of traced) {
+        const points = polyline.points.map(([x, y]) => {
+            vertex.set(x, height, y).applyMatrix4(lines.matrixWorld);
+            return [vertex.x, vertex.z];
+        });
+        if (mirrored) points.reverse();
+
+        copies.set(polyline, {
+            points,
+            closed: polyline.closed,
+            area: polyline.area,
+            isHole: polyline.isHole,
+            depth: polyline.depth,
+            parent: null,
+            children: []
+        });
+    }
+    for (const [polyline, copy] of copies) {
+        copy.parent = polyline.parent ? copies.get(polyline.parent) : null;
+        copy.children = polyline.children.map((child) => copies.get(child));
+    }
+
+    vertex.set(0, height, 0).applyMatrix4(lines.matrixWorld);
+
+    return {
+        name,
+        color: `#${lines.material.color.getHexString()}`,
+        elevation: vertex.y,
+        polylines: [...copies.values()]
+    };
+}
+
+/**
+ * Read several contour objects as layers, named by `names` or by their position in the list
+ *
+ * Names that would give the same SVG id or DXF layer name (see layerId) get a -2, -3, ...
+ * suffix, so every layer stays separate in the drawing.
+ */
+export function contourLayers(contours, names = []) {
+    const used = new Set();
+    return contours.map((lines, k) => {
+        const base = names[k] ?? `contour ${k + 1}`;
+        let name = base;
+        for (let n = 2; used.has(layerId(name)); n++) {
+            name = `${base}-${n}`;
+        }
+        used.add(layerId(name));
+        return contourLayer(lines, name);
+    });
+}
+
+/**
+ * Work out where each layer goes in the drawing
+ * @returns {{ width: number, height: number, place: function(number, number[]): number[] }}
+ *          Drawing size and a function mapping a layer index and world point to drawing
+ *          coordinates (y downwards)
+ */
+function layoutLayers(layers, settings) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const layer of layers) {
+        for (const polyline of layer.polylines) {
+            for (const [x, y] of polyline.points) {
+                minX = Math.min(minX, x);
+                maxX = Math.max(maxX, x);
+                minY = Math.min(minY, y);
+                maxY = Math.max(maxY, y);
+            }
+        }
+    }
+    if (minX > maxX) {
+        throw new Error('No contours to export');
+    }
+
+    const { scale, gap, margin } = settings;
+    const cellWidth = (maxX - minX) * scale;
+    const cellHeight = (maxY - minY) * scale;
+    const columns = settings.layout === 'grid' ? Math.ceil(Math.sqrt(layers.length)) : 1;
+    const rows = settings.layout === 'grid' ? Math.ceil(layers.length / columns) : 1;
+
+    return {
+        width: 2 * margin + columns * cellWidth + (columns - 1) * gap,
+        height: 2 * margin + rows * cellHeight + (rows - 1) * gap,
+        place(index, [x, y]) {
+            const cell = settings.layout === 'grid' ? index : 0;
+            const left = margin + (cell % columns) * (cellWidth + gap);
+            const top = margin + Math.floor(cell / columns) * (cellHeight + gap);
+            return [left + (x - minX) * scale, top + (y - minY) * scale];
+        }
+    };
+}
+
+/**
+ * Merge the options with DEFAULTS and check them
+ */
+function resolveOptions(options) {
+    const settings = { ...DEFAULTS, ...options };
+    if (!UNITS[settings.units]) {
+        throw new Error(`Unknown units "${settings.units}". Available: ${CONTOUR_UNITS.join(', ')}`);
+    }
+    if (!CONTOUR_LAYOUTS.includes(settings.layout)) {
+        throw new Error(`Unknown layout "${settings.layout}". Available: ${CONTOUR_LAYOUTS.join(', ')}`);
+    }
+    return settings;
+}
+
+/**
+ * Format a coordinate without trailing zeros
+ */
+function num(value) {
+    return String(Number(value.toFixed(4)));
+}
+
+/**
+ * Layer name as an identifier both SVG ids and R12 layer names accept: letters, digits, - and _
+ */
+function layerId(name) {
+    return String(name).replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+function escapeXML(text) {
+    return String(text).replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * Write layers as an SVG document, one group per layer
+ * @param {Object[]} layers - From contourLayers
+ * @param {Object} options - Overrides for DEFAULTS
+ * @returns {string}
+ */
+export function contoursToSVG(layers, options = {}) {
+    const settings = resolveOptions(options);
+    const { width, height, place } = layoutLayers(layers, settings);
+    const unit = UNITS[settings.units].svg;
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${num(width)}${unit}" height="${num(height)}${unit}" viewBox="0 0 ${num(width)} ${num(height)}">`
+    ];
+
+    layers.forEach((layer, index) => {
+        lines.push(`  <g id="${layerId(layer.name)}" fill="none" stroke="${layer.color}" stroke-width="${num(settings.strokeWidth)}">`);
+        lines.push(`    <title>${escapeXML(layer.name)}</title>`);
+        for (const polyline of layer.polylines) {
+            const d = polyline.points
+                .map((point, n) => `${n === 0 ? 'M' : 'L'}${place(index, point).map(num).join(' ')}`)
+                .join(' ');
+            lines.push(`    <path d="${d}${polyline.closed ? ' Z' : ''}"/>`);
+        }
+        lines.push('  </g>');
+    });
+
+    lines.push('</svg>', '');
+    return lines.join('\n');
+}
+
+// AutoCAD Color Index entries 1-9 and the grays 250-255; 10-249 are generated in aciColor
+const ACI_BASE = {
+    1: [255, 0, 0], 2: [255, 255, 0], 3: [0, 255, 0], 4: [0, 255, 255], 5: [0, 0, 255],
+    6: [255, 0, 255], 8: [128, 128, 128], 9: [192, 192, 192],
+    250: [51, 51, 51], 251: [80, 80, 80], 252: [105, 105, 105],
+    253: [130, 130, 130], 254: [190, 190, 190], 255: [255, 255, 255]
+};
+const ACI_LEVELS = [1, 0.65, 0.5, 0.3, 0.15];
+
+/**
+ * RGB of an ACI color: 10-249 run through 24 hues, each in five brightness levels,
+ * alternately saturated and pale
+ */
+function aciColor(index) {
+    if (ACI_BASE[index]) return ACI_BASE[index];
+
+    const hue = new THREE.Color().setHSL(Math.floor((index - 10) / 10) / 24, 1, 0.5);
+    const step = (index - 10) % 10;
+    const level = ACI_LEVELS[step >> 1];
+    const saturation = step % 2 === 0 ? 1 : 0.5;
+    return [hue.r, hue.g, hue.b].map((c) => Math.round(255 * level * (1 - saturation + saturation * c)));
+}
+
+/**
+ * Nearest ACI color to a CSS hex color; R12 has no true color. Black and white both
+ * map to 7, which CAD programs draw in the foreground color.
+ */
+function nearestACI(hex) {
+    const color = new THREE.Color(hex);
+    const rgb = [color.r, color.g, color.b].map((c) => Math.round(c * 255));
+    const distance = (other) => other.reduce((sum, c, n) => sum + (c - rgb[n]) ** 2, 0);
+
+    let best = 7;
+    let bestDistance = Math.min(distance([0, 0, 0]), distance([255, 255, 255]));
+    for (let index = 1; index <= 255; index++) {
+        if (index === 7) continue;
+        const d = distance(aciColor(index));
+        if (d < bestDistance) {
+            best = index;
+            bestDistance = d;
+        }
+    }
+    return best;
+}
+
+/**
+ * Write layers as an AutoCAD R12 DXF, one DXF layer per contour layer
+ *
+ * Y points up in DXF, so the drawing is flipped to look the same as the SVG. In the
+ * overlay layout each polyline sits at its layer's elevation (scaled like the plan).
+ * @param {Object[]} layers - From contourLayers
+ * @param {Object} options - Overrides for DEFAULTS
+ * @returns {string}
+ */
+export function contoursToDXF(layers, options = {}) {
+    const settings = resolveOptions(options);
+    const { width, height, place } = layoutLayers(layers, settings);
+    const out = [];
+    const group = (code, value) => out.push(String(code), typeof value === 'number' ? num(value) : value);
+
+    group(999, `units: ${settings.units}`);
+    group(0, 'SECTION');
+    group(2, 'HEADER');
+    group(9, '$ACADVER');
+    group(1, 'AC1009');
+    group(9, '$EXTMIN');
+    group(10, 0);
+    group(20, 0);
+    group(9, '$EXTMAX');
+    group(10, width);
+    group(20, height);
+    group(0, 'ENDSEC');
+
+    group(0, 'SECTION');
+    group(2, 'TABLES');
+    group(0, 'TABLE');
+    group(2, 'LTYPE');
+    group(70, 1);
+    group(0, 'LTYPE');
+    group(2, 'CONTINUOUS');
+    group(70, 0);
+    group(3, 'Solid line');
+    group(72, 65);
+    group(73, 0);
+    group(40, 0);
+    group(0, 'ENDTAB');
+    group(0, 'TABLE');
+    group(2, 'LAYER');
+    group(70, layers.length);
+    for (const layer of layers) {
+        group(0, 'LAYER');
+        group(2, layerId(layer.name));
+        group(70, 0);
+        group(62, nearestACI(layer.color));
+        group(6, 'CONTINUOUS');
+    }
+    group(0, 'ENDTAB');
+    group(0, 'ENDSEC');
+
+    group(0, 'SECTION');
+    group(2, 'ENTITIES');
+    layers.forEach((layer, index) => {
+        const name = layerId(layer.name);
+        const elevation = settings.layout === 'overlay' ? layer.elevation * settings.scale : 0;
+
+        for (const polyline of layer.polylines) {
+            group(0, 'POLYLINE');
+            group(8, name);
+            group(66, 1);
+            group(10, 0);
+            group(20, 0);
+            group(30, elevation);
+            group(70, polyline.closed ? 1 : 0);
+
+            for (const point of polyline.points) {
+                const [x, y] = place(index, point);
+                group(0, 'VERTEX');
+                group(8, name);
+                group(10, x);
+                group(20, height - y);
+                group(30, elevation);
+            }
+
+            group(0, 'SEQEND');
+            group(8, name);
+        }
+    });
+    group(0, 'ENDSEC');
+    group(0, 'EOF');
+
+    return out.join('\n') + '\n';
+}
+
+// Writers and file types by format name
+const FORMATS = {
+    svg: { write: contoursToSVG, mimeType: 'image/svg+xml' },
+    dxf: { write: contoursToDXF, mimeType: 'application/dxf' }
+};
+
+/**
+ * Export contour objects from the scene and offer the drawing as a download
+ * @param {THREE.LineSegments[]} contours
+ * @param {string} format - 'svg' or 'dxf'
+ * @param {string} basename - File name without extension
+ * @param {Object} options - Overrides for DEFAULTS, plus `names` for the layers
+ */
+export function downloadContours(contours, format, basename, options = {}) {
+    const writer = FORMATS[format];
+    if (!writer) {
+        throw new Error(`Unknown contour format "${format}". Available: ${Object.keys(FORMATS).join(', ')}`);
+    }
+
+    const { names, ...drawingOptions } = options;
+    const content = writer.write(contourLayers(contours, names), drawingOptions);
+    downloadFile(content, `${basename}.${format}`, writer.mimeType);
+}
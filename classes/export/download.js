@@ -0,0 +1,20 @@
+// Browser downloads for exported files
+
+/**
+ * Offer text or binary content to the user as a file download
+ * @param {string|ArrayBuffer|Blob} content
+ * @param {string} filename
+ * @param {string} mimeType
+ */
+export function downloadFile(content, filename, mimeType = 'application/octet-stream') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    // Some browsers start the download after click() returns, so the URL must outlive it
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
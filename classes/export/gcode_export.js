@@ -0,0 +1,282 @@
+import { signedArea, pointInPolygon } from '../field/contour_polylines.js';
+import { contourLayers } from './contour_export.js';
+import { downloadFile } from './download.js';
+
+// G-code toolpaths - turns a stack of contour layers into print (or plot) moves
+//
+// Every contour layer becomes one layer of the print, `layerHeight` above the one below,
+// whatever the spacing of the contours in the scene. The material is the side of the
+// contour threshold given by `material` - below it, the inside of SDF shapes, by default.
+// Contours are traced with that side on a known hand (see contour_polylines.js), so each
+// one, closed or cut open by the field's bounds, is followed with the material on its
+// left and optional extra perimeters are offset into it. Outer walls and holes come from
+// the traced nesting.
+//
+// Positions are in millimetres: the world plan (x, z) is scaled by `scale` and placed with
+// the world origin at `origin` on the bed; world z maps to -y as in the DXF export.
+// With `extrude` off no E values are written, for plotters and laser heads.
+
+// Default values for the toolpath options
+const DEFAULTS = {
+    scale: 10,              // millimetres per world unit
+    origin: [100, 100],     // bed position of the world origin, mm
+    layerHeight: 0.2,       // mm
+    feedRate: 1200,         // printing moves, mm/min
+    travelRate: 6000,       // travel moves, mm/min
+    extrusionWidth: 0.4,    // mm, also the spacing of extra perimeters
+    filamentDiameter: 1.75, // mm
+    extrude: true,          // write E values (off for plotters)
+    retract: 1,             // filament pulled back before each travel, mm
+    retractRate: 2400,      // mm/min
+    zHop: 0.4,              // lift during travel moves, mm
+    perimeters: 1,          // toolpaths per closed contour
+    inset: 0,               // distance of the first toolpath inside the contour, mm
+    material: 'below',      // side of the contour threshold that is printed: 'below' or 'above'
+    home: true              // home all axes before printing
+};
+
+// Miter joins are limited to this many times the offset distance at sharp corners
+const MITER_LIMIT = 4;
+
+/**
+ * Offset a path to its left by `distance` with mitered corners. The ends of an open path
+ * move along the normal of their one segment.
+ */
+function offsetPath(points, distance, closed) {
+    const count = points.length;
+
+    return points.map((point, k) => {
+        const prev = closed || k > 0 ? points[(k + count - 1) % count] : null;
+        const next = closed || k < count - 1 ? points[(k + 1) % count] : null;
+
+        const normal = (a, b) => {
+            const length = Math.hypot(b[0] - a[0], b[1] - a[1]) || 1;
+            return [-(b[1] - a[1]) / length, (b[0] - a[0]) / length];
+        };
+        const n1 = prev ? normal(prev, point) : normal(point, next);
+        const n2 = next ? normal(point, next) : n1;
+
+        const scale = distance / Math.max(1 + n1[0] * n2[0] + n1[1] * n2[1], 1 / MITER_LIMIT);
+        return [point[0] + (n1[0] + n2[0]) * scale, point[1] + (n1[1] + n2[1]) * scale];
+    });
+}
+
+/**
+ * Whether a perimeter offset from `polyline` stays in the material it bounds: on the
+ * material side of the polyline, inside the wall around a hole, outside the holes of a wall
+ */
+function inMaterial(points, polyline) {
+    const { isHole, parent, children } = polyline;
+
+    return points.every(([x, y]) => {
+        if (pointInPolygon(x, y, polyline.points) === isHole) return false;
+        if (isHole) return !parent || pointInPolygon(x, y, parent.points);
+        return children.every((child) => !pointInPolygon(x, y, child.points));
+    });
+}
+
+/**
+ * Toolpaths for one layer, every polyline followed with the material on its left and
+ * offset to that side for each perimeter. Perimeters of a loop stop where they no longer
+ * fit. Open polylines end on the field's bounds, where the material beyond is unknown,
+ * so they get only the first perimeter.
+ * @param {Object[]} polylines - In millimetres, oriented and nested as in layerPolylines
+ */
+function layerToolpaths(polylines, settings) {
+    const paths = [];
+
+    for (const polyline of polylines) {
+        const { points, closed } = polyline;
+        if (points.length < (closed ? 3 : 2)) continue;
+
+        const perimeters = closed ? settings.perimeters : 1;
+        for (let k = 0; k < perimeters; k++) {
+            const distance = settings.inset + k * settings.extrusionWidth;
+            if (distance === 0) {
+                paths.push({ points, closed });
+                continue;
+            }
+
+            const offset = offsetPath(points, distance, closed);
+            if (closed) {
+                // A wall's perimeter turns inside out when the wall is too thin for it
+                const flipped = (signedArea(offset) > 0) !== (signedArea(points) > 0);
+                if (flipped || !inMaterial(offset, polyline)) break;
+            }
+            paths.push({ points: offset, closed });
+        }
+    }
+
+    return paths;
+}
+
+/**
+ * A layer's polylines on the bed, in millimetres, with the material on their left
+ *
+ * Traced polylines keep the values below the threshold on their left (see
+ * contour_polylines.js). The bed's y runs against world z, which mirrors the plan, so
+ * they are reversed to keep that side on the left - unless the material is above the
+ * threshold. The nesting is carried over, holes being the loops around non-material.
+ */
+function layerPolylines(layer, toBed, material) {
+    const reverse = material === 'below';
+    const copies = new Map();
+
+    for (const polyline of layer.polylines) {
+        const points = polyline.points.map(toBed);
+        if (reverse) points.reverse();
+        copies.set(polyline, {
+            points,
+            closed: polyline.closed,
+            isHole: polyline.closed && polyline.isHole === (material === 'below'),
+            parent: null,
+            children: []
+        });
+    }
+    for (const [polyline, copy] of copies) {
+        copy.parent = polyline.parent ? copies.get(polyline.parent) : null;
+        copy.children = polyline.children.map((child) => copies.get(child));
+    }
+
+    return [...copies.values()];
+}
+
+/**
+ * Order paths to keep travel short: always continue with the nearest start point,
+ * starting closed loops at their nearest vertex and open paths at their nearer end
+ */
+function orderToolpaths(paths, from) {
+    const remaining = [...paths];
+    const ordered = [];
+    let position = from;
+    const distanceSq = (p) => (p[0] - position[0]) ** 2 + (p[1] - position[1]) ** 2;
+
+    while (remaining.length > 0) {
+        let best = null;
+
+        remaining.forEach((path, index) => {
+            const candidates = path.closed
+                ? path.points.map((point, start) => ({ start, reverse: false, point }))
+                : [
+                    { start: 0, reverse: false, point: path.points[0] },
+                    { start: 0, reverse: true, point: path.points[path.points.length - 1] }
+                ];
+
+            for (const candidate of candidates) {
+                const d = distanceSq(candidate.point);
+                if (!best || d < best.distance) best = { ...candidate, index, distance: d };
+            }
+        });
+
+        const path = remaining.splice(best.index, 1)[0];
+        let points = path.closed
+            ? [...path.points.slice(best.start), ...path.points.slice(0, best.start)]
+            : path.points;
+        if (best.reverse) points = [...points].reverse();
+        if (path.closed) points = [...points, points[0]];
+
+        ordered.push(points);
+        position = points[points.length - 1];
+    }
+
+    return ordered;
+}
+
+/**
+ * Format a G-code number with a fixed number of decimals, without trailing zeros
+ */
+function num(value, decimals = 3) {
+    return String(Number(value.toFixed(decimals)));
+}
+
+/**
+ * Write layers as G-code
+ * @param {Object[]} layers - From contourLayers, bottom layer first
+ * @param {Object} options - Overrides for DEFAULTS
+ * @returns {string}
+ */
+export function contoursToGCode(layers, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const { scale, origin, layerHeight, extrude, zHop } = settings;
+    if (!(layerHeight > 0) || !(settings.extrusionWidth > 0) || !(settings.perimeters >= 1)) {
+        throw new Error('G-code export needs layerHeight > 0, extrusionWidth > 0 and perimeters >= 1');
+    }
+    if (settings.material !== 'below' && settings.material !== 'above') {
+        throw new Error(`Unknown material side "${settings.material}". Available: below, above`);
+    }
+
+    // Filament length per millimetre of path
+    const filamentArea = Math.PI * (settings.filamentDiameter / 2) ** 2;
+    const extrusionPerMM = (settings.extrusionWidth * layerHeight) / filamentArea;
+
+    const toBed = ([x, y]) => [origin[0] + x * scale, origin[1] - y * scale];
+
+    const out = [
+        '; Contour stack toolpaths',
+        `; ${layers.length} layers, layer height ${num(layerHeight)} mm, ${num(scale)} mm per world unit`,
+        'G21 ; millimetres',
+        'G90 ; absolute positions'
+    ];
+    if (extrude) out.push('M83 ; relative extrusion');
+    if (settings.home) out.push('G28 ; home all axes');
+
+    let position = [origin[0], origin[1]];
+    let z = 0;
+    let totalLength = 0;
+
+    const retract = (sign) => {
+        if (extrude && settings.retract > 0) {
+            out.push(`G1 E${num(sign * settings.retract, 5)} F${num(settings.retractRate)}`);
+        }
+    };
+
+    layers.forEach((layer, index) => {
+        z = (index + 1) * layerHeight;
+        out.push(`; layer ${index + 1} (${layer.name}), z = ${num(z)}`);
+
+        const polylines = layerPolylines(layer, toBed, settings.material);
+
+        for (const points of orderToolpaths(layerToolpaths(polylines, settings), position)) {
+            // Travel: retract, lift, move, lower, prime
+            retract(-1);
+            out.push(`G1 Z${num(z + zHop)} F${num(settings.travelRate)}`);
+            out.push(`G0 X${num(points[0][0])} Y${num(points[0][1])} F${num(settings.travelRate)}`);
+            out.push(`G1 Z${num(z)} F${num(settings.travelRate)}`);
+            retract(1);
+
+            // Print along the path
+            out.push(`G1 F${num(settings.feedRate)}`);
+            for (let k = 1; k < points.length; k++) {
+                const length = Math.hypot(points[k][0] - points[k - 1][0], points[k][1] - points[k - 1][1]);
+                if (length < 1e-4) continue;
+
+                const move = `G1 X${num(points[k][0])} Y${num(points[k][1])}`;
+                out.push(extrude ? `${move} E${num(length * extrusionPerMM, 5)}` : move);
+                totalLength += length;
+            }
+            position = points[points.length - 1];
+        }
+    });
+
+    retract(-1);
+    out.push(`G1 Z${num(z + Math.max(zHop, 5))} F${num(settings.travelRate)} ; clear the part`);
+    out.push(`; path length ${num(totalLength / 1000, 2)} m${extrude ? `, filament ${num(totalLength * extrusionPerMM / 1000, 2)} m` : ''}`);
+
+    return out.join('\n') + '\n';
+}
+
+/**
+ * Export a stack of contour objects from the scene as G-code and offer it as a download
+ * @param {THREE.LineSegments[]} contours - Bottom layer first
+ * @param {string} basename - File name without extension
+ * @param {Object} options - Overrides for DEFAULTS, plus `names` for the layers
+ */
+export function downloadGCode(contours, basename, options = {}) {
+    const { names, ...toolpathOptions } = options;
+    if (contours.length === 0) {
+        throw new Error('No contours to export');
+    }
+
+    const content = contoursToGCode(contourLayers(contours, names), toolpathOptions);
+    downloadFile(content, `${basename}.gcode`, 'text/x-gcode');
+}
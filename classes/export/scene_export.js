@@ -0,0 +1,165 @@
+import * as THREE from 'three';
+import { STLExporter } from 'three/examples/jsm/exporters/STLExporter.js';
+import { OBJExporter } from 'three/examples/jsm/exporters/OBJExporter.js';
+import { PLYExporter } from 'three/examples/jsm/exporters/PLYExporter.js';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { downloadFile } from './download.js';
+
+// Scene export - writes scene objects to mesh and point cloud files with three's exporters
+//
+// What each format keeps:
+//   stl  - triangle meshes only (binary or ASCII)
+//   obj  - meshes, lines and points, with point colors
+//   ply  - meshes and point clouds with per-vertex colors (binary or ASCII); faces are
+//          dropped when points are exported together with meshes
+//   gltf - everything including materials; binary writes a single .glb file
+// Coordinates are world coordinates, in world units.
+
+export const SCENE_FORMATS = ['stl', 'obj', 'ply', 'gltf'];
+
+/**
+ * Check whether an object has anything a format can write
+ */
+function hasGeometry(object) {
+    let found = false;
+    object.traverse((child) => {
+        if (child.isMesh || child.isPoints || child.isLine) found = true;
+    });
+    return found;
+}
+
+/**
+ * Visible top-level objects of the scene that hold meshes, points or lines,
+ * labelled by name (or type and number) for a selection menu
+ * @returns {{ label: string, object: THREE.Object3D }[]}
+ */
+export function listExportableObjects(scene) {
+    const counts = {};
+    const targets = [];
+
+    for (const object of scene.children) {
+        if (!object.visible || !hasGeometry(object)) continue;
+
+        counts[object.type] = (counts[object.type] ?? 0) + 1;
+        let label = object.name || `${object.type} ${counts[object.type]}`;
+        if (targets.some((target) => target.label === label)) label += ` (${object.id})`;
+        targets.push({ label, object });
+    }
+
+    return targets;
+}
+
+/**
+ * The geometry, or a copy with its vertex colors clamped to [0, 1]; field point clouds
+ * store magnitudes above 1 in their colors, which the 8-bit PLY colors would wrap around
+ */
+function clampedColors(geometry) {
+    const colors = geometry.getAttribute('color');
+    if (!colors || colors.array.every((c) => c >= 0 && c <= 1)) return geometry;
+
+    const copy = geometry.clone();
+    const array = copy.getAttribute('color').array;
+    for (let n = 0; n < array.length; n++) {
+        array[n] = Math.min(Math.max(array[n], 0), 1);
+    }
+    return copy;
+}
+
+/**
+ * Copies of the objects under one group, ready for the exporters; the scene is left as it is.
+ * The copies share geometry and materials with the originals except for clamped colors.
+ * @returns {{ root: THREE.Group, dispose: function }}
+ */
+function prepareObjects(objects) {
+    const root = new THREE.Group();
+    const copies = [];
+
+    for (const object of objects) {
+        object.updateWorldMatrix(true, true);
+
+        const copy = object.clone();
+        copy.traverse((child) => {
+            if (!child.geometry) return;
+            const geometry = clampedColors(child.geometry);
+            if (geometry !== child.geometry) {
+                child.geometry = geometry;
+                copies.push(geometry);
+            }
+        });
+        root.add(copy);
+    }
+
+    return {
+        root,
+        dispose: () => copies.forEach((geometry) => geometry.dispose())
+    };
+}
+
+/**
+ * Write objects to a file format
+ * @param {THREE.Object3D[]} objects
+ * @param {string} format - One of SCENE_FORMATS
+ * @param {Object} options
+ * @param {boolean} options.binary - Binary STL / PLY, or .glb instead of .gltf
+ * @returns {Promise<{ content: string|ArrayBuffer, extension: string, mimeType: string }>}
+ */
+export async function exportObjects(objects, format, { binary = true } = {}) {
+    if (!SCENE_FORMATS.includes(format)) {
+        throw new Error(`Unknown scene format "${format}". Available: ${SCENE_FORMATS.join(', ')}`);
+    }
+    if (objects.length === 0) {
+        throw new Error('No objects to export');
+    }
+
+    const { root, dispose } = prepareObjects(objects);
+
+    try {
+        switch (format) {
+            case 'stl': {
+                let meshes = 0;
+                root.traverse((child) => {
+                    if (child.isMesh) meshes++;
+                });
+                if (meshes === 0) {
+                    throw new Error('STL holds triangle meshes only; none of the objects has one');
+                }
+
+                const content = new STLExporter().parse(root, { binary });
+                return {
+                    content: binary ? content.buffer : content,
+                    extension: 'stl',
+                    mimeType: binary ? 'model/stl' : 'text/plain'
+                };
+            }
+            case 'obj':
+                return { content: new OBJExporter().parse(root), extension: 'obj', mimeType: 'text/plain' };
+            case 'ply': {
+                const content = new PLYExporter().parse(root, null, { binary, littleEndian: true });
+                if (!content) {
+                    throw new Error('PLY export failed, see the console');
+                }
+                return { content, extension: 'ply', mimeType: binary ? 'application/octet-stream' : 'text/plain' };
+            }
+            default: {
+                const content = await new GLTFExporter().parseAsync(root, { binary });
+                return binary
+                    ? { content, extension: 'glb', mimeType: 'model/gltf-binary' }
+                    : { content: JSON.stringify(content), extension: 'gltf', mimeType: 'model/gltf+json' };
+            }
+        }
+    } finally {
+        dispose();
+    }
+}
+
+/**
+ * Export objects and offer the file as a download
+ * @param {THREE.Object3D[]} objects
+ * @param {string} format - One of SCENE_FORMATS
+ * @param {string} basename - File name without extension
+ * @param {Object} options - See exportObjects
+ */
+export async function downloadObjects(objects, format, basename, options = {}) {
+    const { content, extension, mimeType } = await exportObjects(objects, format, options);
+    downloadFile(content, `${basename}.${extension}`, mimeType);
+}
@@ -0,0 +1,264 @@
+import * as THREE from 'three';
+import { forEachContourSegment } from './marching_squares.js';
+
+// Contour polylines - marching squares segments stitched into ordered lines
+//
+// Points are [x, y] in field coordinates (world x, world z). Every polyline is oriented
+// so values below the threshold lie on its left: closed outer boundaries of a "low"
+// region (the inside of an SDF shape) run counter-clockwise and holes run clockwise.
+//
+// A polyline is { points, closed, length, area, isHole, parent, children, depth }:
+//   area     - enclosed area of a closed polyline (0 for open ones)
+//   isHole   - closed and running clockwise, i.e. it encloses values above the threshold
+//   parent   - the closest closed polyline enclosing this one, or null
+//   children - the closed polylines whose parent this is
+//   depth    - number of enclosing polylines
+// Open polylines end on the field border and take no part in the nesting.
+//
+// createContourLines draws the traced polylines as the scene's contour objects and keeps
+// them in userData.polylines, so exporters (classes/export/) work from these ordered,
+// oriented lines rather than re-stitching segments.
+
+const EPSILON = 1e-9;
+
+function samePoint(a, b) {
+    return Math.abs(a[0] - b[0]) < EPSILON && Math.abs(a[1] - b[1]) < EPSILON;
+}
+
+/**
+ * Signed area of a closed point loop, positive when counter-clockwise
+ */
+export function signedArea(points) {
+    let sum = 0;
+    for (let k = 0, prev = points.length - 1; k < points.length; prev = k++) {
+        sum += points[prev][0] * points[k][1] - points[k][0] * points[prev][1];
+    }
+    return sum / 2;
+}
+
+/**
+ * Length of a polyline, including the closing segment when closed
+ */
+export function polylineLength(points, closed) {
+    let length = 0;
+    for (let k = 1; k < points.length; k++) {
+        length += Math.hypot(points[k][0] - points[k - 1][0], points[k][1] - points[k - 1][1]);
+    }
+    if (closed && points.length > 2) {
+        const first = points[0];
+        const last = points[points.length - 1];
+        length += Math.hypot(first[0] - last[0], first[1] - last[1]);
+    }
+    return length;
+}
+
+/**
+ * Even-odd point in polygon test
+ */
+export function pointInPolygon(x, y, points) {
+    let inside = false;
+    for (let k = 0, prev = points.length - 1; k < points.length; prev = k++) {
+        const [xi, yi] = points[k];
+        const [xj, yj] = points[prev];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Drop repeated points, which appear where the field equals the threshold at a grid point
+function removeDuplicates(points, closed) {
+    const result = [];
+    for (const point of points) {
+        if (result.length === 0 || !samePoint(point, result[result.length - 1])) {
+            result.push(point);
+        }
+    }
+    if (closed && result.length > 1 && samePoint(result[0], result[result.length - 1])) {
+        result.pop();
+    }
+    return result;
+}
+
+// Link every closed polyline to the smallest closed polyline around it
+function buildHierarchy(polylines) {
+    const loops = polylines
+        .filter((polyline) => polyline.closed)
+        .sort((a, b) => a.area - b.area);
+
+    for (let k = 0; k < loops.length; k++) {
+        const loop = loops[k];
+        const [x, y] = loop.points[0];
+
+        for (let m = k + 1; m < loops.length; m++) {
+            if (pointInPolygon(x, y, loops[m].points)) {
+                loop.parent = loops[m];
+                loops[m].children.push(loop);
+                break;
+            }
+        }
+    }
+
+    // Parents are larger, so walking from the largest loop sets each depth after its parent's
+    for (let k = loops.length - 1; k >= 0; k--) {
+        const loop = loops[k];
+        loop.depth = loop.parent ? loop.parent.depth + 1 : 0;
+    }
+}
+
+/**
+ * Trace the contour of a field at a threshold as ordered polylines
+ * @param {ScalarField2D} field
+ * @param {number} threshold - Iso value
+ * @returns {Object[]} Polylines as described at the top of this file
+ */
+export function traceContours(field, threshold = 0) {
+    // Every contour point sits on a cell edge and joins at most two segments
+    const positions = new Map();
+    const neighbors = new Map();
+    const segments = [];
+
+    const link = (from, to) => {
+        const list = neighbors.get(from);
+        if (list) list.push(to);
+        else neighbors.set(from, [to]);
+    };
+
+    forEachContourSegment(field, threshold, (ax, ay, bx, by, keyA, keyB, lowOnLeft) => {
+        positions.set(keyA, [ax, ay]);
+        positions.set(keyB, [bx, by]);
+        link(keyA, keyB);
+        link(keyB, keyA);
+        segments.push(lowOnLeft ? `${keyA}>${keyB}` : `${keyB}>${keyA}`);
+    });
+
+    const orientation = new Set(segments);
+    const visited = new Set();
+    const polylines = [];
+
+    const walk = (start) => {
+        const keys = [start];
+        visited.add(start);
+        let previous = null;
+        let current = start;
+
+        while (true) {
+            const next = neighbors.get(current).find((key) => key !== previous && !visited.has(key));
+            if (next === undefined) break;
+            keys.push(next);
+            visited.add(next);
+            previous = current;
+            current = next;
+        }
+
+        const closed = keys.length > 2 && neighbors.get(current).includes(start);
+
+        // Orient by majority vote of the segments' own directions
+        let votes = 0;
+        const count = closed ? keys.length : keys.length - 1;
+        for (let k = 0; k < count; k++) {
+            const a = keys[k];
+            const b = keys[(k + 1) % keys.length];
+            if (orientation.has(`${a}>${b}`)) votes++;
+            else if (orientation.has(`${b}>${a}`)) votes--;
+        }
+        if (votes < 0) keys.reverse();
+
+        const points = removeDuplicates(keys.map((key) => positions.get(key)), closed);
+        if (points.length < 2) return;
+
+        const area = closed ? signedArea(points) : 0;
+        polylines.push({
+            points,
+            closed,
+            length: polylineLength(points, closed),
+            area: Math.abs(area),
+            isHole: closed && area < 0,
+            parent: null,
+            children: [],
+            depth: 0
+        });
+    };
+
+    // Open polylines start at a point with a single neighbor, everything left is a loop
+    for (const [key, list] of neighbors) {
+        if (list.length === 1 && !visited.has(key)) walk(key);
+    }
+    for (const key of neighbors.keys()) {
+        if (!visited.has(key)) walk(key);
+    }
+
+    buildHierarchy(polylines);
+    return polylines;
+}
+
+/**
+ * Segment end points of polylines, laid out like marchingSquares' output:
+ * [x, y, z, x, y, z, ...] in world coordinates at world y `height`
+ */
+export function polylineSegments(polylines, height = 0) {
+    const vertices = [];
+    for (const { points, closed } of polylines) {
+        const count = closed ? points.length : points.length - 1;
+        for (let k = 0; k < count; k++) {
+            const [ax, ay] = points[k];
+            const [bx, by] = points[(k + 1) % points.length];
+            vertices.push(ax, height, ay, bx, height, by);
+        }
+    }
+    return vertices;
+}
+
+/**
+ * Create a LineSegments object showing the contour of a field at a threshold. The
+ * threshold, height and traced polylines are kept in userData, e.g. for exporting.
+ */
+export function createContourLines(field, threshold = 0, color = 0x000000, height = 0) {
+    const material = new THREE.LineBasicMaterial({ color: color, linewidth: 2 });
+    const lines = new THREE.LineSegments(new THREE.BufferGeometry(), material);
+    updateContourLines(lines, field, threshold, height);
+    return lines;
+}
+
+/**
+ * Trace the contour again for the current field values, replacing the geometry
+ * @param {THREE.LineSegments} lines - Made by createContourLines
+ */
+export function updateContourLines(lines, field, threshold = lines.userData.threshold, height = lines.userData.height) {
+    const polylines = traceContours(field, threshold);
+
+    lines.geometry.dispose();
+    lines.geometry = new THREE.BufferGeometry();
+    lines.geometry.setAttribute('position', new THREE.Float32BufferAttribute(polylineSegments(polylines, height), 3));
+    lines.name = `contour ${Number(threshold.toFixed(3))}`;
+    lines.userData.threshold = threshold;
+    lines.userData.height = height;
+
+    // Not enumerable: the polylines link to each other (parent, children), and
+    // Object3D.copy and the glTF exporter copy userData through JSON
+    Object.defineProperty(lines.userData, 'polylines', { value: polylines, writable: true, configurable: true });
+}
+
+/**
+ * Create a group with one Line (open) or LineLoop (closed) per polyline
+ */
+export function createPolylineLines(polylines, color = 0x000000, height = 0) {
+    const group = new THREE.Group();
+    const material = new THREE.LineBasicMaterial({ color: color, linewidth: 2 });
+
+    for (const polyline of polylines) {
+        const vertices = [];
+        for (const [x, y] of polyline.points) {
+            vertices.push(x, height, y);
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+        group.add(polyline.closed
+            ? new THREE.LineLoop(geometry, material)
+            : new THREE.Line(geometry, material));
+    }
+
+    return group;
+}
@@ -0,0 +1,391 @@
+import { ScalarField2D } from './scalar_field_2d.js';
+
+// Field import - scalar fields from outside data: images, binary masks, CSV and raw Float32 files
+//
+// Every loader returns a source grid { width, height, values } with values in image order:
+// values[row * width + column], row 0 at the top. resampleGrid / gridToField stretch a grid
+// over a field's bounds (column -> x, row -> y, corner pixels on the corner grid points), so
+// an image keeps its orientation when the field is seen from above.
+
+// Squared distance standing in for "infinitely far" in the distance transform; Infinity
+// itself would give Infinity - Infinity = NaN in the parabola intersections
+const FAR = 1e20;
+
+export const RESAMPLE_FILTERS = ['bilinear', 'nearest', 'area'];
+export const IMAGE_CHANNELS = ['luminance', 'red', 'green', 'blue', 'alpha'];
+
+// File extensions readFieldFile understands, by loader
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'webp', 'gif', 'bmp'];
+const CSV_EXTENSIONS = ['csv', 'tsv', 'txt'];
+const RAW_EXTENSIONS = ['f32', 'raw', 'bin'];
+
+export const FIELD_FILE_ACCEPT = [...IMAGE_EXTENSIONS, ...CSV_EXTENSIONS, ...RAW_EXTENSIONS]
+    .map((extension) => `.${extension}`)
+    .join(',');
+
+// Loaders
+
+/**
+ * Load an image from a URL, File or Blob
+ * @returns {Promise<ImageBitmap>}
+ */
+export async function loadImage(source) {
+    const blob = typeof source === 'string' ? await (await fetch(source)).blob() : source;
+    return createImageBitmap(blob);
+}
+
+/**
+ * Read one channel of an image as values in [0, 1]; luminance uses the Rec. 709 weights
+ * @param {CanvasImageSource} image - An ImageBitmap, <img>, <canvas> or similar
+ * @param {Object} options
+ * @param {string} options.channel - One of IMAGE_CHANNELS
+ */
+export function imageToGrid(image, { channel = 'luminance' } = {}) {
+    if (!IMAGE_CHANNELS.includes(channel)) {
+        throw new Error(`Unknown image channel "${channel}". Available: ${IMAGE_CHANNELS.join(', ')}`);
+    }
+
+    const width = image.width;
+    const height = image.height;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(image, 0, 0);
+    const pixels = context.getImageData(0, 0, width, height).data;
+
+    const values = new Float32Array(width * height);
+    for (let n = 0; n < values.length; n++) {
+        const r = pixels[n * 4], g = pixels[n * 4 + 1], b = pixels[n * 4 + 2], a = pixels[n * 4 + 3];
+        switch (channel) {
+            case 'red': values[n] = r / 255; break;
+            case 'green': values[n] = g / 255; break;
+            case 'blue': values[n] = b / 255; break;
+            case 'alpha': values[n] = a / 255; break;
+            default: values[n] = (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+        }
+    }
+
+    return { width, height, values };
+}
+
+/**
+ * Parse CSV text: one grid row per line, separated by commas, semicolons, tabs or spaces.
+ * A first line that is not numeric is taken as a header and skipped. A delimiter at the
+ * end of a line is ignored; empty or non-numeric cells anywhere else are an error.
+ */
+export function parseCSV(text) {
+    const rows = text
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line.length > 0)
+        .map((line) => {
+            const cells = line.split(/\s*[,;\t]\s*|\s+/);
+            if (cells.length > 1 && cells[cells.length - 1] === '') cells.pop();
+            return cells;
+        });
+
+    const isNumber = (cell) => cell !== '' && Number.isFinite(Number(cell));
+    if (rows.length > 0 && rows[0].some((cell) => cell !== '' && !isNumber(cell))) rows.shift();
+    if (rows.length === 0) {
+        throw new Error('CSV holds no numeric rows');
+    }
+
+    const width = rows[0].length;
+    const values = new Float32Array(width * rows.length);
+    rows.forEach((row, index) => {
+        if (row.length !== width) {
+            throw new Error(`CSV row ${index + 1} has ${row.length} values, expected ${width}`);
+        }
+        row.forEach((cell, column) => {
+            if (!isNumber(cell)) {
+                throw new Error(`CSV row ${index + 1}, column ${column + 1}: "${cell}" is not a number`);
+            }
+            values[index * width + column] = Number(cell);
+        });
+    });
+
+    return { width, height: rows.length, values };
+}
+
+/**
+ * Read raw 32-bit floats, row by row; without a width the grid is taken to be square
+ * @param {ArrayBuffer} buffer
+ * @param {Object} options
+ * @param {number} options.width - Values per row
+ * @param {number} options.height - Rows, by default all the buffer holds
+ * @param {boolean} options.littleEndian
+ */
+export function parseFloat32(buffer, { width = 0, height = 0, littleEndian = true } = {}) {
+    const count = Math.floor(buffer.byteLength / 4);
+    const columns = width || Math.round(Math.sqrt(count));
+    const rows = height || Math.floor(count / columns);
+
+    if (columns * rows !== count) {
+        throw new Error(`Raw file holds ${count} floats, which is not ${columns} x ${rows}`);
+    }
+
+    const view = new DataView(buffer);
+    const values = new Float32Array(count);
+    for (let n = 0; n < count; n++) {
+        values[n] = view.getFloat32(n * 4, littleEndian);
+    }
+
+    return { width: columns, height: rows, values };
+}
+
+/**
+ * Read a file picked by the user, choosing the loader by its extension
+ * @param {File} file
+ * @param {Object} options - channel for images, width / height / littleEndian for raw files
+ * @returns {Promise<{ width: number, height: number, values: Float32Array }>}
+ */
+export async function readFieldFile(file, options = {}) {
+    const extension = file.name.split('.').pop().toLowerCase();
+
+    if (IMAGE_EXTENSIONS.includes(extension)) {
+        return imageToGrid(await loadImage(file), options);
+    }
+    if (CSV_EXTENSIONS.includes(extension)) {
+        return parseCSV(await file.text());
+    }
+    if (RAW_EXTENSIONS.includes(extension)) {
+        return parseFloat32(await file.arrayBuffer(), options);
+    }
+    throw new Error(`Unsupported field file "${file.name}". Supported: ${FIELD_FILE_ACCEPT}`);
+}
+
+/**
+ * Ask the user for a file
+ * @param {string} accept - File input accept list, e.g. FIELD_FILE_ACCEPT
+ * @returns {Promise<File>}
+ */
+export function chooseFile(accept = FIELD_FILE_ACCEPT) {
+    return new Promise((resolve) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        input.addEventListener('change', () => {
+            if (input.files[0]) resolve(input.files[0]);
+        });
+        input.click();
+    });
+}
+
+// Masks and distance transform
+
+/**
+ * 1D squared distance transform of f (Felzenszwalb & Huttenlocher) with samples `spacing` apart.
+ * Reads f[offset + n * stride] and writes the result back in place.
+ */
+function distanceTransform1D(f, offset, stride, n, spacing, buffers) {
+    const { input, parabolas, bounds } = buffers;
+    for (let q = 0; q < n; q++) input[q] = f[offset + q * stride];
+
+    // Lower envelope of the parabolas rooted at each sample
+    const intersection = (q, v) => {
+        const xq = q * spacing;
+        const xv = v * spacing;
+        return ((input[q] + xq * xq) - (input[v] + xv * xv)) / (2 * (xq - xv));
+    };
+
+    let k = 0;
+    parabolas[0] = 0;
+    bounds[0] = -Infinity;
+    bounds[1] = Infinity;
+
+    for (let q = 1; q < n; q++) {
+        let s = intersection(q, parabolas[k]);
+        while (s <= bounds[k]) {
+            k--;
+            s = intersection(q, parabolas[k]);
+        }
+        k++;
+        parabolas[k] = q;
+        bounds[k] = s;
+        bounds[k + 1] = Infinity;
+    }
+
+    k = 0;
+    for (let q = 0; q < n; q++) {
+        const x = q * spacing;
+        while (bounds[k + 1] < x) k++;
+        const dx = x - parabolas[k] * spacing;
+        f[offset + q * stride] = dx * dx + input[parabolas[k]];
+    }
+}
+
+/**
+ * Exact squared Euclidean distance from every pixel to the nearest pixel where `seed` is set
+ */
+function squaredDistances(seed, width, height, spacingX, spacingY) {
+    const f = new Float64Array(width * height);
+    for (let n = 0; n < f.length; n++) f[n] = seed[n] ? 0 : FAR;
+
+    const size = Math.max(width, height);
+    const buffers = {
+        input: new Float64Array(size),
+        parabolas: new Int32Array(size),
+        bounds: new Float64Array(size + 1)
+    };
+
+    // Columns (along y), then rows (along x)
+    for (let column = 0; column < width; column++) {
+        distanceTransform1D(f, column, width, height, spacingY, buffers);
+    }
+    for (let row = 0; row < height; row++) {
+        distanceTransform1D(f, row * width, 1, width, spacingX, buffers);
+    }
+    return f;
+}
+
+/**
+ * Turn a grid into a binary mask: a pixel is inside when its value is above `threshold`
+ * (below it with `invert`, e.g. dark shapes on a light background)
+ * @returns {Uint8Array}
+ */
+export function gridToMask(grid, { threshold = 0.5, invert = false } = {}) {
+    const mask = new Uint8Array(grid.width * grid.height);
+    for (let n = 0; n < mask.length; n++) {
+        mask[n] = (grid.values[n] > threshold) !== invert ? 1 : 0;
+    }
+    return mask;
+}
+
+/**
+ * Signed distance field of a binary mask with an exact Euclidean distance transform:
+ * negative inside, positive outside, measured between pixel centers in units of `spacing`.
+ * Inside and outside neighbours get -spacing and +spacing, so the zero level runs halfway
+ * between them. An empty mask is Infinity everywhere, a full one -Infinity.
+ * @param {Uint8Array} mask - 1 inside, width * height values in image order
+ * @param {number} width
+ * @param {number} height
+ * @param {number[]} spacing - World size of a pixel along x and y
+ * @returns {{ width: number, height: number, values: Float32Array }}
+ */
+export function maskToSDF(mask, width, height, spacing = [1, 1]) {
+    const outside = mask.map((inside) => 1 - inside);
+    const toInside = squaredDistances(mask, width, height, spacing[0], spacing[1]);
+    const toOutside = squaredDistances(outside, width, height, spacing[0], spacing[1]);
+
+    const values = new Float32Array(width * height);
+    for (let n = 0; n < values.length; n++) {
+        if (mask[n]) {
+            values[n] = toOutside[n] >= FAR ? -Infinity : -Math.sqrt(toOutside[n]);
+        } else {
+            values[n] = toInside[n] >= FAR ? Infinity : Math.sqrt(toInside[n]);
+        }
+    }
+
+    return { width, height, values };
+}
+
+// Resampling
+
+/**
+ * Value of a grid at fractional pixel position (u, v), clamped to the grid
+ */
+function sampleGrid(grid, u, v, filter) {
+    const { width, height, values } = grid;
+    const cu = Math.min(Math.max(u, 0), width - 1);
+    const cv = Math.min(Math.max(v, 0), height - 1);
+
+    if (filter === 'nearest' || width < 2 || height < 2) {
+        return values[Math.round(cv) * width + Math.round(cu)];
+    }
+
+    const u0 = Math.min(Math.floor(cu), width - 2);
+    const v0 = Math.min(Math.floor(cv), height - 2);
+    const tu = cu - u0;
+    const tv = cv - v0;
+    const at = (c, r) => values[r * width + c];
+
+    // Exact at pixel centers, so infinite values next to finite ones don't spread NaN
+    const lerp = (a, b, t) => (t === 0 ? a : t === 1 ? b : a + (b - a) * t);
+    return lerp(lerp(at(u0, v0), at(u0 + 1, v0), tu), lerp(at(u0, v0 + 1), at(u0 + 1, v0 + 1), tu), tv);
+}
+
+/**
+ * Average of the pixels within the footprint of a grid point (for shrinking a grid)
+ */
+function averageGrid(grid, u, v, radiusU, radiusV) {
+    const { width, height, values } = grid;
+    const c0 = Math.max(Math.ceil(u - radiusU), 0), c1 = Math.min(Math.floor(u + radiusU), width - 1);
+    const r0 = Math.max(Math.ceil(v - radiusV), 0), r1 = Math.min(Math.floor(v + radiusV), height - 1);
+
+    let sum = 0;
+    let count = 0;
+    for (let r = r0; r <= r1; r++) {
+        for (let c = c0; c <= c1; c++) {
+            sum += values[r * width + c];
+            count++;
+        }
+    }
+    return count > 0 ? sum / count : sampleGrid(grid, u, v, 'bilinear');
+}
+
+/**
+ * Resample a grid to a field resolution, in the field's data layout (index i * resolutionY + j)
+ * @param {Object} grid - { width, height, values } from one of the loaders
+ * @param {number} resolutionX
+ * @param {number} resolutionY
+ * @param {Object} options
+ * @param {string} options.filter - One of RESAMPLE_FILTERS; 'area' averages the pixels a
+ *                                  grid point covers, for grids larger than the field
+ * @returns {Float32Array}
+ */
+export function resampleGrid(grid, resolutionX, resolutionY, { filter = 'bilinear' } = {}) {
+    if (!RESAMPLE_FILTERS.includes(filter)) {
+        throw new Error(`Unknown filter "${filter}". Available: ${RESAMPLE_FILTERS.join(', ')}`);
+    }
+
+    const scaleU = (grid.width - 1) / Math.max(resolutionX - 1, 1);
+    const scaleV = (grid.height - 1) / Math.max(resolutionY - 1, 1);
+    const values = new Float32Array(resolutionX * resolutionY);
+
+    for (let i = 0; i < resolutionX; i++) {
+        for (let j = 0; j < resolutionY; j++) {
+            const u = i * scaleU;
+            const v = j * scaleV;
+            values[i * resolutionY + j] = filter === 'area' && (scaleU > 1 || scaleV > 1)
+                ? averageGrid(grid, u, v, scaleU / 2, scaleV / 2)
+                : sampleGrid(grid, u, v, filter);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Fill a field with a grid stretched over its bounds, or create a field holding the grid
+ * at its own resolution over `bounds`
+ * @param {Object} grid - { width, height, values }
+ * @param {ScalarField2D|Object} target - Field to fill, or bounds for a new one
+ * @param {Object} options - See resampleGrid
+ * @returns {ScalarField2D}
+ */
+export function gridToField(grid, target, options = {}) {
+    const field = target instanceof ScalarField2D
+        ? target
+        : new ScalarField2D(grid.width, grid.height, target);
+    return field.copyFrom(resampleGrid(grid, field.resolutionX, field.resolutionY, options));
+}
+
+/**
+ * Signed distance field of a mask grid, in the world units of the field it is stretched over:
+ * the distance transform runs at the grid's own resolution, then is resampled into the field
+ * @param {Object} grid - { width, height, values } from one of the loaders
+ * @param {ScalarField2D} field - e.g. an SDFGrid
+ * @param {Object} options - threshold / invert as in gridToMask, filter as in resampleGrid
+ * @returns {ScalarField2D}
+ */
+export function maskToField(grid, field, { threshold = 0.5, invert = false, filter = 'bilinear' } = {}) {
+    const { minX, maxX, minY, maxY } = field.bounds;
+    const spacing = [
+        (maxX - minX) / Math.max(grid.width - 1, 1),
+        (maxY - minY) / Math.max(grid.height - 1, 1)
+    ];
+
+    const mask = gridToMask(grid, { threshold, invert });
+    return gridToField(maskToSDF(mask, grid.width, grid.height, spacing), field, { filter });
+}
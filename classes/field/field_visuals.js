@@ -0,0 +1,63 @@
+import * as THREE from 'three';
+
+// Point-cloud visualization shared by all scalar field sketches
+// Fields lie on the ground plane: field x -> world x, field y -> world z.
+
+/**
+ * Write the color for a field value: red for positive, blue for negative
+ */
+export function writeFieldColor(colors, offset, value) {
+    if (value > 0) {
+        colors[offset] = value;       // R
+        colors[offset + 1] = 0;       // G
+        colors[offset + 2] = 0;       // B
+    } else {
+        colors[offset] = 0;           // R
+        colors[offset + 1] = 0;       // G
+        colors[offset + 2] = -value;  // B
+    }
+}
+
+/**
+ * Create a point cloud with one colored point per grid point
+ * @param {ScalarField2D} field
+ * @param {THREE.PointsMaterial} material - Should have vertexColors enabled
+ * @param {number} height - World y of the points
+ */
+export function createFieldPoints(field, material, height = 0) {
+    const count = field.resolutionX * field.resolutionY;
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+
+    for (let i = 0; i < field.resolutionX; i++) {
+        for (let j = 0; j < field.resolutionY; j++) {
+            const index = field.index(i, j);
+            positions[index * 3] = field.xAt(i);
+            positions[index * 3 + 1] = height;
+            positions[index * 3 + 2] = field.yAt(j);
+            writeFieldColor(colors, index * 3, field.data[index]);
+        }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+    const points = new THREE.Points(geometry, material);
+    points.name = 'field points';
+    return points;
+}
+
+/**
+ * Recolor a point cloud made by createFieldPoints after the field changed
+ */
+export function updateFieldPoints(points, field) {
+    const colorAttribute = points.geometry.attributes.color;
+    const colors = colorAttribute.array;
+
+    for (let index = 0; index < field.data.length; index++) {
+        writeFieldColor(colors, index * 3, field.data[index]);
+    }
+
+    colorAttribute.needsUpdate = true;
+}
@@ -0,0 +1,148 @@
+// Marching squares contour extraction shared by all scalar field sketches
+//
+// Cell corners are numbered counter-clockwise from grid point (i, j):
+//   v0 = (i, j), v1 = (i+1, j), v2 = (i+1, j+1), v3 = (i, j+1)
+// and cell edges as:
+//   e0 = v0-v3, e1 = v0-v1, e2 = v1-v2, e3 = v2-v3
+
+// Edge pairs to connect for each corner configuration (bit k set when vk > threshold).
+// The saddle cases 5 and 10 are ambiguous and resolved per cell by saddleCase().
+const CASES = [
+    [], [[0,1]], [[1,2]], [[0,2]], [[2,3]], null,
+    [[1,3]], [[0,3]], [[0,3]], [[1,3]], null,
+    [[2,3]], [[0,2]], [[1,2]], [[0,1]], []
+];
+
+// Saddle resolutions: cut off v0 and v2, or cut off v1 and v3
+const CUT_V0_V2 = [[0,1],[2,3]];
+const CUT_V1_V3 = [[1,2],[0,3]];
+
+/**
+ * Resolve a saddle cell with the asymptotic decider: the bilinear interpolant's value at
+ * its saddle point tells whether the two corners above the threshold are connected
+ * through the cell, so neighbouring cells agree and contours never cross.
+ */
+function saddleCase(idx, v, threshold) {
+    const a = v[0] - threshold;
+    const b = v[1] - threshold;
+    const c = v[2] - threshold;
+    const d = v[3] - threshold;
+
+    const denominator = a + c - b - d;
+    let center = denominator !== 0 ? (a * c - b * d) / denominator : NaN;
+    if (!Number.isFinite(center)) {
+        center = (a + b + c + d) / 4;
+    }
+    const aboveConnected = center > 0;
+
+    // Case 5 has v0 and v2 above, case 10 has v1 and v3 above; connected corners
+    // are kept together by cutting off the other diagonal
+    if (idx === 5) {
+        return aboveConnected ? CUT_V1_V3 : CUT_V0_V2;
+    }
+    return aboveConnected ? CUT_V0_V2 : CUT_V1_V3;
+}
+
+// Corner indices at the ends of each edge
+const EDGE_CORNERS = [
+    [0, 3],
+    [0, 1],
+    [1, 2],
+    [2, 3]
+];
+
+// Global id of a cell edge, shared by the two cells on either side of it
+function edgeKey(field, i, j, edge) {
+    switch (edge) {
+        case 0: return 2 * (i * field.resolutionY + j) + 1;
+        case 1: return 2 * (i * field.resolutionY + j);
+        case 2: return 2 * ((i + 1) * field.resolutionY + j) + 1;
+        default: return 2 * (i * field.resolutionY + j + 1);
+    }
+}
+
+/**
+ * Run marching squares over a field and report every contour segment
+ * @param {ScalarField2D} field
+ * @param {number} threshold - Iso value
+ * @param {Function} callback - Called as (ax, ay, bx, by, keyA, keyB, lowOnLeft) with the end
+ *   points in field coordinates, the ids of the cell edges they lie on (equal ids are the same
+ *   point) and whether values below the threshold lie to the left of a -> b
+ */
+export function forEachContourSegment(field, threshold, callback) {
+    const px = [0, 0, 0, 0];
+    const py = [0, 0, 0, 0];
+    const v = [0, 0, 0, 0];
+    const ex = [0, 0];
+    const ey = [0, 0];
+
+    function interpolate(edge, k) {
+        const [a, b] = EDGE_CORNERS[edge];
+        const t = (threshold - v[a]) / (v[b] - v[a]);
+        ex[k] = px[a] + t * (px[b] - px[a]);
+        ey[k] = py[a] + t * (py[b] - py[a]);
+    }
+
+    for (let i = 0; i < field.resolutionX - 1; i++) {
+        const x0 = field.xAt(i);
+        const x1 = field.xAt(i + 1);
+
+        for (let j = 0; j < field.resolutionY - 1; j++) {
+            v[0] = field.get(i, j);
+            v[1] = field.get(i + 1, j);
+            v[2] = field.get(i + 1, j + 1);
+            v[3] = field.get(i, j + 1);
+
+            let idx = 0;
+            if (v[0] > threshold) idx |= 1;
+            if (v[1] > threshold) idx |= 2;
+            if (v[2] > threshold) idx |= 4;
+            if (v[3] > threshold) idx |= 8;
+            if (idx === 0 || idx === 15) continue;
+
+            const y0 = field.yAt(j);
+            const y1 = field.yAt(j + 1);
+            px[0] = x0; py[0] = y0;
+            px[1] = x1; py[1] = y0;
+            px[2] = x1; py[2] = y1;
+            px[3] = x0; py[3] = y1;
+
+            const pairs = CASES[idx] ?? saddleCase(idx, v, threshold);
+            for (const pair of pairs) {
+                interpolate(pair[0], 0);
+                interpolate(pair[1], 1);
+
+                // Bilinear gradient at the segment midpoint; lower values lie to the left
+                // when the gradient points to the right of the segment direction
+                const u = (0.5 * (ex[0] + ex[1]) - x0) / (x1 - x0);
+                const w = (0.5 * (ey[0] + ey[1]) - y0) / (y1 - y0);
+                const gx = ((v[1] - v[0]) * (1 - w) + (v[2] - v[3]) * w) / (x1 - x0);
+                const gy = ((v[3] - v[0]) * (1 - u) + (v[2] - v[1]) * u) / (y1 - y0);
+                const lowOnLeft = (ex[1] - ex[0]) * gy - (ey[1] - ey[0]) * gx < 0;
+
+                callback(
+                    ex[0], ey[0], ex[1], ey[1],
+                    edgeKey(field, i, j, pair[0]), edgeKey(field, i, j, pair[1]),
+                    lowOnLeft
+                );
+            }
+        }
+    }
+}
+
+/**
+ * Extract the contour of a field at a threshold as line segments
+ * @param {ScalarField2D} field
+ * @param {number} threshold - Iso value
+ * @param {number} height - World y of the contour
+ * @returns {number[]} Segment end points as [x, y, z, x, y, z, ...] in world coordinates
+ */
+export function marchingSquares(field, threshold = 0, height = 0) {
+    const vertices = [];
+
+    forEachContourSegment(field, threshold, (ax, ay, bx, by) => {
+        vertices.push(ax, height, ay, bx, height, by);
+    });
+
+    return vertices;
+}
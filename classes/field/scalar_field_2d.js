@@ -0,0 +1,204 @@
+// Scalar Field 2D - a regular grid of float values over a rectangle in the XY plane
+//
+// Values are stored in a Float32Array with x as the outer index: index(i, j) = i * resolutionY + j.
+// Grid point (i, j) sits at x = minX + i * cellSizeX, y = minY + j * cellSizeY.
+// When drawn in the scene the field lies flat on the ground, so field y maps to world z.
+
+/**
+ * Bounds matching the original sketches' grid formula `(i - size/2) * 0.5 * (20/size)`:
+ * grid points start at -extent/2 and are spaced extent/size apart
+ */
+export function centeredBounds(size, extent = 10) {
+    const cellSize = extent / size;
+    const min = -extent / 2;
+    const max = min + (size - 1) * cellSize;
+    return { minX: min, maxX: max, minY: min, maxY: max };
+}
+
+export class ScalarField2D {
+    /**
+     * @param {number} resolutionX - Number of grid points along x
+     * @param {number} resolutionY - Number of grid points along y
+     * @param {Object} bounds - { minX, maxX, minY, maxY } positions of the outermost grid points
+     * @param {number} fillValue - Initial value of every grid point
+     */
+    constructor(resolutionX = 200, resolutionY = resolutionX, bounds = centeredBounds(resolutionX), fillValue = 0) {
+        this.resolutionX = resolutionX;
+        this.resolutionY = resolutionY;
+        this.bounds = { ...bounds };
+        this.cellSizeX = (bounds.maxX - bounds.minX) / Math.max(resolutionX - 1, 1);
+        this.cellSizeY = (bounds.maxY - bounds.minY) / Math.max(resolutionY - 1, 1);
+        this.data = new Float32Array(resolutionX * resolutionY).fill(fillValue);
+    }
+
+    /**
+     * Create a square field laid out like the original sketches' grids
+     */
+    static centered(size = 200, extent = 10, fillValue = 0) {
+        return new ScalarField2D(size, size, centeredBounds(size, extent), fillValue);
+    }
+
+    // Grid indexing
+
+    index(i, j) {
+        return i * this.resolutionY + j;
+    }
+
+    get(i, j) {
+        return this.data[i * this.resolutionY + j];
+    }
+
+    set(i, j, value) {
+        this.data[i * this.resolutionY + j] = value;
+    }
+
+    /**
+     * X position of grid column i
+     */
+    xAt(i) {
+        return this.bounds.minX + i * this.cellSizeX;
+    }
+
+    /**
+     * Y position of grid row j
+     */
+    yAt(j) {
+        return this.bounds.minY + j * this.cellSizeY;
+    }
+
+    // Bulk operations
+
+    fill(value) {
+        this.data.fill(value);
+        return this;
+    }
+
+    /**
+     * Copy values from another field of the same resolution or from a plain array
+     */
+    copyFrom(source) {
+        const values = source instanceof ScalarField2D ? source.data : source;
+        if (values.length !== this.data.length) {
+            throw new Error(`Field size mismatch: ${values.length} values for ${this.data.length} grid points`);
+        }
+        this.data.set(values);
+        return this;
+    }
+
+    /**
+     * Create an independent copy with the same layout and values
+     */
+    clone() {
+        const field = new ScalarField2D(this.resolutionX, this.resolutionY, this.bounds);
+        field.data.set(this.data);
+        return field;
+    }
+
+    /**
+     * Set every grid point to fn(x, y)
+     */
+    evaluate(fn) {
+        for (let i = 0; i < this.resolutionX; i++) {
+            const x = this.xAt(i);
+            for (let j = 0; j < this.resolutionY; j++) {
+                this.data[i * this.resolutionY + j] = fn(x, this.yAt(j));
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Replace every value with fn(value, x, y, i, j)
+     */
+    apply(fn) {
+        for (let i = 0; i < this.resolutionX; i++) {
+            const x = this.xAt(i);
+            for (let j = 0; j < this.resolutionY; j++) {
+                const index = i * this.resolutionY + j;
+                this.data[index] = fn(this.data[index], x, this.yAt(j), i, j);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Call fn(value, x, y, i, j) for every grid point
+     */
+    forEach(fn) {
+        for (let i = 0; i < this.resolutionX; i++) {
+            const x = this.xAt(i);
+            for (let j = 0; j < this.resolutionY; j++) {
+                fn(this.data[i * this.resolutionY + j], x, this.yAt(j), i, j);
+            }
+        }
+    }
+
+    // Sampling
+
+    /**
+     * Value of the grid point nearest to (x, y), clamped to the field's bounds
+     */
+    sample(x, y) {
+        const i = Math.round((x - this.bounds.minX) / this.cellSizeX);
+        const j = Math.round((y - this.bounds.minY) / this.cellSizeY);
+        return this.get(
+            Math.min(Math.max(i, 0), this.resolutionX - 1),
+            Math.min(Math.max(j, 0), this.resolutionY - 1)
+        );
+    }
+
+    /**
+     * Bilinearly interpolated value at (x, y), clamped to the field's bounds
+     */
+    interpolate(x, y) {
+        const fx = Math.min(Math.max((x - this.bounds.minX) / this.cellSizeX, 0), this.resolutionX - 1);
+        const fy = Math.min(Math.max((y - this.bounds.minY) / this.cellSizeY, 0), this.resolutionY - 1);
+
+        const i0 = Math.min(Math.floor(fx), this.resolutionX - 2);
+        const j0 = Math.min(Math.floor(fy), this.resolutionY - 2);
+        if (i0 < 0 || j0 < 0) return this.sample(x, y); // 1-wide field
+
+        const tx = fx - i0;
+        const ty = fy - j0;
+
+        const v00 = this.get(i0, j0);
+        const v10 = this.get(i0 + 1, j0);
+        const v01 = this.get(i0, j0 + 1);
+        const v11 = this.get(i0 + 1, j0 + 1);
+
+        return (v00 * (1 - tx) + v10 * tx) * (1 - ty) +
+               (v01 * (1 - tx) + v11 * tx) * ty;
+    }
+
+    // Statistics
+
+    min() {
+        let min = Infinity;
+        for (let k = 0; k < this.data.length; k++) {
+            if (this.data[k] < min) min = this.data[k];
+        }
+        return min;
+    }
+
+    max() {
+        let max = -Infinity;
+        for (let k = 0; k < this.data.length; k++) {
+            if (this.data[k] > max) max = this.data[k];
+        }
+        return max;
+    }
+
+    /**
+     * Linearly rescale all values so they span [targetMin, targetMax]
+     */
+    rescale(targetMin = -1.0, targetMax = 1.0) {
+        const min = this.min();
+        const range = Math.max(this.max() - min, 1e-6);
+
+        for (let k = 0; k < this.data.length; k++) {
+            const t = (this.data[k] - min) / range;
+            this.data[k] = targetMin + (targetMax - targetMin) * t;
+        }
+        return this;
+    }
+}
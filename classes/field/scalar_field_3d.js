@@ -0,0 +1,170 @@
+// Scalar Field 3D - a regular grid of float values over a box, in world coordinates
+//
+// Values are stored in a Float32Array with x outermost and z innermost:
+// index(i, j, k) = (i * resolutionY + j) * resolutionZ + k.
+// Grid point (i, j, k) sits at (minX + i * cellSizeX, minY + j * cellSizeY, minZ + k * cellSizeZ).
+// Unlike ScalarField2D, y is the world up axis.
+
+function cellSize(min, max, resolution) {
+    return (max - min) / Math.max(resolution - 1, 1);
+}
+
+export class ScalarField3D {
+    /**
+     * @param {number} resolutionX - Number of grid points along x
+     * @param {number} resolutionY - Number of grid points along y
+     * @param {number} resolutionZ - Number of grid points along z
+     * @param {Object} bounds - { minX, maxX, minY, maxY, minZ, maxZ } positions of the outermost grid points
+     * @param {number} fillValue - Initial value of every grid point
+     */
+    constructor(resolutionX = 64, resolutionY = resolutionX, resolutionZ = resolutionX, bounds, fillValue = 0) {
+        bounds = bounds ?? { minX: -5, maxX: 5, minY: -5, maxY: 5, minZ: -5, maxZ: 5 };
+
+        this.resolutionX = resolutionX;
+        this.resolutionY = resolutionY;
+        this.resolutionZ = resolutionZ;
+        this.bounds = { ...bounds };
+        this.cellSizeX = cellSize(bounds.minX, bounds.maxX, resolutionX);
+        this.cellSizeY = cellSize(bounds.minY, bounds.maxY, resolutionY);
+        this.cellSizeZ = cellSize(bounds.minZ, bounds.maxZ, resolutionZ);
+        this.data = new Float32Array(resolutionX * resolutionY * resolutionZ).fill(fillValue);
+    }
+
+    /**
+     * Create a cube-shaped field `extent` units wide, centered on the origin
+     */
+    static centered(size = 64, extent = 10, fillValue = 0) {
+        const h = extent / 2;
+        return new ScalarField3D(size, size, size, {
+            minX: -h, maxX: h, minY: -h, maxY: h, minZ: -h, maxZ: h
+        }, fillValue);
+    }
+
+    // Grid indexing
+
+    index(i, j, k) {
+        return (i * this.resolutionY + j) * this.resolutionZ + k;
+    }
+
+    get(i, j, k) {
+        return this.data[(i * this.resolutionY + j) * this.resolutionZ + k];
+    }
+
+    set(i, j, k, value) {
+        this.data[(i * this.resolutionY + j) * this.resolutionZ + k] = value;
+    }
+
+    xAt(i) {
+        return this.bounds.minX + i * this.cellSizeX;
+    }
+
+    yAt(j) {
+        return this.bounds.minY + j * this.cellSizeY;
+    }
+
+    zAt(k) {
+        return this.bounds.minZ + k * this.cellSizeZ;
+    }
+
+    // Bulk operations
+
+    fill(value) {
+        this.data.fill(value);
+        return this;
+    }
+
+    /**
+     * Set every grid point to fn(x, y, z)
+     */
+    evaluate(fn) {
+        let index = 0;
+        for (let i = 0; i < this.resolutionX; i++) {
+            const x = this.xAt(i);
+            for (let j = 0; j < this.resolutionY; j++) {
+                const y = this.yAt(j);
+                for (let k = 0; k < this.resolutionZ; k++) {
+                    this.data[index++] = fn(x, y, this.zAt(k));
+                }
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Replace every value with fn(value, x, y, z, i, j, k)
+     */
+    apply(fn) {
+        let index = 0;
+        for (let i = 0; i < this.resolutionX; i++) {
+            const x = this.xAt(i);
+            for (let j = 0; j < this.resolutionY; j++) {
+                const y = this.yAt(j);
+                for (let k = 0; k < this.resolutionZ; k++) {
+                    this.data[index] = fn(this.data[index], x, y, this.zAt(k), i, j, k);
+                    index++;
+                }
+            }
+        }
+        return this;
+    }
+
+    // Sampling
+
+    /**
+     * Trilinearly interpolated value at (x, y, z), clamped to the field's bounds
+     */
+    interpolate(x, y, z) {
+        const locate = (value, min, size, resolution) => {
+            const f = Math.min(Math.max((value - min) / size, 0), resolution - 1);
+            const i0 = Math.max(Math.min(Math.floor(f), resolution - 2), 0);
+            return [i0, Math.min(f - i0, 1)];
+        };
+
+        const [i0, tx] = locate(x, this.bounds.minX, this.cellSizeX, this.resolutionX);
+        const [j0, ty] = locate(y, this.bounds.minY, this.cellSizeY, this.resolutionY);
+        const [k0, tz] = locate(z, this.bounds.minZ, this.cellSizeZ, this.resolutionZ);
+        const i1 = Math.min(i0 + 1, this.resolutionX - 1);
+        const j1 = Math.min(j0 + 1, this.resolutionY - 1);
+        const k1 = Math.min(k0 + 1, this.resolutionZ - 1);
+
+        const lerp = (a, b, t) => a + (b - a) * t;
+        const c00 = lerp(this.get(i0, j0, k0), this.get(i1, j0, k0), tx);
+        const c10 = lerp(this.get(i0, j1, k0), this.get(i1, j1, k0), tx);
+        const c01 = lerp(this.get(i0, j0, k1), this.get(i1, j0, k1), tx);
+        const c11 = lerp(this.get(i0, j1, k1), this.get(i1, j1, k1), tx);
+
+        return lerp(lerp(c00, c10, ty), lerp(c01, c11, ty), tz);
+    }
+
+    // Statistics
+
+    min() {
+        let min = Infinity;
+        for (let n = 0; n < this.data.length; n++) {
+            if (this.data[n] < min) min = this.data[n];
+        }
+        return min;
+    }
+
+    max() {
+        let max = -Infinity;
+        for (let n = 0; n < this.data.length; n++) {
+            if (this.data[n] > max) max = this.data[n];
+        }
+        return max;
+    }
+
+    /**
+     * Linearly rescale all values so they span [targetMin, targetMax]
+     */
+    rescale(targetMin = -1.0, targetMax = 1.0) {
+        const min = this.min();
+        const range = Math.max(this.max() - min, 1e-6);
+
+        for (let n = 0; n < this.data.length; n++) {
+            const t = (this.data[n] - min) / range;
+            this.data[n] = targetMin + (targetMax - targetMin) * t;
+        }
+        return this;
+    }
+}
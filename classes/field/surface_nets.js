@@ -0,0 +1,163 @@
+import * as THREE from 'three';
+
+// Isosurface extraction for ScalarField3D with surface nets (a dual contouring variant)
+//
+// Every grid cell the surface passes through gets one vertex, at the average of the
+// points where the surface crosses the cell's edges. Every grid edge the surface crosses
+// then becomes a quad joining the four cells around it. Each crossing is shared by exactly
+// those four cells, so the mesh has no cracks; with `closed` the field is treated as
+// "outside" beyond its bounds, which caps the surface where it meets the boundary and makes
+// the mesh watertight.
+//
+// Values below the threshold are inside; triangles wind counter-clockwise seen from the
+// outside, so normals point towards higher values.
+
+// Corner offsets of a cell, corner c = (c & 1, (c >> 1) & 1, (c >> 2) & 1)
+const CORNERS = [
+    [0, 0, 0], [1, 0, 0], [0, 1, 0], [1, 1, 0],
+    [0, 0, 1], [1, 0, 1], [0, 1, 1], [1, 1, 1]
+];
+
+// The twelve cell edges as corner pairs
+const EDGES = [
+    [0, 1], [2, 3], [4, 5], [6, 7], // along x
+    [0, 2], [1, 3], [4, 6], [5, 7], // along y
+    [0, 4], [1, 5], [2, 6], [3, 7]  // along z
+];
+
+/**
+ * Extract the isosurface of a field as an indexed triangle mesh
+ * @param {ScalarField3D} field
+ * @param {number} threshold - Iso value
+ * @param {Object} options
+ * @param {boolean} options.closed - Cap the surface at the field's bounds
+ * @returns {{ positions: Float32Array, indices: Uint32Array }}
+ */
+export function surfaceNets(field, threshold = 0, { closed = true } = {}) {
+    const pad = closed ? 1 : 0;
+    const nx = field.resolutionX + 2 * pad;
+    const ny = field.resolutionY + 2 * pad;
+    const nz = field.resolutionZ + 2 * pad;
+
+    // Value at padded grid point (a, b, c); outside the field everything is above the threshold
+    const value = (a, b, c) => {
+        const i = a - pad;
+        const j = b - pad;
+        const k = c - pad;
+        if (i < 0 || j < 0 || k < 0 || i >= field.resolutionX || j >= field.resolutionY || k >= field.resolutionZ) {
+            return Infinity;
+        }
+        return field.get(i, j, k);
+    };
+
+    const cellsY = ny - 1;
+    const cellsZ = nz - 1;
+    const cellIndex = (a, b, c) => (a * cellsY + b) * cellsZ + c;
+    const cellVertex = new Int32Array((nx - 1) * cellsY * cellsZ).fill(-1);
+
+    const positions = [];
+    const indices = [];
+    const v = new Float64Array(8);
+
+    // One vertex per cell with a sign change
+    for (let a = 0; a < nx - 1; a++) {
+        for (let b = 0; b < ny - 1; b++) {
+            for (let c = 0; c < nz - 1; c++) {
+                let mask = 0;
+                for (let n = 0; n < 8; n++) {
+                    const [da, db, dc] = CORNERS[n];
+                    v[n] = value(a + da, b + db, c + dc);
+                    if (v[n] < threshold) mask |= 1 << n;
+                }
+                if (mask === 0 || mask === 255) continue;
+
+                // Average of the edge crossings, in grid units within the cell
+                let sx = 0, sy = 0, sz = 0, count = 0;
+                for (const [p, q] of EDGES) {
+                    const inP = (mask >> p) & 1;
+                    const inQ = (mask >> q) & 1;
+                    if (inP === inQ) continue;
+
+                    // An infinite end puts the crossing on the finite grid point
+                    const t = Number.isFinite(v[q] - v[p]) ? (threshold - v[p]) / (v[q] - v[p]) : (Number.isFinite(v[p]) ? 0 : 1);
+                    sx += CORNERS[p][0] + t * (CORNERS[q][0] - CORNERS[p][0]);
+                    sy += CORNERS[p][1] + t * (CORNERS[q][1] - CORNERS[p][1]);
+                    sz += CORNERS[p][2] + t * (CORNERS[q][2] - CORNERS[p][2]);
+                    count++;
+                }
+
+                cellVertex[cellIndex(a, b, c)] = positions.length / 3;
+                positions.push(
+                    field.xAt(a - pad + sx / count),
+                    field.yAt(b - pad + sy / count),
+                    field.zAt(c - pad + sz / count)
+                );
+            }
+        }
+    }
+
+    // Two triangles for a quad of cell vertices, flipped when the inside is at the far end
+    const quad = (c0, c1, c2, c3, flip) => {
+        const q0 = cellVertex[c0], q1 = cellVertex[c1], q2 = cellVertex[c2], q3 = cellVertex[c3];
+        if (q0 < 0 || q1 < 0 || q2 < 0 || q3 < 0) return;
+        if (flip) {
+            indices.push(q0, q3, q2, q0, q2, q1);
+        } else {
+            indices.push(q0, q1, q2, q0, q2, q3);
+        }
+    };
+
+    // One quad per grid edge with a sign change, joining the four cells around the edge.
+    // The cells are listed counter-clockwise seen from the positive end of the edge.
+    // Edges on the outer faces of the grid have fewer than four cells around them and are skipped.
+    for (let a = 0; a < nx; a++) {
+        const innerA = a > 0 && a < nx - 1;
+        for (let b = 0; b < ny; b++) {
+            const innerB = b > 0 && b < ny - 1;
+            for (let c = 0; c < nz; c++) {
+                const innerC = c > 0 && c < nz - 1;
+                const inside = value(a, b, c) < threshold;
+
+                if (a < nx - 1 && innerB && innerC && inside !== (value(a + 1, b, c) < threshold)) {
+                    quad(cellIndex(a, b - 1, c - 1), cellIndex(a, b, c - 1), cellIndex(a, b, c), cellIndex(a, b - 1, c), !inside);
+                }
+                if (b < ny - 1 && innerA && innerC && inside !== (value(a, b + 1, c) < threshold)) {
+                    quad(cellIndex(a - 1, b, c - 1), cellIndex(a - 1, b, c), cellIndex(a, b, c), cellIndex(a, b, c - 1), !inside);
+                }
+                if (c < nz - 1 && innerA && innerB && inside !== (value(a, b, c + 1) < threshold)) {
+                    quad(cellIndex(a - 1, b - 1, c), cellIndex(a, b - 1, c), cellIndex(a, b, c), cellIndex(a - 1, b, c), !inside);
+                }
+            }
+        }
+    }
+
+    return {
+        positions: new Float32Array(positions),
+        indices: new Uint32Array(indices)
+    };
+}
+
+/**
+ * Build an indexed BufferGeometry with vertex normals for the isosurface of a field
+ */
+export function createIsosurfaceGeometry(field, threshold = 0, options = {}) {
+    const { positions, indices } = surfaceNets(field, threshold, options);
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+/**
+ * Create a Mesh showing the isosurface of a field
+ */
+export function createIsosurfaceMesh(field, threshold = 0, material = null, options = {}) {
+    const geometry = createIsosurfaceGeometry(field, threshold, options);
+    return new THREE.Mesh(geometry, material ?? new THREE.MeshStandardMaterial({
+        color: 0x8899aa,
+        roughness: 0.6,
+        metalness: 0.1
+    }));
+}
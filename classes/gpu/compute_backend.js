@@ -0,0 +1,162 @@
+import StorageBufferAttribute from 'three/examples/jsm/renderers/common/StorageBufferAttribute.js';
+import { createSoftwareDevice, installWebGPUConstants } from './software_device.js';
+
+// Compute backends - the device the GPU classes dispatch their compute shaders on
+//
+// A backend is { type, device, isSoftware, reason, destroy() }. On the 'webgpu' backend
+// `device` is a GPUDevice; on the 'software' backend it is a software device
+// (software_device.js) running JavaScript kernels that mirror the shaders' entry points,
+// e.g. SDF_KERNELS from sdf/sdf_kernels.js. Both take the same calls, so a class written
+// against the device API runs on either - in a browser without WebGPU, after a GPU error,
+// or in Node:
+//
+//   const backend = await requestComputeBackend({ kernels: SDF_KERNELS });
+//   const grid = new WebGPUSDFGrid(backend.device, 256);
+//
+// The software device runs kernels on the main thread when work is submitted, so keep
+// its grids moderate in size. `reason` says why a software backend was chosen.
+
+/**
+ * Request an adapter and device, with the limits clamped to what the adapter supports
+ * @param {Object} options
+ * @param {string} options.powerPreference
+ * @param {Object<string, number>} options.requiredLimits - Wanted limits, e.g. maxBufferSize
+ * @returns {Promise<GPUDevice>}
+ */
+export async function requestWebGPUDevice({ powerPreference = 'high-performance', requiredLimits = {} } = {}) {
+    if (typeof navigator === 'undefined' || !navigator.gpu) {
+        throw new Error('WebGPU not supported - navigator.gpu is undefined');
+    }
+
+    const adapter = await navigator.gpu.requestAdapter({ powerPreference });
+    if (!adapter) {
+        throw new Error('No WebGPU adapter found');
+    }
+
+    const limits = {};
+    for (const [key, value] of Object.entries(requiredLimits)) {
+        if (key in adapter.limits) limits[key] = Math.min(value, adapter.limits[key]);
+    }
+
+    return adapter.requestDevice({ requiredLimits: limits });
+}
+
+/**
+ * Backend on a WebGPU device
+ * @param {GPUDevice} device
+ * @param {Object} options
+ * @param {boolean} options.owned - Whether destroy() destroys the device (not for a renderer's device)
+ */
+export function createWebGPUBackend(device, { owned = true } = {}) {
+    return {
+        type: 'webgpu',
+        device,
+        isSoftware: false,
+        reason: null,
+
+        destroy() {
+            if (owned) device.destroy();
+        }
+    };
+}
+
+/**
+ * Backend on a new software device
+ * @param {Object} options
+ * @param {Object<string, function>} options.kernels - JavaScript kernels by shader entry point
+ * @param {function} options.interpret - Shader interpreter, see createSoftwareDevice
+ * @param {string} options.reason - Why the software device is used
+ */
+export function createSoftwareBackend({ kernels = {}, interpret = null, reason = 'requested' } = {}) {
+    // Browsers without WebGPU don't define the flag constants either
+    installWebGPUConstants();
+    const device = createSoftwareDevice({ kernels, interpret });
+
+    return {
+        type: 'software',
+        device,
+        isSoftware: true,
+        reason,
+
+        destroy() {
+            device.destroy();
+        }
+    };
+}
+
+/**
+ * A WebGPU backend when a device can be had, the software backend otherwise
+ * @param {Object} options
+ * @param {Object<string, function>} options.kernels - For the software backend
+ * @param {boolean} options.software - Use the software backend even when WebGPU is available
+ * @param {string} options.powerPreference
+ * @param {Object<string, number>} options.requiredLimits
+ * @returns {Promise<Object>} The backend
+ */
+export async function requestComputeBackend({ kernels = {}, software = false, powerPreference, requiredLimits } = {}) {
+    if (software) {
+        return createSoftwareBackend({ kernels });
+    }
+
+    try {
+        const device = await requestWebGPUDevice({ powerPreference, requiredLimits });
+        return createWebGPUBackend(device);
+    } catch (error) {
+        console.warn(`WebGPU is not available (${error.message}), computing on the software device`);
+        return createSoftwareBackend({ kernels, reason: error.message });
+    }
+}
+
+/**
+ * Backend for compute work drawn by a WebGPURenderer: the renderer's own device on its
+ * WebGPU backend, the software device when it runs on WebGL2
+ * @param {WebGPURenderer} renderer - Initialized
+ * @param {Object} options
+ * @param {Object<string, function>} options.kernels - For the software backend
+ */
+export function computeBackendForRenderer(renderer, { kernels = {} } = {}) {
+    if (renderer.backend.isWebGPUBackend) {
+        return createWebGPUBackend(renderer.backend.device, { owned: false });
+    }
+    return createSoftwareBackend({ kernels, reason: 'WebGPURenderer is running on WebGL2' });
+}
+
+/**
+ * A storage buffer a renderer's meshes can draw as a vertex attribute
+ *
+ * On the WebGPU backend the renderer creates the buffer (STORAGE | VERTEX | COPY_SRC |
+ * COPY_DST) and its node materials read what the compute shader writes. With a software
+ * device the attribute's array is the software buffer's memory, and sync() marks it for
+ * upload after a dispatch; on WebGPU sync() does nothing, as an upload would overwrite
+ * the shader's output with the attribute's empty array.
+ * @param {WebGPURenderer} renderer
+ * @param {Object} device - The backend's device (computeBackendForRenderer)
+ * @param {number} count - Number of items
+ * @param {number} itemSize - Floats per item
+ * @param {string} label
+ * @returns {{ attribute: StorageBufferAttribute, buffer: Object, sync: function }}
+ */
+export function createRendererStorage(renderer, device, count, itemSize, label) {
+    if (!device.isSoftware) {
+        const attribute = new StorageBufferAttribute(count, itemSize);
+        attribute.name = label;
+        renderer.backend.createStorageAttribute(attribute);
+        return { attribute, buffer: renderer.backend.get(attribute).buffer, sync() {} };
+    }
+
+    const buffer = device.createBuffer({
+        size: count * itemSize * 4, // float32 per component
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+        label
+    });
+    const attribute = new StorageBufferAttribute(new Float32Array(buffer.data), itemSize);
+    attribute.name = label;
+
+    return {
+        attribute,
+        buffer,
+        sync() {
+            attribute.needsUpdate = true;
+        }
+    };
+}
@@ -0,0 +1,237 @@
+import { requestWebGPUDevice, createWebGPUBackend, createSoftwareBackend } from './compute_backend.js';
+
+// GPU context - the compute device shared by the host's sketches, and its lifetime
+//
+// The host owns one context (context.gpu in sketches). acquire() creates the device on
+// first use - WebGPU when possible, the software device otherwise (see compute_backend.js)
+// - and returns the same device to every later caller. When the device is lost the
+// context creates a new one and calls the onDeviceChange listeners with it, so classes
+// like WebGPUSDFGrid can recreate their buffers and pipelines there:
+//
+//   const device = await context.gpu.acquire({ kernels: SDF_KERNELS });
+//   const stop = context.gpu.onDeviceChange((device) => { /* rebuild on device */ });
+//
+// Every buffer created on the context's device is tracked until it is destroyed, so the
+// host can report buffers a sketch left behind (mark() before setup, leaksSince(mark)
+// after dispose). destroy() reports what is still alive, frees it and the device.
+
+// Devices lost one after another before the context settles for the software device
+const MAX_RECOVERIES = 3;
+
+export class GPUContext {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.software - Always use the software device
+     * @param {string} options.powerPreference
+     * @param {Object<string, number>} options.requiredLimits - Clamped to what the adapter supports
+     */
+    constructor({
+        software = false,
+        powerPreference = 'high-performance',
+        requiredLimits = {
+            maxStorageBufferBindingSize: 1024 * 1024 * 1024, // 1GB
+            maxBufferSize: 1024 * 1024 * 1024 // 1GB
+        }
+    } = {}) {
+        this.software = software;
+        this.powerPreference = powerPreference;
+        this.requiredLimits = requiredLimits;
+
+        this.kernels = {}; // Software kernels registered by acquire(), looked up per pipeline
+        this.backend = null;
+        this.pending = null; // Device creation in progress
+        this.listeners = new Set();
+        this.buffers = new Map(); // Live buffers -> { id, label, size, device }
+        this.nextBufferId = 1;
+        this.recoveries = 0;
+        this.destroyed = false;
+    }
+
+    // The current device, or null before acquire() has finished
+    get device() {
+        return this.backend ? this.backend.device : null;
+    }
+
+    // 'webgpu', 'software', or null before acquire() has finished
+    get type() {
+        return this.backend ? this.backend.type : null;
+    }
+
+    /**
+     * The context's device, created on the first call
+     * @param {Object} options
+     * @param {Object<string, function>} options.kernels - JavaScript kernels for the software device
+     * @returns {Promise<Object>} A GPUDevice or software device
+     */
+    async acquire({ kernels = {} } = {}) {
+        if (this.destroyed) {
+            throw new Error('GPU context has been destroyed');
+        }
+
+        // The software device reads this object when pipelines are created, so kernels
+        // registered after it exists still count
+        Object.assign(this.kernels, kernels);
+
+        if (this.backend) return this.backend.device;
+
+        this.pending ??= this.createBackend().finally(() => {
+            this.pending = null;
+        });
+        await this.pending;
+        return this.backend.device;
+    }
+
+    async createBackend() {
+        let backend;
+        if (this.software || this.recoveries >= MAX_RECOVERIES) {
+            backend = createSoftwareBackend({
+                kernels: this.kernels,
+                reason: this.software ? 'requested' : `device lost ${this.recoveries} times`
+            });
+        } else {
+            try {
+                const device = await requestWebGPUDevice({
+                    powerPreference: this.powerPreference,
+                    requiredLimits: this.requiredLimits
+                });
+                backend = createWebGPUBackend(device);
+            } catch (error) {
+                console.warn(`WebGPU is not available (${error.message}), computing on the software device`);
+                backend = createSoftwareBackend({ kernels: this.kernels, reason: error.message });
+            }
+        }
+
+        // Destroyed while the device was being requested
+        if (this.destroyed) {
+            backend.destroy();
+            throw new Error('GPU context has been destroyed');
+        }
+
+        this.trackBuffers(backend.device);
+        this.watch(backend.device);
+        this.backend = backend;
+        console.log(`GPU context: ${backend.type} device`, backend.reason ?? '');
+        return backend;
+    }
+
+    // Record every buffer the device creates until it is destroyed
+    trackBuffers(device) {
+        const createBuffer = device.createBuffer;
+
+        // Own properties on the device and its buffers, so they stay the real objects
+        // that bind groups and command encoders expect
+        device.createBuffer = (descriptor) => {
+            const buffer = createBuffer.call(device, descriptor);
+            const destroy = buffer.destroy;
+
+            this.buffers.set(buffer, {
+                id: this.nextBufferId++,
+                label: descriptor.label ?? '',
+                size: descriptor.size,
+                device
+            });
+            buffer.destroy = () => {
+                this.buffers.delete(buffer);
+                return destroy.call(buffer);
+            };
+            return buffer;
+        };
+    }
+
+    // Replace the device when it is lost, unless it was destroyed on purpose
+    watch(device) {
+        device.lost.then(async (info) => {
+            if (this.destroyed || this.device !== device || info.reason === 'destroyed') return;
+
+            console.warn('GPU device lost:', info.message);
+            this.recoveries++;
+            this.forgetBuffers(device);
+            this.backend = null;
+
+            try {
+                const newDevice = await this.acquire();
+                for (const listener of this.listeners) {
+                    try {
+                        listener(newDevice, info);
+                    } catch (error) {
+                        console.error('GPU device change listener failed:', error);
+                    }
+                }
+            } catch (error) {
+                if (!this.destroyed) console.error('Failed to replace the lost GPU device:', error);
+            }
+        });
+    }
+
+    // Buffers of a lost device are gone with it; they are not leaks
+    forgetBuffers(device) {
+        for (const [buffer, entry] of this.buffers) {
+            if (entry.device === device) this.buffers.delete(buffer);
+        }
+    }
+
+    /**
+     * Call `listener(device, lostInfo)` each time a lost device has been replaced
+     * @returns {function} Removes the listener
+     */
+    onDeviceChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Id of the last buffer created so far, for leaksSince()
+     */
+    mark() {
+        return this.nextBufferId - 1;
+    }
+
+    /**
+     * Buffers created after `mark` that are still alive
+     * @returns {{ label: string, size: number }[]}
+     */
+    leaksSince(mark) {
+        const leaks = [];
+        for (const { id, label, size } of this.buffers.values()) {
+            if (id > mark) leaks.push({ label, size });
+        }
+        return leaks;
+    }
+
+    /**
+     * Warn about buffers created after `mark` that are still alive
+     * @param {number} mark - From mark()
+     * @param {string} owner - Named in the warning, e.g. the sketch id
+     * @returns {number} Number of leaked buffers
+     */
+    reportLeaks(mark, owner) {
+        const leaks = this.leaksSince(mark);
+        if (leaks.length > 0) {
+            const bytes = leaks.reduce((sum, leak) => sum + leak.size, 0);
+            const labels = leaks.map((leak) => leak.label || '(unlabeled)').join(', ');
+            console.warn(`${owner} left ${leaks.length} GPU buffers (${bytes} bytes) alive: ${labels}`);
+        }
+        return leaks.length;
+    }
+
+    /**
+     * Report and free every buffer still alive, then destroy the device
+     */
+    destroy() {
+        if (this.destroyed) return;
+
+        this.reportLeaks(0, 'GPU context');
+        this.destroyed = true;
+
+        for (const buffer of [...this.buffers.keys()]) {
+            buffer.destroy();
+        }
+        this.buffers.clear();
+        this.listeners.clear();
+
+        if (this.backend) {
+            this.backend.destroy();
+            this.backend = null;
+        }
+    }
+}
@@ -0,0 +1,129 @@
+// GPU readback - copies a storage buffer back to the CPU without stalling the frame
+//
+// Each request copies the source buffer into a free staging buffer (MAP_READ | COPY_DST)
+// and maps it; the copied data arrives a frame or more later. With two staging buffers
+// one result can be in flight while the next copy is recorded. When both are busy a
+// request is skipped instead of waited for, and callers ask again on a later frame.
+//
+// Results carry an increasing sequence number so one that completes out of order never
+// replaces newer data, and a caller-supplied tag (e.g. the version of the inputs the GPU
+// computed from).
+
+export class GPUReadback {
+    /**
+     * @param {GPUDevice} device
+     * @param {number} byteLength - Size of the buffers to read back
+     * @param {Object} options
+     * @param {string} options.label - Prefix for the staging buffer labels
+     * @param {number} options.slots - Number of staging buffers
+     */
+    constructor(device, byteLength, { label = 'Readback', slots = 2 } = {}) {
+        this.device = device;
+        this.byteLength = byteLength;
+        this.slots = Array.from({ length: slots }, (_, k) => ({
+            buffer: device.createBuffer({
+                size: byteLength,
+                usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+                label: `${label} Staging ${k}`
+            }),
+            busy: false
+        }));
+
+        this.sequence = 0;
+        this.latest = null;
+        this.taken = 0;
+        this.pending = new Set();
+        this.destroyed = false;
+    }
+
+    /**
+     * Whether a request would be accepted now
+     */
+    get available() {
+        return !this.destroyed && this.slots.some((slot) => !slot.busy);
+    }
+
+    /**
+     * Copy `source` into a free staging buffer and map it
+     * @param {GPUBuffer} source - Needs COPY_SRC usage
+     * @param {*} tag - Returned with the result
+     * @returns {Promise<{data: Float32Array, sequence: number, tag: *}>|null} Null when no staging buffer is free
+     */
+    request(source, tag = null) {
+        const slot = this.slots.find((candidate) => !candidate.busy);
+        if (this.destroyed || !slot) return null;
+
+        slot.busy = true;
+        const sequence = ++this.sequence;
+
+        const encoder = this.device.createCommandEncoder();
+        encoder.copyBufferToBuffer(source, 0, slot.buffer, 0, this.byteLength);
+        this.device.queue.submit([encoder.finish()]);
+
+        const promise = slot.buffer.mapAsync(GPUMapMode.READ)
+            .then(() => {
+                // Copy out before unmapping: the mapped range is detached by unmap()
+                const data = new Float32Array(slot.buffer.getMappedRange().slice(0));
+                slot.buffer.unmap();
+
+                const result = { data, sequence, tag };
+                if (!this.latest || sequence > this.latest.sequence) {
+                    this.latest = result;
+                }
+                return result;
+            })
+            .finally(() => {
+                slot.busy = false;
+                this.pending.delete(promise);
+            });
+
+        this.pending.add(promise);
+        return promise;
+    }
+
+    /**
+     * The newest result that hasn't been taken yet, for polling once per frame
+     * @returns {{data: Float32Array, sequence: number, tag: *}|null}
+     */
+    take() {
+        if (!this.latest || this.latest.sequence <= this.taken) return null;
+
+        this.taken = this.latest.sequence;
+        return this.latest;
+    }
+
+    /**
+     * Wait until every request in flight has completed or failed
+     */
+    async flush() {
+        await Promise.allSettled([...this.pending]);
+    }
+
+    /**
+     * Wait until a staging buffer is free, then read `source` as it is now
+     * @param {GPUBuffer} source
+     * @param {*} tag
+     * @returns {Promise<{data: Float32Array, sequence: number, tag: *}>}
+     */
+    async read(source, tag = null) {
+        // Other requests (e.g. a per-frame poll) can take the freed buffers first
+        while (!this.destroyed) {
+            await this.flush();
+
+            const request = this.request(source, tag);
+            if (request) return request;
+        }
+        throw new Error('GPU readback has been destroyed');
+    }
+
+    destroy() {
+        this.destroyed = true;
+        for (const slot of this.slots) {
+            try {
+                slot.buffer.destroy();
+            } catch (error) {
+                console.warn('Error destroying readback buffer:', error);
+            }
+        }
+    }
+}
@@ -0,0 +1,262 @@
+// Software WebGPU device - the part of the GPUDevice API this project uses, run in JavaScript
+//
+// Buffers are plain ArrayBuffers and command buffers run when they are submitted. Compute
+// pipelines can't execute WGSL; instead each entry point is backed by a JavaScript kernel
+// that mirrors the shader, registered when the device is created:
+//
+//   const device = createSoftwareDevice({ kernels: { computeSDF: (bindings, workgroups) => {...} } });
+//
+// A kernel receives the bound buffers' ArrayBuffers by group and binding
+// (bindings[group][binding]) and the dispatch size in workgroups. A device can instead be
+// given a shader interpreter (`interpret`, e.g. a WGSL executor in tests) that turns each
+// pipeline's code into a kernel; such a device runs the shaders themselves and reports
+// `runsShaders`. Usage flags, mapping state
+// and copy sizes are checked like a real device does, so code run against it fails for the
+// same mistakes (e.g. copying from a buffer created without COPY_SRC).
+
+// Flag values from the WebGPU specification
+export const GPU_BUFFER_USAGE = {
+    MAP_READ: 0x0001,
+    MAP_WRITE: 0x0002,
+    COPY_SRC: 0x0004,
+    COPY_DST: 0x0008,
+    INDEX: 0x0010,
+    VERTEX: 0x0020,
+    UNIFORM: 0x0040,
+    STORAGE: 0x0080,
+    INDIRECT: 0x0100,
+    QUERY_RESOLVE: 0x0200
+};
+
+export const GPU_MAP_MODE = {
+    READ: 0x0001,
+    WRITE: 0x0002
+};
+
+/**
+ * Define GPUBufferUsage and GPUMapMode where the environment has no WebGPU (e.g. Node),
+ * so code written against the browser globals runs on the software device
+ */
+export function installWebGPUConstants() {
+    globalThis.GPUBufferUsage ??= GPU_BUFFER_USAGE;
+    globalThis.GPUMapMode ??= GPU_MAP_MODE;
+}
+
+class SoftwareBuffer {
+    constructor({ size, usage, label = '', mappedAtCreation = false }) {
+        this.size = size;
+        this.usage = usage;
+        this.label = label;
+        this.data = new ArrayBuffer(size);
+        this.mapState = mappedAtCreation ? 'mapped' : 'unmapped';
+        this.destroyed = false;
+    }
+
+    check(flag, action) {
+        if (this.destroyed) {
+            throw new Error(`${action}: buffer "${this.label}" is destroyed`);
+        }
+        if (!(this.usage & flag)) {
+            throw new Error(`${action}: buffer "${this.label}" was not created with the needed usage flag`);
+        }
+        if (this.mapState !== 'unmapped') {
+            throw new Error(`${action}: buffer "${this.label}" is ${this.mapState}`);
+        }
+    }
+
+    mapAsync(mode) {
+        const flag = mode & GPU_MAP_MODE.READ ? GPU_BUFFER_USAGE.MAP_READ : GPU_BUFFER_USAGE.MAP_WRITE;
+        try {
+            this.check(flag, 'mapAsync');
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        // Like a real device, the mapping completes after the current task
+        this.mapState = 'pending';
+        return new Promise((resolve, reject) => {
+            setTimeout(() => {
+                if (this.destroyed) {
+                    reject(new Error(`mapAsync: buffer "${this.label}" was destroyed while mapping`));
+                    return;
+                }
+                this.mapState = 'mapped';
+                resolve();
+            }, 0);
+        });
+    }
+
+    getMappedRange(offset = 0, size = this.size - offset) {
+        if (this.mapState !== 'mapped') {
+            throw new Error(`getMappedRange: buffer "${this.label}" is not mapped`);
+        }
+        return this.data.slice(offset, offset + size);
+    }
+
+    unmap() {
+        this.mapState = 'unmapped';
+    }
+
+    destroy() {
+        this.destroyed = true;
+        this.mapState = 'unmapped';
+    }
+}
+
+/**
+ * Bytes of `data` (an ArrayBuffer or typed array) from `dataOffset` on; offsets and sizes
+ * count elements for typed arrays and bytes for ArrayBuffers, as in GPUQueue.writeBuffer
+ */
+function sourceBytes(data, dataOffset = 0, size) {
+    if (ArrayBuffer.isView(data)) {
+        const element = data.BYTES_PER_ELEMENT ?? 1;
+        const count = size ?? data.length - dataOffset;
+        return new Uint8Array(data.buffer, data.byteOffset + dataOffset * element, count * element);
+    }
+    return new Uint8Array(data, dataOffset, size ?? data.byteLength - dataOffset);
+}
+
+class SoftwareComputePass {
+    constructor(commands) {
+        this.commands = commands;
+        this.pipeline = null;
+        this.bindGroups = [];
+    }
+
+    setPipeline(pipeline) {
+        this.pipeline = pipeline;
+    }
+
+    setBindGroup(index, group) {
+        this.bindGroups[index] = group;
+    }
+
+    dispatchWorkgroups(x, y = 1, z = 1) {
+        if (!this.pipeline) {
+            throw new Error('dispatchWorkgroups: no pipeline set');
+        }
+
+        const { kernel } = this.pipeline;
+        const bindings = this.bindGroups.map((group) => group && group.resolve());
+        this.commands.push(() => kernel(bindings, [x, y, z]));
+    }
+
+    end() {}
+}
+
+class SoftwareCommandEncoder {
+    constructor() {
+        this.commands = [];
+    }
+
+    beginComputePass() {
+        return new SoftwareComputePass(this.commands);
+    }
+
+    copyBufferToBuffer(source, sourceOffset, destination, destinationOffset, size) {
+        source.check(GPU_BUFFER_USAGE.COPY_SRC, 'copyBufferToBuffer source');
+        destination.check(GPU_BUFFER_USAGE.COPY_DST, 'copyBufferToBuffer destination');
+        if (sourceOffset + size > source.size || destinationOffset + size > destination.size) {
+            throw new Error('copyBufferToBuffer: copy runs past the end of a buffer');
+        }
+
+        this.commands.push(() => {
+            new Uint8Array(destination.data, destinationOffset, size)
+                .set(new Uint8Array(source.data, sourceOffset, size));
+        });
+    }
+
+    finish() {
+        return { commands: this.commands };
+    }
+}
+
+/**
+ * Create a software device
+ * @param {Object} options
+ * @param {Object<string, function>} options.kernels - JavaScript kernels by shader entry point
+ * @param {function} options.interpret - (code, entryPoint) => kernel, used instead of `kernels`
+ * @returns {Object} An object with the GPUDevice methods this project uses
+ */
+export function createSoftwareDevice({ kernels = {}, interpret = null } = {}) {
+    let resolveLost;
+    const lost = new Promise((resolve) => {
+        resolveLost = resolve;
+    });
+
+    return {
+        label: 'Software device',
+        isSoftware: true,
+        runsShaders: Boolean(interpret),
+        features: new Set(),
+        limits: { maxStorageBufferBindingSize: 1 << 30, maxBufferSize: 1 << 30 },
+        lost,
+
+        createBuffer(descriptor) {
+            return new SoftwareBuffer(descriptor);
+        },
+
+        createShaderModule({ code }) {
+            return { code };
+        },
+
+        createComputePipeline({ compute }) {
+            const kernel = interpret
+                ? interpret(compute.module.code, compute.entryPoint)
+                : kernels[compute.entryPoint];
+            if (!kernel) {
+                throw new Error(`Software device has no kernel for entry point "${compute.entryPoint}"`);
+            }
+            return {
+                kernel,
+                module: compute.module,
+                getBindGroupLayout: (index) => ({ index })
+            };
+        },
+
+        createBindGroup({ layout, entries }) {
+            return {
+                // Buffers are looked up when a dispatch is recorded, so it sees their current state
+                resolve() {
+                    const bindings = [];
+                    for (const { binding, resource } of entries) {
+                        if (resource.buffer.destroyed) {
+                            throw new Error(`Bind group ${layout.index} uses destroyed buffer "${resource.buffer.label}"`);
+                        }
+                        bindings[binding] = resource.buffer.data;
+                    }
+                    return bindings;
+                }
+            };
+        },
+
+        createCommandEncoder() {
+            return new SoftwareCommandEncoder();
+        },
+
+        queue: {
+            writeBuffer(buffer, offset, data, dataOffset, size) {
+                buffer.check(GPU_BUFFER_USAGE.COPY_DST, 'writeBuffer');
+                const bytes = sourceBytes(data, dataOffset, size);
+                if (offset + bytes.byteLength > buffer.size) {
+                    throw new Error(`writeBuffer: ${bytes.byteLength} bytes don't fit buffer "${buffer.label}"`);
+                }
+                new Uint8Array(buffer.data, offset, bytes.byteLength).set(bytes);
+            },
+
+            submit(commandBuffers) {
+                for (const { commands } of commandBuffers) {
+                    for (const command of commands) command();
+                }
+            },
+
+            onSubmittedWorkDone() {
+                return Promise.resolve();
+            }
+        },
+
+        destroy() {
+            resolveLost({ reason: 'destroyed', message: 'Software device destroyed' });
+        }
+    };
+}
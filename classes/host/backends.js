@@ -0,0 +1,52 @@
+// Sketch backends - what a sketch needs from the browser before its setup can run
+//
+// A sketch declares its backend by exporting `requiresWebGPU = true` (WebGPU compute,
+// drawn by the WebGL renderer) or `requiresWebGPURenderer = true` (drawn by three's
+// WebGPURenderer, whose device its compute shaders share); every other sketch runs on
+// the plain WebGL backend. The host calls `prepare()` on the backend before setup so a
+// missing feature produces a clear error instead of a crash inside the sketch, then
+// switches to the backend's `renderer` (see viewport.js).
+//
+// WebGPU itself is not required: GPU sketches compute on the software device when it is
+// missing (see gpu/compute_backend.js), so the WebGPU backends only say so.
+
+export const webglBackend = {
+    name: 'webgl',
+    renderer: 'webgl',
+
+    async prepare() {
+        // WebGLRenderer is created by the host, nothing else to check
+    }
+};
+
+function checkWebGPU() {
+    if (!navigator.gpu) {
+        console.warn('WebGPU not supported - GPU sketches compute on the software device');
+    }
+}
+
+export const webgpuBackend = {
+    name: 'webgpu',
+    renderer: 'webgl',
+
+    async prepare() {
+        checkWebGPU();
+    }
+};
+
+export const webgpuRendererBackend = {
+    name: 'webgpu-renderer',
+    renderer: 'webgpu',
+
+    async prepare() {
+        checkWebGPU();
+    }
+};
+
+/**
+ * Pick the backend a sketch module asks for
+ */
+export function getBackendForSketch(sketch) {
+    if (sketch.requiresWebGPURenderer) return webgpuRendererBackend;
+    return sketch.requiresWebGPU ? webgpuBackend : webglBackend;
+}
@@ -0,0 +1,112 @@
+// Sketch clock - host-owned time that sketches read instead of wall-clock time
+//
+// The host ticks the clock once per frame with the real seconds elapsed. While playing,
+// time advances by that amount times the speed multiplier; while paused it stands still
+// unless step() or seek() move it. Sketches see the result as context.time/context.delta,
+// so pausing, stepping and scrubbing work for every sketch that animates from them.
+
+const MAX_FRAME_SECONDS = 0.1; // A hidden tab or breakpoint should not make time jump
+const STEP_SECONDS = 1 / 60;   // One step is one frame at 60 fps
+
+export class SketchClock {
+    constructor() {
+        this.time = 0;
+        this.delta = 0;
+        this.frame = 0;
+        this.speed = 1;
+        this.playing = true;
+
+        // Time movement requested by step()/seek() while paused, applied on the next tick
+        this.pendingSeconds = 0;
+        this.pendingFrames = 0;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Advance the clock by one rendered frame
+     * @param {number} realSeconds - Wall-clock seconds since the previous frame
+     */
+    tick(realSeconds) {
+        let delta = this.pendingSeconds;
+        if (this.playing) {
+            delta += Math.min(realSeconds, MAX_FRAME_SECONDS) * this.speed;
+        }
+
+        const advanced = this.playing || this.pendingFrames > 0 || this.pendingSeconds !== 0;
+        this.pendingSeconds = 0;
+        this.pendingFrames = 0;
+
+        const previous = this.time;
+        this.time = Math.max(0, this.time + delta);
+        this.delta = this.time - previous;
+        if (advanced) this.frame++;
+    }
+
+    play() {
+        this.playing = true;
+        this.notify();
+    }
+
+    pause() {
+        this.playing = false;
+        this.notify();
+    }
+
+    toggle() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Move forward (or backward, with a negative count) by whole frames
+     */
+    step(frames = 1) {
+        this.pendingSeconds += frames * STEP_SECONDS * this.speed;
+        this.pendingFrames += Math.abs(frames);
+        this.notify();
+    }
+
+    /**
+     * Jump to an absolute time in seconds
+     */
+    seek(time) {
+        this.pendingSeconds = Math.max(0, time) - this.time;
+        this.pendingFrames = 1;
+        this.notify();
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        this.notify();
+    }
+
+    /**
+     * Restart at time zero, keeping the play state and speed
+     */
+    reset() {
+        this.time = 0;
+        this.delta = 0;
+        this.frame = 0;
+        this.pendingSeconds = 0;
+        this.pendingFrames = 0;
+        this.notify();
+    }
+
+    /**
+     * Register a callback for play/pause/speed/seek changes
+     * @returns {function} Unsubscribe function
+     */
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    notify() {
+        for (const callback of this.listeners) {
+            callback(this);
+        }
+    }
+}
@@ -0,0 +1,46 @@
+// Error overlay shown when a sketch fails to initialize
+
+/**
+ * Show an error message in the middle of the screen
+ * @returns {HTMLDivElement} The overlay, so the caller can remove it later
+ */
+export function showErrorOverlay(error) {
+    const errorDiv = document.createElement('div');
+    errorDiv.style.cssText = `
+        position: fixed;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        background: rgba(255, 0, 0, 0.9);
+        color: white;
+        padding: 20px;
+        border-radius: 10px;
+        font-family: Arial, sans-serif;
+        font-size: 16px;
+        text-align: center;
+        z-index: 1000;
+        max-width: 500px;
+    `;
+
+    if (error.message.includes('WebGPU')) {
+        errorDiv.innerHTML = `
+            <h3>WebGPU Not Available</h3>
+            <p>To enable WebGPU in Chrome:</p>
+            <ol style="text-align: left;">
+                <li>Go to <code>chrome://flags</code></li>
+                <li>Search for "WebGPU"</li>
+                <li>Enable "Unsafe WebGPU"</li>
+                <li>Restart Chrome</li>
+            </ol>
+            <p><strong>Error:</strong> ${error.message}</p>
+        `;
+    } else {
+        errorDiv.innerHTML = `
+            <h3>Initialization Error</h3>
+            <p><strong>Error:</strong> ${error.message}</p>
+        `;
+    }
+
+    document.body.appendChild(errorDiv);
+    return errorDiv;
+}
@@ -0,0 +1,53 @@
+import { listExportableObjects, downloadObjects, SCENE_FORMATS } from '../export/scene_export.js';
+
+// Export menu - a folder in the parameter panel that saves scene objects to STL, OBJ, PLY or glTF
+//
+// The object list follows the scene: it is refreshed whenever the folder is opened and
+// after the host sets up a sketch.
+
+const ALL_OBJECTS = 'all objects';
+
+/**
+ * Add the export folder to a panel
+ * @param {GUI} gui - The parameter panel's root
+ * @param {THREE.Scene} scene
+ * @param {function(): string} getBasename - File name (without extension) for the next export
+ * @returns {{ refresh: function }}
+ */
+export function createExportMenu(gui, scene, getBasename) {
+    const folder = gui.addFolder('Export scene');
+    const settings = { object: ALL_OBJECTS, format: 'stl', binary: true };
+    let targets = [];
+
+    const actions = {
+        export: () => {
+            const objects = settings.object === ALL_OBJECTS
+                ? targets.map((target) => target.object)
+                : targets.filter((target) => target.label === settings.object).map((target) => target.object);
+
+            downloadObjects(objects, settings.format, getBasename(), { binary: settings.binary })
+                .catch((error) => console.error('Failed to export scene:', error));
+        }
+    };
+
+    // Rebuild the controls with the objects currently in the scene
+    function refresh() {
+        targets = listExportableObjects(scene);
+        const labels = [ALL_OBJECTS, ...targets.map((target) => target.label)];
+        if (!labels.includes(settings.object)) settings.object = ALL_OBJECTS;
+
+        for (const controller of [...folder.controllers]) {
+            controller.destroy();
+        }
+        folder.add(settings, 'object', labels);
+        folder.add(settings, 'format', SCENE_FORMATS);
+        folder.add(settings, 'binary').name('binary (stl, ply, glb)');
+        folder.add(actions, 'export').name('export');
+    }
+
+    folder.$title.addEventListener('click', refresh);
+    refresh();
+    folder.close();
+
+    return { refresh };
+}
@@ -0,0 +1,426 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import Stats from 'three/examples/jsm/libs/stats.module.js';
+import { listSketches, hasSketch, loadSketch, getSketchIdFromURL, setSketchIdInURL } from './sketch_registry.js';
+import { createSketchPicker } from './sketch_picker.js';
+import { clearScene } from './scene_utils.js';
+import { getBackendForSketch } from './backends.js';
+import { showErrorOverlay } from './error_overlay.js';
+import { createSketchContext } from './sketch_context.js';
+import { createViewport } from './viewport.js';
+import { GPUContext } from '../gpu/gpu_context.js';
+import { SketchClock } from './clock.js';
+import { createTimeline } from './timeline.js';
+import { createParamsPanel, getDefaultParams } from './params_panel.js';
+import { createExportMenu } from './export_menu.js';
+import {
+    captureState,
+    writeStateToHash,
+    readStateFromHash,
+    applySavedParams,
+    applyCameraState,
+    downloadPreset,
+    uploadPreset
+} from './share_state.js';
+
+const HASH_UPDATE_DELAY = 300; // ms
+
+// Add default lighting (re-added every time the scene is cleared for a new sketch)
+function addDefaultLighting(scene) {
+    const ambientLight = new THREE.AmbientLight(0xffffff, 0.4); // Reduced ambient light
+    scene.add(ambientLight);
+
+    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8); // Reduced directional light
+    directionalLight.position.set(5, 5, 5);
+    directionalLight.castShadow = true;
+    scene.add(directionalLight);
+
+    // Add a subtle point light for more depth
+    const pointLight = new THREE.PointLight(0xffffff, 0.6); // Reduced point light
+    pointLight.position.set(-5, 3, -5);
+    scene.add(pointLight);
+}
+
+/**
+ * Start the sketch host: scene, camera, renderer, controls, lighting and the sketch lifecycle.
+ *
+ * Sketch modules export:
+ *   setup(scene, camera, context)   - sync or async, returns the sketch's objects
+ *   update(objects, context)        - called every frame
+ *   resize(objects, context)        - optional, called when the canvas size changes
+ *   dispose(objects, context)       - optional, frees resources before switching away
+ *                                     (`cleanup(objects)` is still accepted)
+ *   requiresWebGPU                  - optional, true to run on the WebGPU backend
+ *   requiresWebGPURenderer          - optional, true to be drawn by three's WebGPURenderer
+ *                                     (context.renderer, see viewport.js)
+ *   duration                        - optional, seconds covered by the timeline scrubber
+ *                                     (or a function of the context returning them)
+ *   params                          - optional parameter schema shown as a control panel
+ *                                     (see params_panel.js); values are in context.params
+ *   paramsChanged(objects, changed, context)
+ *                                   - optional, called with { key: value } when a
+ *                                     parameter without `rebuild` changes
+ *   actions                         - optional buttons shown with the parameters, each
+ *                                     { label, folder, run(objects, context) }
+ * See sketch_context.js for the fields of `context`.
+ *
+ * The sketch id, parameter values and camera pose are kept in the URL hash so a link
+ * reproduces the current view; the same state can be saved and loaded as a JSON preset.
+ * @param {Object} options
+ * @param {string} options.defaultSketch - Sketch to load when the URL does not name one
+ */
+export function startHost({ defaultSketch }) {
+    // Create scene
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(0xffffff); // White background
+
+    // Create camera with 35mm equivalent field of view
+    const camera = new THREE.PerspectiveCamera(54, window.innerWidth / window.innerHeight, 0.1, 1000);
+    camera.position.set(10, 10, 10); // Adjusted position for better view of the grid
+    camera.lookAt(0, 0, 0);
+
+    // Canvas and renderer; sketches may switch it to the WebGPURenderer
+    const viewport = createViewport();
+
+    // Add FPS counter
+    const stats = new Stats();
+    stats.showPanel(0); // 0: fps, 1: ms, 2: mb, 3+: custom
+    document.body.appendChild(stats.dom);
+
+    // Make stats panel smaller and more subtle
+    stats.dom.style.transform = 'scale(0.5)';
+    stats.dom.style.transformOrigin = 'top left';
+    stats.dom.style.opacity = '0.8';
+    stats.dom.style.position = 'absolute';
+    stats.dom.style.top = '0';
+    stats.dom.style.left = '0';
+    stats.dom.style.zIndex = '100';
+
+    // Add orbit controls
+    const controls = new OrbitControls(camera, viewport.element);
+    controls.enableDamping = true; // Add smooth damping effect
+    controls.dampingFactor = 0.05;
+    controls.screenSpacePanning = false;
+    controls.minDistance = 3;
+    controls.maxDistance = 20;
+    controls.maxPolarAngle = Math.PI / 2; // Prevent camera from going below ground
+
+    addDefaultLighting(scene);
+
+    // Sketch time is owned by the host clock so it can be paused, stepped and scrubbed
+    const clock = new SketchClock();
+    const timeline = createTimeline(clock);
+    const timer = new THREE.Clock();
+
+    // Compute device for GPU sketches, created when the first one asks for it
+    const gpu = new GPUContext();
+
+    // Context passed to every sketch hook
+    const context = createSketchContext(viewport, scene, camera, clock, gpu);
+
+    // Current sketch state
+    let currentSketch = null;
+    let currentObjects = null;
+    let currentGPUMark = 0; // GPU buffers created after it belong to the current sketch
+    let activeSketchId = null;
+    let activeSketch = null; // Module of the active sketch, kept when its setup fails so it can be rebuilt
+    let activeSchema = {};
+    let errorDiv = null;
+    let paramsPanel = null;
+    let exportMenu = null;
+    let picker = null;
+    let hashTimeout = null;
+    let loadCounter = 0;
+    let animationFrame = null;
+
+    // Handle window resize
+    function onResize() {
+        camera.aspect = window.innerWidth / window.innerHeight;
+        camera.updateProjectionMatrix();
+        viewport.setSize();
+        context.updateSize();
+
+        if (currentSketch && currentSketch.resize && currentObjects) {
+            currentSketch.resize(currentObjects, context);
+        }
+    }
+    window.addEventListener('resize', onResize);
+
+    // Free a sketch's resources through its dispose hook (or the older cleanup name)
+    function disposeSketchObjects(sketch, objects) {
+        if (!objects) return;
+        if (sketch.dispose) {
+            sketch.dispose(objects, context);
+        } else if (sketch.cleanup) {
+            sketch.cleanup(objects);
+        }
+    }
+
+    // Cleanup the outgoing sketch's resources, warning about GPU buffers it didn't free
+    function cleanupSketch() {
+        if (currentSketch) {
+            disposeSketchObjects(currentSketch, currentObjects);
+            gpu.reportLeaks(currentGPUMark, `Sketch "${activeSketchId}"`);
+        }
+        currentSketch = null;
+        currentObjects = null;
+    }
+
+    function getSketchDuration(sketch) {
+        return typeof sketch.duration === 'function' ? sketch.duration(context) : sketch.duration;
+    }
+
+    // Cleanup the outgoing sketch and reset the scene to just the default lighting
+    function resetScene() {
+        cleanupSketch();
+        clearScene(scene);
+        addDefaultLighting(scene);
+    }
+
+    // Run a sketch's setup (sync or async) and make it current unless a newer load started
+    async function runSetup(sketch, loadId) {
+        const gpuMark = gpu.mark();
+        const objects = await sketch.setup(scene, camera, context);
+        if (loadId !== loadCounter) {
+            disposeSketchObjects(sketch, objects);
+            return;
+        }
+
+        currentSketch = sketch;
+        currentObjects = objects;
+        currentGPUMark = gpuMark;
+        if (exportMenu) exportMenu.refresh();
+        timer.getDelta(); // Don't count setup time as the first frame's delta
+        timeline.setDuration(getSketchDuration(sketch));
+    }
+
+    function showError(error, loadId) {
+        console.error('Sketch initialization failed:', error);
+        if (loadId === loadCounter) errorDiv = showErrorOverlay(error);
+    }
+
+    function hideError() {
+        if (errorDiv) {
+            errorDiv.remove();
+            errorDiv = null;
+        }
+    }
+
+    // Set up the sketch again with the current parameter values, keeping the clock running
+    async function rebuildSketch() {
+        const sketch = activeSketch;
+        if (!sketch) return;
+
+        const loadId = ++loadCounter;
+        hideError();
+
+        try {
+            resetScene();
+            await runSetup(sketch, loadId);
+        } catch (error) {
+            showError(error, loadId);
+        }
+    }
+
+    function getCurrentState() {
+        return captureState(activeSketchId, context.params, camera, controls);
+    }
+
+    // Write the state into the URL hash once the user stops changing things
+    function scheduleHashUpdate() {
+        clearTimeout(hashTimeout);
+        hashTimeout = setTimeout(() => writeStateToHash(getCurrentState()), HASH_UPDATE_DELAY);
+    }
+
+    // Tell the sketch which parameters changed, rebuilding it if any of them needs that
+    function applyParamChanges(changed) {
+        const keys = Object.keys(changed);
+        if (keys.length === 0) return;
+
+        if (keys.some((key) => activeSchema[key] && activeSchema[key].rebuild)) {
+            rebuildSketch();
+        } else if (currentSketch && currentSketch.paramsChanged && currentObjects) {
+            currentSketch.paramsChanged(currentObjects, changed, context);
+            timeline.setDuration(getSketchDuration(currentSketch));
+            if (exportMenu) exportMenu.refresh();
+        }
+        scheduleHashUpdate();
+    }
+
+    function onParamChange(key, value) {
+        applyParamChanges({ [key]: value });
+    }
+
+    // Run a sketch action (sync or async) once the sketch is set up
+    function onAction(key, definition) {
+        if (!currentObjects || currentObjects.error) return;
+        new Promise((resolve) => resolve(definition.run(currentObjects, context)))
+            .catch((error) => console.error(`Action "${key}" failed:`, error));
+    }
+
+    // Apply a preset or shared state, switching sketch first if it names another one
+    function applyState(state) {
+        if (state.sketch !== activeSketchId) {
+            if (!hasSketch(state.sketch)) {
+                console.error(`Preset sketch "${state.sketch}" not found`);
+                return;
+            }
+            picker.value = state.sketch;
+            switchSketch(state.sketch, state);
+            return;
+        }
+
+        const changed = applySavedParams(activeSchema, context.params, state.params);
+        if (paramsPanel) paramsPanel.refresh();
+        applyParamChanges(changed);
+        applyCameraState(state.camera, camera, controls);
+    }
+
+    // Buttons for saving and loading presets, shown under the sketch's parameters
+    function addPresetControls(gui) {
+        const actions = {
+            save: () => downloadPreset(getCurrentState()),
+            load: () => {
+                uploadPreset()
+                    .then(applyState)
+                    .catch((error) => console.error('Failed to load preset:', error));
+            },
+            copyLink: () => {
+                writeStateToHash(getCurrentState());
+                navigator.clipboard.writeText(window.location.href)
+                    .catch((error) => console.error('Failed to copy link:', error));
+            }
+        };
+
+        const folder = gui.addFolder('Preset');
+        folder.add(actions, 'save').name('save preset');
+        folder.add(actions, 'load').name('load preset');
+        folder.add(actions, 'copyLink').name('copy link');
+        folder.close();
+    }
+
+    // Replace the parameter panel with one for the given sketch
+    function showParams(sketch, savedParams) {
+        if (paramsPanel) {
+            paramsPanel.dispose();
+            paramsPanel = null;
+            exportMenu = null;
+        }
+
+        activeSchema = sketch.params || {};
+        context.params = getDefaultParams(activeSchema);
+        applySavedParams(activeSchema, context.params, savedParams);
+
+        paramsPanel = createParamsPanel(activeSchema, context.params, onParamChange, sketch.actions, onAction);
+        addPresetControls(paramsPanel.gui);
+        exportMenu = createExportMenu(paramsPanel.gui, scene, () => activeSketchId);
+    }
+
+    // Switch to another sketch: cleanup the outgoing one, clear the scene, setup the new one.
+    // A saved state restores parameter values and the camera pose.
+    async function switchSketch(id, savedState = null) {
+        const loadId = ++loadCounter;
+        hideError();
+
+        try {
+            const sketch = await loadSketch(id);
+
+            // A newer switch started while this module was loading
+            if (loadId !== loadCounter) return;
+
+            resetScene();
+            activeSketchId = id;
+            activeSketch = sketch;
+            setSketchIdInURL(id);
+            showParams(sketch, savedState && savedState.params);
+            if (savedState) applyCameraState(savedState.camera, camera, controls);
+            scheduleHashUpdate();
+
+            const backend = getBackendForSketch(sketch);
+            await backend.prepare();
+            await viewport.use(backend.renderer);
+            if (loadId !== loadCounter) return;
+            context.updateSize();
+
+            context.reset();
+            await runSetup(sketch, loadId);
+            console.log(`Sketch "${id}" initialized successfully`);
+        } catch (error) {
+            showError(error, loadId);
+        }
+    }
+
+    // Cleanup function
+    function dispose() {
+        console.log('Cleaning up application...');
+
+        if (animationFrame !== null) {
+            cancelAnimationFrame(animationFrame);
+            animationFrame = null;
+        }
+
+        // Clean up sketch resources
+        cleanupSketch();
+
+        // Clean up Three.js resources
+        clearScene(scene);
+        context.dispose();
+        timeline.dispose();
+        if (paramsPanel) paramsPanel.dispose();
+        controls.dispose();
+        viewport.dispose();
+        gpu.destroy();
+
+        // Remove event listeners
+        clearTimeout(hashTimeout);
+        controls.removeEventListener('change', scheduleHashUpdate);
+        window.removeEventListener('resize', onResize);
+        window.removeEventListener('beforeunload', dispose);
+        window.removeEventListener('pagehide', dispose);
+
+        console.log('Application cleanup complete');
+    }
+
+    // Add cleanup on page unload
+    window.addEventListener('beforeunload', dispose);
+    window.addEventListener('pagehide', dispose);
+
+    // Keep the camera pose in the URL hash
+    controls.addEventListener('change', scheduleHashUpdate);
+
+    // Start with the state in the URL hash, else the sketch named by ?sketch=
+    const hashState = readStateFromHash();
+    const initialSketch = hashState && hasSketch(hashState.sketch)
+        ? hashState.sketch
+        : getSketchIdFromURL(defaultSketch);
+    picker = createSketchPicker(listSketches(), initialSketch, (id) => switchSketch(id));
+    switchSketch(initialSketch, hashState && hashState.sketch === initialSketch ? hashState : null);
+
+    // Animation loop
+    function animate() {
+        animationFrame = requestAnimationFrame(animate);
+
+        // Begin measuring frame time
+        stats.begin();
+
+        // Update controls
+        controls.update();
+
+        // Update the current sketch (only if initialized)
+        const delta = timer.getDelta();
+        if (currentSketch && currentObjects && !currentObjects.error) {
+            context.advance(delta);
+            currentSketch.update(currentObjects, context);
+        }
+        timeline.update();
+
+        viewport.renderer.render(scene, camera);
+
+        // End measuring frame time
+        stats.end();
+    }
+
+    animate();
+
+    return { scene, camera, viewport, controls, clock, context, gpu, switchSketch, dispose };
+}
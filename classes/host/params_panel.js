@@ -0,0 +1,111 @@
+import GUI from 'three/examples/jsm/libs/lil-gui.module.min.js';
+
+// Parameter panel - renders a sketch's parameter schema as live controls
+//
+// A sketch exports `params`, an object of parameter definitions keyed by name:
+//   a1:        { value: 1.0, min: -2, max: 2, step: 0.01 }         number slider
+//   tint:      { value: '#ff0000', type: 'color' }                 color picker
+//   showGrid:  { value: true }                                     checkbox
+//   surface:   { value: 'gyroid', options: ['gyroid', 'schwarzP'] } dropdown
+// Optional fields on any definition:
+//   label   - text shown instead of the key
+//   folder  - group the control into a collapsible folder
+//   rebuild - true if a change needs the sketch to be set up again (e.g. a grid size);
+//             such changes are applied when the user releases the control
+//
+// A sketch may also export `actions`, buttons keyed by name that run on the sketch's objects:
+//   exportSVG: { label: 'export SVG', folder: 'Export', run: (objects, context) => {...} }
+// `run` may be async.
+
+/**
+ * Work out which control a parameter definition asks for
+ */
+export function getParamType(definition) {
+    if (definition.type) return definition.type;
+    if (definition.options) return 'enum';
+    if (typeof definition.value === 'boolean') return 'boolean';
+    if (typeof definition.value === 'string') return 'string';
+    return 'number';
+}
+
+/**
+ * Build a values object holding the default of every parameter in a schema
+ */
+export function getDefaultParams(schema = {}) {
+    const values = {};
+    for (const [key, definition] of Object.entries(schema)) {
+        values[key] = definition.value;
+    }
+    return values;
+}
+
+/**
+ * Create the control panel for a schema
+ * @param {Object} schema - The sketch's `params` export
+ * @param {Object} values - Object the controls read from and write to
+ * @param {function(string, *, Object)} onChange - Called with key, new value and definition
+ * @param {Object} actions - The sketch's `actions` export
+ * @param {function(string, Object)} onAction - Called with key and definition when a button is pressed
+ * @returns {{ gui: GUI, refresh: function, dispose: function }}
+ */
+export function createParamsPanel(schema, values, onChange, actions = {}, onAction = () => {}) {
+    const gui = new GUI({ title: 'Parameters' });
+
+    // Sit below the sketch picker in the top right corner
+    gui.domElement.style.top = '40px';
+    gui.domElement.addEventListener('pointerdown', (event) => event.stopPropagation());
+
+    const folders = new Map();
+    function getFolder(name) {
+        if (!name) return gui;
+        if (!folders.has(name)) folders.set(name, gui.addFolder(name));
+        return folders.get(name);
+    }
+
+    for (const [key, definition] of Object.entries(schema)) {
+        const parent = getFolder(definition.folder);
+        let controller;
+
+        switch (getParamType(definition)) {
+            case 'color':
+                controller = parent.addColor(values, key);
+                break;
+            case 'enum':
+                controller = parent.add(values, key, definition.options);
+                break;
+            case 'number':
+                controller = parent.add(values, key, definition.min, definition.max, definition.step);
+                break;
+            default:
+                controller = parent.add(values, key);
+        }
+
+        if (definition.label) controller.name(definition.label);
+
+        // Expensive changes wait until the slider is released
+        const event = definition.rebuild ? 'onFinishChange' : 'onChange';
+        controller[event]((value) => onChange(key, value, definition));
+    }
+
+    for (const [key, definition] of Object.entries(actions)) {
+        const button = getFolder(definition.folder).add({ [key]: () => onAction(key, definition) }, key);
+        if (definition.label) button.name(definition.label);
+    }
+
+    return {
+        gui,
+
+        /**
+         * Update the controls after `values` was changed from code
+         */
+        refresh() {
+            for (const controller of gui.controllersRecursive()) {
+                controller.updateDisplay();
+            }
+        },
+
+        dispose() {
+            gui.destroy();
+        }
+    };
+}
@@ -0,0 +1,19 @@
+// Helpers for resetting the scene between sketches
+
+/**
+ * Remove every object from the scene and free its GPU resources
+ */
+export function clearScene(scene) {
+    scene.traverse((object) => {
+        if (object.geometry) {
+            object.geometry.dispose();
+        }
+        if (object.material) {
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            for (const material of materials) {
+                material.dispose();
+            }
+        }
+    });
+    scene.clear();
+}
@@ -0,0 +1,156 @@
+// Shareable state - sketch id, parameter values and camera pose in the URL hash and
+// in JSON preset files
+//
+// State format (also the preset file format):
+//   {
+//     version: 1,
+//     sketch: 'example_minSrfs',
+//     params: { a1: 0.5, ... },
+//     camera: { position: [x, y, z], target: [x, y, z] }
+//   }
+
+import { getParamType } from './params_panel.js';
+import { downloadFile } from '../export/download.js';
+
+const STATE_VERSION = 1;
+
+/**
+ * Collect the current state of the host
+ */
+export function captureState(sketchId, params, camera, controls) {
+    return {
+        version: STATE_VERSION,
+        sketch: sketchId,
+        params: { ...params },
+        camera: {
+            position: camera.position.toArray(),
+            target: controls.target.toArray()
+        }
+    };
+}
+
+/**
+ * Check that a parsed object looks like a saved state
+ */
+function validateState(state) {
+    if (!state || typeof state !== 'object' || typeof state.sketch !== 'string') {
+        throw new Error('Not a sketch preset: missing "sketch"');
+    }
+    if (state.version > STATE_VERSION) {
+        console.warn(`Preset version ${state.version} is newer than supported version ${STATE_VERSION}`);
+    }
+    return state;
+}
+
+/**
+ * Write the state into the URL hash without reloading the page
+ */
+export function writeStateToHash(state) {
+    const url = new URL(window.location.href);
+    url.hash = encodeURIComponent(JSON.stringify(state));
+    window.history.replaceState(null, '', url);
+}
+
+/**
+ * Read the state from the URL hash
+ * @returns {Object|null} The state, or null if the hash is empty or invalid
+ */
+export function readStateFromHash() {
+    const hash = window.location.hash.slice(1);
+    if (!hash) return null;
+
+    try {
+        return validateState(JSON.parse(decodeURIComponent(hash)));
+    } catch (error) {
+        console.warn('Ignoring invalid state in URL hash:', error);
+        return null;
+    }
+}
+
+/**
+ * Copy saved parameter values into `values`, skipping keys the schema does not know
+ * and values of the wrong type; numbers are clamped to the schema's range
+ */
+export function applySavedParams(schema, values, savedParams = {}) {
+    const changed = {};
+
+    for (const [key, saved] of Object.entries(savedParams)) {
+        const definition = schema[key];
+        if (!definition) continue;
+
+        let value = saved;
+        switch (getParamType(definition)) {
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+                if (definition.min !== undefined) value = Math.max(definition.min, value);
+                if (definition.max !== undefined) value = Math.min(definition.max, value);
+                break;
+            case 'boolean':
+                if (typeof value !== 'boolean') continue;
+                break;
+            case 'enum': {
+                const options = Array.isArray(definition.options)
+                    ? definition.options
+                    : Object.values(definition.options);
+                if (!options.includes(value)) continue;
+                break;
+            }
+            default:
+                if (typeof value !== typeof definition.value) continue;
+        }
+
+        if (values[key] !== value) {
+            values[key] = value;
+            changed[key] = value;
+        }
+    }
+
+    return changed;
+}
+
+/**
+ * Move the camera and orbit target to a saved pose
+ */
+export function applyCameraState(cameraState, camera, controls) {
+    if (!cameraState) return;
+
+    if (Array.isArray(cameraState.position) && cameraState.position.length === 3) {
+        camera.position.fromArray(cameraState.position);
+    }
+    if (Array.isArray(cameraState.target) && cameraState.target.length === 3) {
+        controls.target.fromArray(cameraState.target);
+    }
+    controls.update();
+}
+
+/**
+ * Save the state as a downloadable JSON preset file
+ */
+export function downloadPreset(state, filename = `${state.sketch}.preset.json`) {
+    downloadFile(JSON.stringify(state, null, 2), filename, 'application/json');
+}
+
+/**
+ * Ask the user for a JSON preset file and parse it
+ * @returns {Promise<Object>} The state stored in the file
+ */
+export function uploadPreset() {
+    return new Promise((resolve, reject) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+
+            try {
+                resolve(validateState(JSON.parse(await file.text())));
+            } catch (error) {
+                reject(error);
+            }
+        });
+
+        input.click();
+    });
+}
@@ -0,0 +1,114 @@
+// Sketch context - the per-frame state the host hands to every sketch hook
+//
+// Sketches receive the same context object in setup, update, resize and dispose:
+//   time     - clock seconds since the sketch was set up
+//   delta    - clock seconds since the previous frame (0 while paused, negative when
+//              scrubbing backwards)
+//   frame    - number of frames the clock has advanced since setup
+//   clock    - the host's SketchClock (see clock.js)
+//   pointer  - { x, y } in normalized device coordinates (-1..1), { clientX, clientY }
+//              in pixels, isDown and buttons
+//   size     - { width, height, pixelRatio } of the canvas
+//   params   - current values of the sketch's parameters (see params_panel.js)
+//   renderer, scene, camera - the host's Three.js objects; renderer is the active one,
+//              a WebGPURenderer for sketches that require it (see viewport.js)
+//   gpu      - the host's GPUContext, the compute device shared by sketches (see
+//              gpu/gpu_context.js)
+
+/**
+ * Create a context bound to the host's viewport, scene, camera, clock and GPU context.
+ * Listens for pointer events on the viewport until dispose() is called.
+ */
+export function createSketchContext(viewport, scene, camera, clock, gpu) {
+    const canvas = viewport.element;
+
+    const context = {
+        time: 0,
+        delta: 0,
+        frame: 0,
+        pointer: {
+            x: 0,
+            y: 0,
+            clientX: 0,
+            clientY: 0,
+            isDown: false,
+            buttons: 0
+        },
+        size: {
+            width: 0,
+            height: 0,
+            pixelRatio: viewport.renderer.getPixelRatio()
+        },
+        params: {},
+        clock,
+        get renderer() {
+            return viewport.renderer;
+        },
+        scene,
+        camera,
+        gpu
+    };
+
+    function onPointerMove(event) {
+        const rect = canvas.getBoundingClientRect();
+        context.pointer.clientX = event.clientX - rect.left;
+        context.pointer.clientY = event.clientY - rect.top;
+        context.pointer.x = (context.pointer.clientX / rect.width) * 2 - 1;
+        context.pointer.y = -(context.pointer.clientY / rect.height) * 2 + 1;
+        context.pointer.buttons = event.buttons;
+    }
+
+    function onPointerDown(event) {
+        onPointerMove(event);
+        context.pointer.isDown = true;
+    }
+
+    function onPointerUp(event) {
+        onPointerMove(event);
+        context.pointer.isDown = false;
+    }
+
+    canvas.addEventListener('pointermove', onPointerMove);
+    canvas.addEventListener('pointerdown', onPointerDown);
+    window.addEventListener('pointerup', onPointerUp);
+
+    /**
+     * Read the current canvas size into context.size
+     */
+    context.updateSize = function () {
+        context.size.width = canvas.clientWidth;
+        context.size.height = canvas.clientHeight;
+        context.size.pixelRatio = viewport.renderer.getPixelRatio();
+    };
+
+    function syncClock() {
+        context.time = clock.time;
+        context.delta = clock.delta;
+        context.frame = clock.frame;
+    }
+
+    /**
+     * Restart time and frame counting (called when a new sketch is set up)
+     */
+    context.reset = function () {
+        clock.reset();
+        syncClock();
+    };
+
+    /**
+     * Tick the clock with the real seconds elapsed since the previous frame
+     */
+    context.advance = function (seconds) {
+        clock.tick(seconds);
+        syncClock();
+    };
+
+    context.dispose = function () {
+        canvas.removeEventListener('pointermove', onPointerMove);
+        canvas.removeEventListener('pointerdown', onPointerDown);
+        window.removeEventListener('pointerup', onPointerUp);
+    };
+
+    context.updateSize();
+    return context;
+}
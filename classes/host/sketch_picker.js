@@ -0,0 +1,39 @@
+// On-screen sketch picker - a small dropdown in the top right corner
+
+/**
+ * Create a dropdown listing the given sketch ids
+ * @param {string[]} sketchIds - Ids to list
+ * @param {string} currentId - Initially selected id
+ * @param {function(string)} onSelect - Called with the id the user picks
+ */
+export function createSketchPicker(sketchIds, currentId, onSelect) {
+    const select = document.createElement('select');
+    select.style.cssText = `
+        position: absolute;
+        top: 10px;
+        right: 10px;
+        z-index: 100;
+        padding: 4px 8px;
+        font-family: Arial, sans-serif;
+        font-size: 12px;
+        background: rgba(255, 255, 255, 0.8);
+        border: 1px solid #ccc;
+        border-radius: 4px;
+    `;
+
+    for (const id of sketchIds) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = id;
+        select.appendChild(option);
+    }
+    select.value = currentId;
+
+    select.addEventListener('change', () => onSelect(select.value));
+
+    // Keep the picker from triggering orbit controls
+    select.addEventListener('pointerdown', (event) => event.stopPropagation());
+
+    document.body.appendChild(select);
+    return select;
+}
@@ -0,0 +1,67 @@
+// Sketch registry - discovers every module in sketches/ and loads them on demand
+
+// Vite resolves this glob at build time; each entry is a lazy import function
+const sketchModules = import.meta.glob('../../sketches/*.js');
+
+/**
+ * Turn a module path like '../../sketches/example_sdf.js' into 'example_sdf'
+ */
+function sketchIdFromPath(path) {
+    return path.split('/').pop().replace(/\.js$/, '');
+}
+
+const sketchLoaders = new Map();
+for (const [path, loader] of Object.entries(sketchModules)) {
+    sketchLoaders.set(sketchIdFromPath(path), loader);
+}
+
+/**
+ * List the ids of all available sketches, sorted alphabetically
+ */
+export function listSketches() {
+    return [...sketchLoaders.keys()].sort();
+}
+
+/**
+ * Check whether a sketch with the given id exists
+ */
+export function hasSketch(id) {
+    return sketchLoaders.has(id);
+}
+
+/**
+ * Load a sketch module by id
+ */
+export async function loadSketch(id) {
+    const loader = sketchLoaders.get(id);
+    if (!loader) {
+        throw new Error(`Unknown sketch "${id}". Available: ${listSketches().join(', ')}`);
+    }
+
+    const module = await loader();
+    if (typeof module.setup !== 'function') {
+        throw new Error(`Sketch "${id}" does not export a setup function`);
+    }
+
+    return module;
+}
+
+/**
+ * Read the sketch id from the ?sketch= URL parameter, falling back to the default
+ */
+export function getSketchIdFromURL(defaultId) {
+    const params = new URLSearchParams(window.location.search);
+    const id = params.get('sketch');
+    if (id && hasSketch(id)) return id;
+    if (id) console.warn(`Sketch "${id}" not found, using "${defaultId}"`);
+    return defaultId;
+}
+
+/**
+ * Write the sketch id into the ?sketch= URL parameter without reloading the page
+ */
+export function setSketchIdInURL(id) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('sketch', id);
+    window.history.replaceState(null, '', url);
+}
@@ -0,0 +1,134 @@
+// Timeline bar - play/pause, single step, speed and a scrubber for the sketch clock
+//
+// Keyboard: space toggles play/pause, left/right arrows step one frame while paused.
+
+const SPEEDS = [0.1, 0.25, 0.5, 1, 2, 4];
+const DEFAULT_DURATION = 60; // seconds shown on the scrubber when a sketch does not say
+
+function createButton(label, title) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.title = title;
+    button.style.cssText = `
+        min-width: 28px;
+        padding: 2px 6px;
+        font-family: Arial, sans-serif;
+        font-size: 12px;
+        cursor: pointer;
+    `;
+    return button;
+}
+
+/**
+ * Create the timeline bar bound to a SketchClock
+ */
+export function createTimeline(clock) {
+    const bar = document.createElement('div');
+    bar.style.cssText = `
+        position: absolute;
+        bottom: 10px;
+        left: 50%;
+        transform: translateX(-50%);
+        z-index: 100;
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        padding: 4px 8px;
+        font-family: Arial, sans-serif;
+        font-size: 12px;
+        background: rgba(255, 255, 255, 0.8);
+        border: 1px solid #ccc;
+        border-radius: 4px;
+    `;
+
+    const playButton = createButton('❚❚', 'Play / pause (space)');
+    const stepButton = createButton('▶|', 'Step one frame (right arrow)');
+
+    const speedSelect = document.createElement('select');
+    speedSelect.title = 'Speed';
+    for (const speed of SPEEDS) {
+        const option = document.createElement('option');
+        option.value = String(speed);
+        option.textContent = `${speed}×`;
+        speedSelect.appendChild(option);
+    }
+
+    const scrubber = document.createElement('input');
+    scrubber.type = 'range';
+    scrubber.min = '0';
+    scrubber.step = '0.001';
+    scrubber.style.width = '240px';
+
+    const timeLabel = document.createElement('span');
+    timeLabel.style.cssText = 'min-width: 56px; text-align: right; font-variant-numeric: tabular-nums;';
+
+    bar.append(playButton, stepButton, speedSelect, scrubber, timeLabel);
+    document.body.appendChild(bar);
+
+    let duration = DEFAULT_DURATION;
+    let scrubbing = false;
+
+    playButton.addEventListener('click', () => clock.toggle());
+    stepButton.addEventListener('click', () => {
+        clock.pause();
+        clock.step();
+    });
+    speedSelect.addEventListener('change', () => clock.setSpeed(Number(speedSelect.value)));
+
+    scrubber.addEventListener('pointerdown', () => { scrubbing = true; });
+    scrubber.addEventListener('pointerup', () => { scrubbing = false; });
+    scrubber.addEventListener('input', () => clock.seek(Number(scrubber.value)));
+
+    // Keep the bar from triggering orbit controls
+    bar.addEventListener('pointerdown', (event) => event.stopPropagation());
+
+    function onKeyDown(event) {
+        const tag = event.target.tagName;
+        if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+
+        if (event.code === 'Space') {
+            event.preventDefault();
+            clock.toggle();
+        } else if (event.code === 'ArrowRight') {
+            clock.pause();
+            clock.step(1);
+        } else if (event.code === 'ArrowLeft') {
+            clock.pause();
+            clock.step(-1);
+        }
+    }
+    window.addEventListener('keydown', onKeyDown);
+
+    function syncControls() {
+        playButton.textContent = clock.playing ? '❚❚' : '▶';
+        speedSelect.value = String(clock.speed);
+    }
+    const unsubscribe = clock.onChange(syncControls);
+    syncControls();
+
+    return {
+        /**
+         * Set the scrubber range, e.g. to the length of one animation cycle
+         */
+        setDuration(seconds) {
+            duration = seconds > 0 ? seconds : DEFAULT_DURATION;
+            scrubber.max = String(duration);
+        },
+
+        /**
+         * Refresh the scrubber position and time label (call once per frame)
+         */
+        update() {
+            if (!scrubbing) {
+                scrubber.value = String(Math.min(clock.time, duration));
+            }
+            timeLabel.textContent = `${clock.time.toFixed(2)} s`;
+        },
+
+        dispose() {
+            unsubscribe();
+            window.removeEventListener('keydown', onKeyDown);
+            bar.remove();
+        }
+    };
+}
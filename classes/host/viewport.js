@@ -0,0 +1,136 @@
+import * as THREE from 'three';
+
+// Viewport - the element the canvas lives in and the renderer drawing into it
+//
+// Sketches render with a WebGLRenderer unless their backend asks for three's WebGPURenderer
+// (see backends.js), whose node materials can read buffers written by compute shaders
+// without a copy through the CPU. Each renderer is created the first time a sketch needs
+// it and kept; switching shows its canvas and hides the other. Controls and pointer events
+// listen on the viewport element, so they keep working across the switch.
+
+function createWebGLRenderer() {
+    const renderer = new THREE.WebGLRenderer({ antialias: true });
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    return renderer;
+}
+
+// Loaded on demand so sketches that don't need it don't pay for the node system.
+// Without a WebGPU device it runs on WebGL2, and compute work moves to the software
+// device (see gpu/compute_backend.js).
+async function createWebGPURenderer() {
+    const { default: WebGPURenderer } = await import('three/examples/jsm/renderers/webgpu/WebGPURenderer.js');
+    const renderer = new WebGPURenderer({ antialias: true });
+    try {
+        await renderer.init();
+        return renderer;
+    } catch (error) {
+        // An adapter was found but no device could be created from it; a renderer that
+        // failed to initialize has nothing to dispose
+        console.warn('WebGPURenderer could not start on WebGPU, using WebGL2:', error);
+    }
+
+    const fallback = new WebGPURenderer({ antialias: true, forceWebGL: true });
+    await fallback.init();
+    return fallback;
+}
+
+const RENDERER_FACTORIES = {
+    webgl: createWebGLRenderer,
+    webgpu: createWebGPURenderer
+};
+
+/**
+ * Create the viewport, filling the window, with the WebGL renderer active
+ * @returns {{ element: HTMLElement, renderer: Object, use: function, setSize: function, dispose: function }}
+ */
+export function createViewport() {
+    const element = document.createElement('div');
+    element.style.position = 'absolute';
+    element.style.inset = '0';
+    document.body.appendChild(element);
+
+    const renderers = {};
+    const pending = {};
+    let activeType = null;
+    let requestedType = null;
+
+    function setRendererSize(renderer) {
+        renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2)); // Limit pixel ratio for performance
+        renderer.setSize(window.innerWidth, window.innerHeight);
+    }
+
+    function show(type) {
+        for (const [key, renderer] of Object.entries(renderers)) {
+            renderer.domElement.style.display = key === type ? 'block' : 'none';
+        }
+        activeType = type;
+    }
+
+    const viewport = {
+        element,
+
+        // The active renderer
+        get renderer() {
+            return renderers[activeType];
+        },
+
+        get type() {
+            return activeType;
+        },
+
+        /**
+         * Make a renderer type ('webgl' or 'webgpu') active, creating it on first use
+         * @returns {Promise<Object>} The renderer
+         */
+        async use(type) {
+            const factory = RENDERER_FACTORIES[type];
+            if (!factory) {
+                throw new Error(`Unknown renderer type "${type}"`);
+            }
+            requestedType = type;
+
+            if (!renderers[type]) {
+                // Two sketch switches can ask for the same renderer before it exists
+                pending[type] ??= Promise.resolve(factory()).finally(() => {
+                    delete pending[type];
+                });
+                const renderer = await pending[type];
+
+                if (!renderers[type]) {
+                    setRendererSize(renderer);
+                    renderer.domElement.style.display = 'none';
+                    element.appendChild(renderer.domElement);
+                    renderers[type] = renderer;
+                }
+            }
+
+            // A later call asked for another renderer while this one was being created
+            if (requestedType === type) show(type);
+            return renderers[type];
+        },
+
+        /**
+         * Resize every renderer to the window
+         */
+        setSize() {
+            Object.values(renderers).forEach(setRendererSize);
+        },
+
+        dispose() {
+            for (const renderer of Object.values(renderers)) {
+                renderer.dispose();
+                renderer.domElement.remove();
+            }
+            element.remove();
+        }
+    };
+
+    // The WebGL renderer exists from the start so the host can draw before any sketch loads
+    renderers.webgl = createWebGLRenderer();
+    setRendererSize(renderers.webgl);
+    element.appendChild(renderers.webgl.domElement);
+    show('webgl');
+
+    return viewport;
+}
@@ -1,18 +1,67 @@
 import * as THREE from 'three';
+import { ScalarField2D } from '../field/scalar_field_2d.js';
+import { createFieldPoints, updateFieldPoints } from '../field/field_visuals.js';
+import { traceContours, createContourLines, updateContourLines } from '../field/contour_polylines.js';
+import { createShapeSDF, packShape } from './sdf_primitives.js';
+import { SDF_PRIMITIVES_WGSL } from './sdf_primitives_wgsl.js';
+import { SDF_OPERATORS_WGSL } from './sdf_operators_wgsl.js';
+import { createNodeSDF, compileNodeWGSL } from './sdf_node.js';
+import { GPUReadback } from '../gpu/gpu_readback.js';
+import { computeBackendForRenderer, createRendererStorage, createSoftwareBackend } from '../gpu/compute_backend.js';
+import { SDF_KERNELS } from './sdf_kernels.js';
 
-// Simplified SDF Grid class - just one circle, minimal GPU usage
+const MAX_POLYGON_VERTICES = 256;
+
+// Simplified SDF Grid class - one primitive shape (see sdf_primitives.js), minimal GPU usage
+//
+// The compute shader's output is read back asynchronously (see gpu/gpu_readback.js): each
+// dispatch is followed by a copy into a staging buffer, and the CPU copy of the field
+// takes the newest completed result when the visuals are refreshed. Until the first result
+// arrives, or when readback is off or the device is lost, the field is computed on the CPU.
+//
+// With a WebGPURenderer (see forRenderer) the compute shader writes into a storage
+// attribute created by the renderer, which sdf_field_surface.js draws without any copy.
+//
+// The device can be the software device (gpu/compute_backend.js), which runs the
+// kernels in sdf_kernels.js instead of the WGSL. A grid moves there by itself when its
+// WebGPU device fails or is lost, and forRenderer uses it when the renderer runs on WebGL2.
+// A grid on a GPUContext's device (see fromContext) follows the context instead: when
+// the device is lost it rebuilds its buffers and pipeline on the replacement.
 export class WebGPUSDFGrid {
-    constructor(device, gridSize = 50) {
+    // options.readback: read the GPU field back (default) or always use the CPU field
+    // options.renderer: WebGPURenderer whose device is `device`, to own the field buffer
+    // options.gpu: GPUContext that `device` came from, to follow its device changes
+    constructor(device, gridSize = 50, { readback = true, renderer = null, gpu = null } = {}) {
         this.device = device;
         this.gridSize = Math.min(gridSize, 1024); // Small grid
-        this.cellSize = 0.5 * (20 / this.gridSize);
-        this.circle = null; // Just one circle
+        this.field = ScalarField2D.centered(this.gridSize, 10, 1000.0); // CPU copy of the field
+        this.cellSize = this.field.cellSizeX;
+        this.shape = null; // Just one shape
+        this.node = null; // ...or a scene graph, see sdf_node.js
+        this.sceneVertices = null; // Polygon corners of the compiled scene
+        this.shapeSDF = null; // CPU distance function for the shape or scene
+        this.fieldDirty = true; // CPU field needs recomputing after a shape change
+        this.shapeVersion = 0; // Counts shape changes, to match readbacks to the shape they show
+        this.fieldVersion = 0; // Counts changes of the CPU field, to update visuals only when needed
+        this.renderedVersion = -1; // fieldVersion shown by the points
+        this.useReadback = readback;
+        this.renderer = renderer;
+        this.fieldAttribute = null; // Storage attribute holding the field, with a renderer
+        this.fieldStorage = null; // ...and how to mark it for upload, see createRendererStorage
+        this.backend = null; // Compute backend created by the grid, destroyed with it
+        this.gpu = gpu;
+        this.stopWatching = null; // Removes the device change listener
+        this.hasGPUField = false; // Field holds a GPU result
+        this.readbackStale = false; // The last dispatch could not be read back yet
+        this.circle = null; // { x, y, radius } when the shape is a circle
         this.isDestroyed = false;
         this.deviceLost = false;
         
         // GPU buffers
         this.sdfBuffer = null;
+        this.readback = null;
         this.uniformBuffer = null;
+        this.vertexBuffer = null;
         this.computePipeline = null;
         this.bindGroup = null;
         
@@ -26,23 +75,106 @@ export class WebGPUSDFGrid {
         console.log('Simple SDF Grid initialized with size:', this.gridSize);
         
         // Setup GPU resources
+        this.watchDevice();
         this.setupGPU();
     }
     
+    /**
+     * Grid on a GPUContext's device (gpu/gpu_context.js), rebuilt on the new device
+     * whenever the context replaces a lost one
+     * @param {GPUContext} gpu - E.g. the host's, context.gpu
+     */
+    static async fromContext(gpu, gridSize = 50, options = {}) {
+        const device = await gpu.acquire({ kernels: SDF_KERNELS });
+        return new WebGPUSDFGrid(device, gridSize, { ...options, gpu });
+    }
+    
+    // Follow the context's device changes, or move to the software device when the
+    // WebGPU device is lost under the grid
+    watchDevice() {
+        if (this.gpu) {
+            this.stopWatching = this.gpu.onDeviceChange((device) => {
+                if (!this.isDestroyed) this.moveToDevice(device);
+            });
+            return;
+        }
+        
+        const device = this.device;
+        device.lost?.then((info) => {
+            if (this.isDestroyed || this.device !== device || info.reason === 'destroyed') return;
+            this.handleGPUError(new Error(`Device lost: ${info.message}`));
+        });
+    }
+    
+    // After a GPU error carry on with the same kernels on the software device. A renderer's
+    // field buffer belongs to the renderer's device, so such a grid falls back to the CPU field.
+    handleGPUError(error) {
+        if (this.device.isSoftware || this.renderer) {
+            this.deviceLost = true;
+            this.hasGPUField = false;
+            this.fieldDirty = true;
+            return;
+        }
+        
+        console.warn('Moving the SDF grid to the software device after a GPU error:', error);
+        const backend = createSoftwareBackend({ kernels: SDF_KERNELS, reason: error.message });
+        this.moveToDevice(backend.device, backend);
+    }
+    
+    /**
+     * Recreate the buffers and pipeline on another device and compute the current shape there
+     * @param {Object} device - A GPUDevice or software device
+     * @param {Object} backend - Compute backend the grid takes ownership of, if any
+     */
+    moveToDevice(device, backend = null) {
+        this.releaseGPU();
+        this.backend?.destroy();
+        this.backend = backend;
+        this.device = device;
+        this.deviceLost = false;
+        
+        this.setupGPU();
+        if (this.node) {
+            this.setNode(this.node); // Compiles the scene into the new pipeline
+        } else if (this.shape) {
+            this.updateGPU();
+        }
+    }
+    
     setupGPU() {
         try {
             // Create SDF buffer
-            this.sdfBuffer = this.device.createBuffer({
-                size: this.gridSize * this.gridSize * 4, // float32 per cell
-                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
-                label: 'SDF Field Buffer'
-            });
+            if (this.renderer) {
+                // Shared with the renderer so its node materials can read the field as a
+                // vertex attribute
+                this.fieldStorage = createRendererStorage(this.renderer, this.device, this.gridSize * this.gridSize, 1, 'SDF Field Buffer');
+                this.fieldAttribute = this.fieldStorage.attribute;
+                this.sdfBuffer = this.fieldStorage.buffer;
+            } else {
+                this.sdfBuffer = this.device.createBuffer({
+                    size: this.gridSize * this.gridSize * 4, // float32 per cell
+                    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+                    label: 'SDF Field Buffer'
+                });
+            }
+            
+            // Staging buffers to read the field back
+            if (this.useReadback) {
+                this.readback = new GPUReadback(this.device, this.sdfBuffer.size, { label: 'SDF Field' });
+            }
             
-            // Create uniform buffer for circle parameters
+            // Create uniform buffer for grid and shape parameters
             this.uniformBuffer = this.device.createBuffer({
-                size: 16, // vec4f (x, y, radius, gridSize)
+                size: 48, // gridSize, cellSize, kind, vertexCount + two vec4f shape slots
                 usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-                label: 'Circle Uniform Buffer'
+                label: 'Shape Uniform Buffer'
+            });
+            
+            // Create storage buffer for polygon corners
+            this.vertexBuffer = this.device.createBuffer({
+                size: MAX_POLYGON_VERTICES * 8, // vec2f per corner
+                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+                label: 'Polygon Vertex Buffer'
             });
             
             // Create compute shader
@@ -50,22 +182,45 @@ export class WebGPUSDFGrid {
             
         } catch (error) {
             console.error('Failed to setup GPU:', error);
-            this.deviceLost = true;
+            this.handleGPUError(error);
         }
     }
     
-    createComputeShader() {
+    /**
+     * Grid computed on a WebGPURenderer's device, for drawing with createFieldSurface
+     * (sdf_field_surface.js). Readback is off unless options.readback is set.
+     * @param {WebGPURenderer} renderer - Initialized, on the WebGPU backend
+     */
+    static forRenderer(renderer, gridSize = 50, options = {}) {
+        const backend = computeBackendForRenderer(renderer, { kernels: SDF_KERNELS });
+        const grid = new WebGPUSDFGrid(backend.device, gridSize, { readback: false, ...options, renderer });
+        grid.backend = backend;
+        return grid;
+    }
+    
+    // sceneCode is WGSL from compileNodeWGSL(); without it the shader evaluates the packed shape
+    createComputeShader(sceneCode = null) {
         try {
+            const distance = sceneCode
+                ? 'sdScene(vec2<f32>(worldX, worldZ))'
+                : 'sdShape(uniforms.kind, vec2<f32>(worldX, worldZ), uniforms.a, uniforms.b, uniforms.vertexCount)';
             const shaderSource = `
 struct Uniforms {
-    circleX: f32,
-    circleY: f32,
-    radius: f32,
     gridSize: f32,
+    cellSize: f32,
+    kind: u32,
+    vertexCount: u32,
+    a: vec4<f32>,
+    b: vec4<f32>,
 }
 
 @group(0) @binding(0) var<uniform> uniforms: Uniforms;
 @group(0) @binding(1) var<storage, read_write> sdfField: array<f32>;
+@group(0) @binding(2) var<storage, read> polygonVertices: array<vec2<f32>>;
+
+${SDF_PRIMITIVES_WGSL}
+${SDF_OPERATORS_WGSL}
+${sceneCode ?? ''}
 
 @compute @workgroup_size(8, 8)
 fn computeSDF(@builtin(global_invocation_id) id: vec3<u32>) {
@@ -74,17 +229,15 @@ fn computeSDF(@builtin(global_invocation_id) id: vec3<u32>) {
         return;
     }
     
-    let index = id.x + id.y * u32(uniforms.gridSize);
+    // Same layout as ScalarField2D: x is the outer index
+    let index = id.x * u32(uniforms.gridSize) + id.y;
     
     // Calculate world position for this grid cell
-    let cellSize = 0.5 * (20.0 / uniforms.gridSize);
-    let worldX = f32(id.x - u32(uniforms.gridSize) / 2u) * cellSize;
-    let worldZ = f32(id.y - u32(uniforms.gridSize) / 2u) * cellSize;
+    let worldX = (f32(id.x) - uniforms.gridSize * 0.5) * uniforms.cellSize;
+    let worldZ = (f32(id.y) - uniforms.gridSize * 0.5) * uniforms.cellSize;
     
-    // Compute distance to circle
-    let dx = worldX - uniforms.circleX;
-    let dz = worldZ - uniforms.circleY;
-    let distance = sqrt(dx * dx + dz * dz) - uniforms.radius;
+    // Compute distance to the shape
+    let distance = ${distance};
     
     // Store the computed distance
     sdfField[index] = distance;
@@ -113,6 +266,10 @@ fn computeSDF(@builtin(global_invocation_id) id: vec3<u32>) {
                     {
                         binding: 1,
                         resource: { buffer: this.sdfBuffer }
+                    },
+                    {
+                        binding: 2,
+                        resource: { buffer: this.vertexBuffer }
                     }
                 ]
             });
@@ -121,14 +278,31 @@ fn computeSDF(@builtin(global_invocation_id) id: vec3<u32>) {
             
         } catch (error) {
             console.error('Failed to create compute shader:', error);
-            this.deviceLost = true;
+            this.handleGPUError(error);
         }
     }
     
-    // Set a single circle
-    setCircle(centerX, centerY, radius) {
-        this.circle = { x: centerX, y: centerY, radius };
-        console.log('Circle set:', this.circle);
+    // Set the shape, described as in sdf_primitives.js
+    setShape(shape) {
+        this.applyShape(shape);
+        console.log('Shape set:', shape);
+    }
+    
+    applyShape(shape) {
+        // Switch back from a scene graph to the packed shape shader
+        if (this.node) {
+            this.node = null;
+            this.sceneVertices = null;
+            if (!this.deviceLost) this.createComputeShader();
+        }
+        
+        this.shape = shape;
+        this.shapeSDF = createShapeSDF(shape);
+        this.fieldDirty = true;
+        this.shapeVersion++;
+        this.circle = shape.type === 'circle'
+            ? { x: shape.center[0], y: shape.center[1], radius: shape.radius }
+            : null;
         
         // Update GPU if available
         if (!this.deviceLost) {
@@ -136,6 +310,33 @@ fn computeSDF(@builtin(global_invocation_id) id: vec3<u32>) {
         }
     }
     
+    // Set a scene graph (see sdf_node.js), compiled into the compute shader
+    setNode(node) {
+        const compiled = compileNodeWGSL(node);
+        if (compiled.vertexCount > MAX_POLYGON_VERTICES) {
+            throw new Error(`Scene has ${compiled.vertexCount} polygon corners, at most ${MAX_POLYGON_VERTICES} are supported`);
+        }
+        
+        this.node = node;
+        this.shape = null;
+        this.circle = null;
+        this.shapeSDF = createNodeSDF(node);
+        this.sceneVertices = compiled.vertices;
+        this.fieldDirty = true;
+        this.shapeVersion++;
+        
+        if (!this.deviceLost) {
+            this.createComputeShader(compiled.code);
+            this.updateGPU();
+        }
+        console.log('Scene set with', compiled.vertexCount, 'polygon corners');
+    }
+    
+    // Set a single circle
+    setCircle(centerX, centerY, radius) {
+        this.setShape({ type: 'circle', center: [centerX, centerY], radius });
+    }
+    
     // Update circle position (for animation)
     updateCirclePosition(centerX, centerY) {
         if (!this.circle) {
@@ -143,13 +344,7 @@ fn computeSDF(@builtin(global_invocation_id) id: vec3<u32>) {
             return;
         }
         
-        this.circle.x = centerX;
-        this.circle.y = centerY;
-        
-        // Update GPU if available
-        if (!this.deviceLost) {
-            this.updateGPU();
-        }
+        this.updateCircle(centerX, centerY, this.circle.radius);
     }
     
     // Update circle radius
@@ -159,50 +354,56 @@ fn computeSDF(@builtin(global_invocation_id) id: vec3<u32>) {
             return;
         }
         
-        this.circle.radius = radius;
-        
-        // Update GPU if available
-        if (!this.deviceLost) {
-            this.updateGPU();
-        }
+        this.updateCircle(this.circle.x, this.circle.y, radius);
     }
     
     // Update circle completely
     updateCircle(centerX, centerY, radius) {
-        this.circle = { x: centerX, y: centerY, radius };
-        
-        // Update GPU if available
-        if (!this.deviceLost) {
-            this.updateGPU();
-        }
+        this.applyShape({ type: 'circle', center: [centerX, centerY], radius });
     }
     
     updateGPU() {
-        if (this.deviceLost || !this.circle || !this.uniformBuffer) return;
+        if (this.deviceLost || !(this.shape || this.node) || !this.uniformBuffer) return;
         
         try {
-            // Update uniform buffer with circle parameters
-            const uniformData = new Float32Array([
-                this.circle.x,      // circleX
-                this.circle.y,      // circleY
-                this.circle.radius, // radius
-                this.gridSize       // gridSize
-            ]);
+            // A scene only reads the grid parameters and its own polygon corners
+            const packed = this.node
+                ? { kind: 0, a: [0, 0, 0, 0], b: [0, 0, 0, 0], vertices: this.sceneVertices }
+                : packShape(this.shape);
+            const vertexCount = Math.min(packed.vertices.length / 2, MAX_POLYGON_VERTICES);
+            if (packed.vertices.length / 2 > MAX_POLYGON_VERTICES) {
+                console.warn(`Polygon has more than ${MAX_POLYGON_VERTICES} corners, extra corners ignored`);
+            }
+            
+            // Update uniform buffer with grid and shape parameters
+            const uniformData = new ArrayBuffer(48);
+            const floats = new Float32Array(uniformData);
+            const uints = new Uint32Array(uniformData);
+            floats[0] = this.gridSize;   // gridSize
+            floats[1] = this.cellSize;   // cellSize
+            uints[2] = packed.kind;      // kind
+            uints[3] = vertexCount;      // vertexCount
+            floats.set(packed.a, 4);     // a
+            floats.set(packed.b, 8);     // b
             
-            this.device.queue.writeBuffer(
-                this.uniformBuffer,
-                0,
-                uniformData.buffer,
-                uniformData.byteOffset,
-                uniformData.byteLength
-            );
+            this.device.queue.writeBuffer(this.uniformBuffer, 0, uniformData);
+            
+            if (vertexCount > 0) {
+                this.device.queue.writeBuffer(
+                    this.vertexBuffer,
+                    0,
+                    packed.vertices.buffer,
+                    packed.vertices.byteOffset,
+                    vertexCount * 8
+                );
+            }
             
             // Execute compute shader
             this.computeSDF();
             
         } catch (error) {
             console.error('Failed to update GPU:', error);
-            this.deviceLost = true;
+            this.handleGPUError(error);
         }
     }
     
@@ -210,128 +411,133 @@ fn computeSDF(@builtin(global_invocation_id) id: vec3<u32>) {
         if (this.deviceLost || !this.computePipeline || !this.bindGroup) return;
         
         try {
-            const commandEncoder = this.device.createCommandEncoder();
-            const computePass = commandEncoder.beginComputePass();
-            
-            computePass.setPipeline(this.computePipeline);
-            computePass.setBindGroup(0, this.bindGroup);
-            
-            // Dispatch workgroups
-            const workgroupSize = 8;
-            const workgroupsX = Math.ceil(this.gridSize / workgroupSize);
-            const workgroupsY = Math.ceil(this.gridSize / workgroupSize);
-            
-            computePass.dispatchWorkgroups(workgroupsX, workgroupsY);
-            computePass.end();
-            
-            this.device.queue.submit([commandEncoder.finish()]);
+            if (this.node && this.device.isSoftware && !this.device.runsShaders) {
+                // The software kernels can't run a compiled scene; upload the CPU field instead
+                this.computeCPUField();
+                this.device.queue.writeBuffer(this.sdfBuffer, 0, this.field.data);
+            } else {
+                const commandEncoder = this.device.createCommandEncoder();
+                const computePass = commandEncoder.beginComputePass();
+                
+                computePass.setPipeline(this.computePipeline);
+                computePass.setBindGroup(0, this.bindGroup);
+                
+                // Dispatch workgroups
+                const workgroupSize = 8;
+                const workgroupsX = Math.ceil(this.gridSize / workgroupSize);
+                const workgroupsY = Math.ceil(this.gridSize / workgroupSize);
+                
+                computePass.dispatchWorkgroups(workgroupsX, workgroupsY);
+                computePass.end();
+                
+                this.device.queue.submit([commandEncoder.finish()]);
+            }
             
-            console.log('GPU SDF computation completed');
+            this.fieldStorage?.sync();
+            this.requestReadback();
             
         } catch (error) {
             console.error('Failed to compute SDF on GPU:', error);
-            this.deviceLost = true;
+            this.handleGPUError(error);
         }
     }
     
-    // Create visualization using GPU data if available, fallback to CPU
-    createVisualization() {
-        if (this.isDestroyed) return null;
+    // Whether the CPU copy of the field comes from the GPU
+    usesGPUField() {
+        return this.readback !== null && !this.deviceLost;
+    }
+    
+    // Copy the SDF buffer back for the current shape; skipped while both staging buffers are busy
+    requestReadback() {
+        if (!this.usesGPUField()) return;
+        
+        const readback = this.readback;
+        const request = readback.request(this.sdfBuffer, this.shapeVersion);
+        this.readbackStale = request === null;
+        
+        request?.catch((error) => {
+            // Also rejected when the grid released its buffers, e.g. to change device
+            if (this.isDestroyed || this.readback !== readback) return;
+            console.warn('GPU readback failed, computing the field on the CPU:', error);
+            this.readback.destroy();
+            this.readback = null;
+            this.hasGPUField = false;
+            this.fieldDirty = true;
+        });
+    }
+    
+    // Take the newest completed readback into the CPU copy of the field
+    pollReadback() {
+        if (this.readbackStale && this.readback.available) this.requestReadback();
         
-        // Create geometry
-        const geometry = new THREE.BufferGeometry();
-        const positions = [];
-        const colors = [];
+        const result = this.readback.take();
+        if (!result) return;
         
-        for (let i = 0; i < this.gridSize; i++) {
-            for (let j = 0; j < this.gridSize; j++) {
-                const x = (i - this.gridSize/2) * this.cellSize;
-                const z = (j - this.gridSize/2) * this.cellSize;
-                
-                // Position
-                positions.push(x, 0, z);
-                
-                // Compute SDF value - use GPU data if available, otherwise CPU
-                let distance = 1000.0;
-                if (this.circle) {
-                    if (!this.deviceLost) {
-                        // For now, use CPU computation since reading GPU data is complex
-                        // In a full implementation, we'd read from sdfBuffer
-                        distance = Math.sqrt(
-                            Math.pow(x - this.circle.x, 2) + 
-                            Math.pow(z - this.circle.y, 2)
-                        ) - this.circle.radius;
-                    } else {
-                        // CPU fallback
-                        distance = Math.sqrt(
-                            Math.pow(x - this.circle.x, 2) + 
-                            Math.pow(z - this.circle.y, 2)
-                        ) - this.circle.radius;
-                    }
-                }
-                
-                // Color based on distance value
-                if (distance > 0) {
-                    colors.push(distance, 0, 0); // Red for positive (outside)
-                } else {
-                    colors.push(0, 0, -distance); // Blue for negative (inside)
-                }
-            }
+        this.field.data.set(result.data);
+        this.hasGPUField = true;
+        this.fieldVersion++;
+        if (result.tag === this.shapeVersion) this.fieldDirty = false;
+    }
+    
+    // Bring the CPU copy of the field up to date: the GPU's latest result when reading back
+    // (a frame or two behind the shape), otherwise computed on the CPU
+    refreshField() {
+        if (this.usesGPUField()) {
+            this.pollReadback();
+            if (this.hasGPUField) return;
+        }
+        
+        if (this.fieldDirty) this.computeCPUField();
+    }
+    
+    // The GPU field for the current shape, once the dispatches in flight have completed
+    async readField() {
+        if (!this.sdfBuffer || this.deviceLost) {
+            throw new Error('GPU field is not available');
+        }
+        
+        const readback = this.readback ?? new GPUReadback(this.device, this.sdfBuffer.size, { label: 'SDF Field', slots: 1 });
+        try {
+            const { data } = await readback.read(this.sdfBuffer, this.shapeVersion);
+            return data;
+        } finally {
+            if (readback !== this.readback) readback.destroy();
+        }
+    }
+    
+    // Fill the CPU copy of the field with distances to the shape
+    computeCPUField() {
+        this.fieldDirty = false;
+        this.fieldVersion++;
+        if (!this.shapeSDF) {
+            this.field.fill(1000.0);
+            return;
         }
+
+        this.field.evaluate(this.shapeSDF);
+    }
+    
+    // Create visualization of the field
+    createVisualization() {
+        if (this.isDestroyed) return null;
         
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        this.refreshField();
         
-        this.points = new THREE.Points(geometry, this.material);
+        this.points = createFieldPoints(this.field, this.material);
+        this.renderedVersion = this.fieldVersion;
         return this.points;
     }
     
     // Update visualization in real-time
     updateVisualization() {
-        if (this.isDestroyed || !this.points || !this.circle) return;
+        if (this.isDestroyed || !this.points || !this.shapeSDF) return;
         
-        // Update colors based on current circle position
-        const colors = this.points.geometry.attributes.color.array;
+        // Update colors when the field has changed
+        this.refreshField();
+        if (this.renderedVersion === this.fieldVersion) return;
         
-        for (let i = 0; i < this.gridSize; i++) {
-            for (let j = 0; j < this.gridSize; j++) {
-                const x = (i - this.gridSize/2) * this.cellSize;
-                const z = (j - this.gridSize/2) * this.cellSize;
-                
-                // Compute SDF value
-                let distance = 1000.0;
-                if (this.circle) {
-                    if (!this.deviceLost) {
-                        // Use CPU computation for now
-                        distance = Math.sqrt(
-                            Math.pow(x - this.circle.x, 2) + 
-                            Math.pow(z - this.circle.y, 2)
-                        ) - this.circle.radius;
-                    } else {
-                        // CPU fallback
-                        distance = Math.sqrt(
-                            Math.pow(x - this.circle.x, 2) + 
-                            Math.pow(z - this.circle.y, 2)
-                        ) - this.circle.radius;
-                    }
-                }
-                
-                const colorIndex = (i * this.gridSize + j) * 3;
-                
-                // Update colors
-                if (distance > 0) {
-                    colors[colorIndex] = distance;     // Red
-                    colors[colorIndex + 1] = 0;       // Green
-                    colors[colorIndex + 2] = 0;       // Blue
-                } else {
-                    colors[colorIndex] = 0;           // Red
-                    colors[colorIndex + 1] = 0;       // Green
-                    colors[colorIndex + 2] = -distance; // Blue
-                }
-            }
-        }
-        
-        this.points.geometry.attributes.color.needsUpdate = true;
+        updateFieldPoints(this.points, this.field);
+        this.renderedVersion = this.fieldVersion;
     }
     
     // Update circle visual representations
@@ -362,45 +568,41 @@ fn computeSDF(@builtin(global_invocation_id) id: vec3<u32>) {
         filledCircle.geometry = circleGeometry;
     }
     
-    // Create a simple contour
+    // Contour of the field as ordered polylines with length, area and nesting
+    traceContours(threshold = 0) {
+        if (this.isDestroyed || !this.shapeSDF) return [];
+        
+        this.refreshField();
+        return traceContours(this.field, threshold);
+    }
+    
+    // Contour of the field at a threshold, by marching squares over the computed field
     createContour(threshold = 0, color = 0x00ff00) {
-        if (this.isDestroyed || !this.circle) return null;
+        if (this.isDestroyed || !this.shapeSDF) return null;
         
-        const vertices = [];
+        this.refreshField();
+        return createContourLines(this.field, threshold, color);
+    }
+    
+    // Contours at several thresholds, colored from startColor to endColor
+    createContours(thresholds, startColor = 0x00ff00, endColor = startColor) {
+        if (this.isDestroyed || !this.shapeSDF) return [];
         
-        for (let i = 0; i < this.gridSize - 1; i++) {
-            for (let j = 0; j < this.gridSize - 1; j++) {
-                const x = (i - this.gridSize/2) * this.cellSize;
-                const z = (j - this.gridSize/2) * this.cellSize;
-                
-                // Compute SDF values for this cell
-                const v00 = Math.sqrt(Math.pow(x - this.circle.x, 2) + Math.pow(z - this.circle.y, 2)) - this.circle.radius;
-                const v10 = Math.sqrt(Math.pow(x + this.cellSize - this.circle.x, 2) + Math.pow(z - this.circle.y, 2)) - this.circle.radius;
-                const v11 = Math.sqrt(Math.pow(x + this.cellSize - this.circle.x, 2) + Math.pow(z + this.cellSize - this.circle.y, 2)) - this.circle.radius;
-                const v01 = Math.sqrt(Math.pow(x - this.circle.x, 2) + Math.pow(z + this.cellSize - this.circle.y, 2)) - this.circle.radius;
-                
-                // Simple edge detection
-                if ((v00 > threshold) !== (v10 > threshold)) {
-                    const t = (threshold - v00) / (v10 - v00);
-                    const px = x + t * this.cellSize;
-                    const pz = z;
-                    vertices.push(px, 0, pz, px, 0, pz);
-                }
-                
-                if ((v10 > threshold) !== (v11 > threshold)) {
-                    const t = (threshold - v10) / (v11 - v10);
-                    const px = x + this.cellSize;
-                    const pz = z + t * this.cellSize;
-                    vertices.push(px, 0, pz, px, 0, pz);
-                }
-            }
-        }
+        const start = new THREE.Color(startColor);
+        const end = new THREE.Color(endColor);
         
-        const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-        const material = new THREE.LineBasicMaterial({ color: color, linewidth: 2 });
+        return thresholds.map((threshold, k) => {
+            const s = thresholds.length > 1 ? k / (thresholds.length - 1) : 0;
+            return this.createContour(threshold, start.clone().lerp(end, s));
+        });
+    }
+    
+    // Recompute a contour made by createContour for the current field
+    updateContour(contour, threshold = 0) {
+        if (this.isDestroyed || !contour || !this.shapeSDF) return;
         
-        return new THREE.LineSegments(geometry, material);
+        this.refreshField();
+        updateContourLines(contour, this.field, threshold);
     }
     
     // Create a visual circle representation
@@ -470,7 +672,33 @@ fn computeSDF(@builtin(global_invocation_id) id: vec3<u32>) {
             this.points = null;
         }
         
-        // Clean up GPU resources
+        this.stopWatching?.();
+        this.stopWatching = null;
+        this.releaseGPU();
+        this.backend?.destroy();
+        this.backend = null;
+        
+        // Clear references
+        this.fieldAttribute = null;
+        this.fieldStorage = null;
+        this.shape = null;
+        this.node = null;
+        this.sceneVertices = null;
+        this.shapeSDF = null;
+        this.circle = null;
+        
+        console.log('Simple SDF Grid cleaned up');
+    }
+    
+    // Destroy the GPU buffers and pipeline; the CPU field and shape are kept
+    releaseGPU() {
+        if (this.readback) {
+            this.readback.destroy();
+            this.readback = null;
+        }
+        
+        // A renderer's field buffer is destroyed here too; disposing the surface's geometry
+        // later only clears the renderer's record of it
         if (this.sdfBuffer) {
             try {
                 this.sdfBuffer.destroy();
@@ -489,11 +717,19 @@ fn computeSDF(@builtin(global_invocation_id) id: vec3<u32>) {
             this.uniformBuffer = null;
         }
         
-        // Clear references
+        if (this.vertexBuffer) {
+            try {
+                this.vertexBuffer.destroy();
+            } catch (error) {
+                console.warn('Error destroying vertex buffer:', error);
+            }
+            this.vertexBuffer = null;
+        }
+        
         this.computePipeline = null;
         this.bindGroup = null;
-        this.circle = null;
-        
-        console.log('Simple SDF Grid cleaned up');
+        this.hasGPUField = false;
+        this.readbackStale = false;
+        this.fieldDirty = true;
     }
 }
@@ -1,12 +1,34 @@
+import { ScalarField2D } from '../field/scalar_field_2d.js';
+import { GPUReadback } from '../gpu/gpu_readback.js';
+import { computeBackendForRenderer, createRendererStorage } from '../gpu/compute_backend.js';
+import { SDF_CIRCLES_WGSL } from './sdf_circles_wgsl.js';
+import { SDF_KERNELS } from './sdf_kernels.js';
+
 // WebGPU Buffer Management for SDF Field Computation
 // Handles buffer creation, binding, and data management
+//
+// Computes the union of up to maxCircles circles (sdf_circles_wgsl.js) into a field
+// buffer and a color buffer. With a WebGPURenderer (see forRenderer) both buffers are
+// storage attributes of the renderer, so meshes can draw them without a copy (see
+// createColorSurface in sdf_field_surface.js). With `readback` the field is also copied
+// back without stalling (see gpu/gpu_readback.js) into `field` for CPU contours.
+// On the software device (gpu/compute_backend.js) sdf_kernels.js runs the shader's mirror.
+
+const WORKGROUP_SIZE = 8;
 
 export class SDFBufferManager {
-    constructor(device, gridSize = 200, maxCircles = 100) {
+    // options.renderer: WebGPURenderer whose device is `device`, to own the field and color buffers
+    // options.readback: copy the field back to `field` after every dispatch
+    constructor(device, gridSize = 200, maxCircles = 100, { renderer = null, readback = false } = {}) {
         this.device = device;
         this.gridSize = gridSize;
         this.maxCircles = maxCircles;
         this.cellSize = 0.5 * (20 / gridSize); // Match the original scaling
+        this.renderer = renderer;
+        this.field = ScalarField2D.centered(gridSize, 10, 1000.0); // Grid layout, and the field read back
+        this.attributes = {}; // Storage attributes for field and colors, with a renderer
+        this.storages = []; // ...and how to mark them for upload, see createRendererStorage
+        this.backend = null; // Compute backend created by forRenderer, destroyed with the manager
         
         // Buffer sizes
         this.fieldSize = gridSize * gridSize * 4; // float32 per cell
@@ -17,24 +39,51 @@ export class SDFBufferManager {
         this.buffers = {};
         this.bindGroup = null;
         this.computePipeline = null;
+        this.readback = null;
+        this.readers = {}; // On-demand readbacks by buffer name, see readerFor
+        this.numCircles = 0;
         
         this.createBuffers();
+        this.createPipeline();
+        if (readback) {
+            this.readback = new GPUReadback(device, this.fieldSize, { label: 'SDF Field' });
+        }
+    }
+    
+    /**
+     * Manager computing on a WebGPURenderer's device, for drawing its buffers directly
+     * @param {WebGPURenderer} renderer - Initialized, on the WebGPU backend
+     */
+    static forRenderer(renderer, gridSize = 200, maxCircles = 100, options = {}) {
+        const backend = computeBackendForRenderer(renderer, { kernels: SDF_KERNELS });
+        const manager = new SDFBufferManager(backend.device, gridSize, maxCircles, { ...options, renderer });
+        manager.backend = backend;
+        return manager;
+    }
+    
+    // A storage buffer shared with the renderer's meshes, or created by the device when
+    // there is no renderer
+    createStorageBuffer(name, size, itemSize, label) {
+        if (this.renderer) {
+            const storage = createRendererStorage(this.renderer, this.device, this.gridSize * this.gridSize, itemSize, label);
+            this.attributes[name] = storage.attribute;
+            this.storages.push(storage);
+            return storage.buffer;
+        }
+        
+        return this.device.createBuffer({
+            size,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+            label
+        });
     }
     
     createBuffers() {
         // Field buffer - stores SDF values
-        this.buffers.field = this.device.createBuffer({
-            size: this.fieldSize,
-            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
-            label: 'SDF Field Buffer'
-        });
+        this.buffers.field = this.createStorageBuffer('field', this.fieldSize, 1, 'SDF Field Buffer');
         
         // Color buffer - stores computed colors
-        this.buffers.colors = this.device.createBuffer({
-            size: this.colorSize,
-            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
-            label: 'SDF Color Buffer'
-        });
+        this.buffers.colors = this.createStorageBuffer('colors', this.colorSize, 4, 'SDF Color Buffer');
         
         // Circle buffer - stores circle parameters
         this.buffers.circles = this.device.createBuffer({
@@ -49,33 +98,39 @@ export class SDFBufferManager {
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
             label: 'SDF Uniform Buffer'
         });
-        
-        // Staging buffer for reading back data
-        this.buffers.staging = this.device.createBuffer({
-            size: Math.max(this.fieldSize, this.colorSize),
-            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
-            label: 'SDF Staging Buffer'
+    }
+    
+    // Compute pipeline and bind group for the circle union shader
+    createPipeline() {
+        this.computePipeline = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: {
+                module: this.device.createShaderModule({
+                    code: SDF_CIRCLES_WGSL,
+                    label: 'SDF Circles Shader'
+                }),
+                entryPoint: 'computeCircleField'
+            }
         });
+        
+        this.createBindGroup();
     }
     
-    updateUniforms(numCircles) {
-        const uniformData = new Float32Array([
-            this.gridSize,           // gridSize
-            this.cellSize,           // cellSize
-            numCircles,              // numCircles
-            0.0                      // padding
-        ]);
+    // blend: smooth union radius, 0 for the hard union
+    updateUniforms(numCircles, blend = 0) {
+        const uniformData = new ArrayBuffer(this.uniformSize);
+        const floats = new Float32Array(uniformData);
+        const uints = new Uint32Array(uniformData);
+        floats[0] = this.gridSize;   // gridSize
+        floats[1] = this.cellSize;   // cellSize
+        uints[2] = numCircles;       // numCircles
+        floats[3] = blend;           // blend
         
-        this.device.queue.writeBuffer(
-            this.buffers.uniforms,
-            0,
-            uniformData.buffer,
-            uniformData.byteOffset,
-            uniformData.byteLength
-        );
+        this.device.queue.writeBuffer(this.buffers.uniforms, 0, uniformData);
     }
     
-    updateCircles(circles) {
+    // circles: [{ x, y, radius }], y along world z
+    updateCircles(circles, blend = 0) {
         if (circles.length > this.maxCircles) {
             console.warn(`Too many circles: ${circles.length} > ${this.maxCircles}`);
             circles = circles.slice(0, this.maxCircles);
@@ -100,7 +155,46 @@ export class SDFBufferManager {
             circleData.byteLength
         );
         
-        this.updateUniforms(circles.length);
+        this.numCircles = circles.length;
+        this.updateUniforms(circles.length, blend);
+    }
+    
+    // Run the shader over the grid, then start copying the field back if reading back
+    compute() {
+        const commandEncoder = this.device.createCommandEncoder();
+        const computePass = commandEncoder.beginComputePass();
+        
+        computePass.setPipeline(this.computePipeline);
+        computePass.setBindGroup(0, this.bindGroup);
+        
+        const workgroups = Math.ceil(this.gridSize / WORKGROUP_SIZE);
+        computePass.dispatchWorkgroups(workgroups, workgroups);
+        computePass.end();
+        
+        this.device.queue.submit([commandEncoder.finish()]);
+        this.storages.forEach((storage) => storage.sync());
+        
+        // Skipped while both staging buffers are busy; a later frame asks again
+        this.readback?.request(this.buffers.field)
+            ?.catch((error) => console.warn('Failed to read field back:', error));
+    }
+    
+    // Upload the circles and compute the field
+    setCircles(circles, blend = 0) {
+        this.updateCircles(circles, blend);
+        this.compute();
+    }
+    
+    /**
+     * Copy the newest field read back since the last call into `field`
+     * @returns {boolean} Whether `field` changed
+     */
+    pollField() {
+        const result = this.readback?.take();
+        if (!result) return false;
+        
+        this.field.data.set(result.data);
+        return true;
     }
     
     clearField() {
@@ -140,66 +234,43 @@ export class SDFBufferManager {
         });
     }
     
+    // Readback for on-demand reads of a buffer, created on first use
+    readerFor(name, byteLength) {
+        this.readers[name] ??= new GPUReadback(this.device, byteLength, { label: `SDF ${name}` });
+        return this.readers[name];
+    }
+    
+    /**
+     * Wait for the field as the GPU holds it now; rejects when it can't be read back
+     * @returns {Promise<Float32Array>}
+     */
     async readFieldData() {
-        try {
-            const commandEncoder = this.device.createCommandEncoder();
-            commandEncoder.copyBufferToBuffer(
-                this.buffers.field,
-                0,
-                this.buffers.staging,
-                0,
-                this.fieldSize
-            );
-            
-            this.device.queue.submit([commandEncoder.finish()]);
-            
-            // Wait for the device to be ready
-            await this.device.queue.onSubmittedWorkDone();
-            
-            await this.buffers.staging.mapAsync(GPUMapMode.READ);
-            const data = new Float32Array(this.buffers.staging.getMappedRange());
-            this.buffers.staging.unmap();
-            
-            return data;
-        } catch (error) {
-            console.error('Failed to read field data:', error);
-            // Return a default array if reading fails
-            return new Float32Array(this.gridSize * this.gridSize).fill(1000.0);
-        }
+        const reader = this.readback ?? this.readerFor('field', this.fieldSize);
+        const { data } = await reader.read(this.buffers.field);
+        return data;
     }
     
+    /**
+     * Wait for the colors as the GPU holds them now, RGBA per cell
+     * @returns {Promise<Float32Array>}
+     */
     async readColorData() {
-        try {
-            const commandEncoder = this.device.createCommandEncoder();
-            commandEncoder.copyBufferToBuffer(
-                this.buffers.colors,
-                0,
-                this.buffers.staging,
-                0,
-                this.colorSize
-            );
-            
-            this.device.queue.submit([commandEncoder.finish()]);
-            
-            // Wait for the device to be ready
-            await this.device.queue.onSubmittedWorkDone();
-            
-            await this.buffers.staging.mapAsync(GPUMapMode.READ);
-            const data = new Float32Array(this.buffers.staging.getMappedRange());
-            this.buffers.staging.unmap();
-            
-            return data;
-        } catch (error) {
-            console.error('Failed to read color data:', error);
-            // Return a default array if reading fails
-            return new Float32Array(this.gridSize * this.gridSize * 4).fill(0.0);
-        }
+        const { data } = await this.readerFor('colors', this.colorSize).read(this.buffers.colors);
+        return data;
     }
     
     destroy() {
         console.log('Destroying SDF buffer manager...');
         
-        // Clean up buffers
+        if (this.readback) {
+            this.readback.destroy();
+            this.readback = null;
+        }
+        Object.values(this.readers).forEach((reader) => reader.destroy());
+        this.readers = {};
+        
+        // Clean up buffers, including those created by a renderer: disposing a geometry
+        // that draws them destroys them again, which is harmless
         Object.values(this.buffers).forEach(buffer => {
             if (buffer && buffer.destroy) {
                 try {
@@ -212,9 +283,14 @@ export class SDFBufferManager {
         
         // Clear references
         this.buffers = {};
+        this.attributes = {};
+        this.storages = [];
         this.bindGroup = null;
         this.computePipeline = null;
         
+        this.backend?.destroy();
+        this.backend = null;
+        
         console.log('SDF buffer manager destroyed');
     }
 }
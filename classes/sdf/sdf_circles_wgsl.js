@@ -0,0 +1,52 @@
+import { SDF_OPERATORS_WGSL } from './sdf_operators_wgsl.js';
+
+// Compute shader for SDFBufferManager (sdf_buffer.js) - the union of many circles
+//
+// Each invocation evaluates one grid point against every circle, combining them with
+// opUnion, or opSmoothUnion when `blend` is above 0, and writes the distance and its color
+// (red outside, blue inside, as in field_visuals.js). Grid point (x, y) is at world
+// ((x - gridSize / 2) * cellSize, (y - gridSize / 2) * cellSize) and index
+// x * gridSize + y, the layout of ScalarField2D.centered(gridSize, 10) for cellSize 10 / gridSize.
+
+export const SDF_CIRCLES_WGSL = /* wgsl */ `
+struct Uniforms {
+    gridSize: f32,
+    cellSize: f32,
+    numCircles: u32,
+    blend: f32,
+}
+
+struct Circle {
+    center: vec2<f32>,
+    radius: f32,
+    padding: f32,
+}
+
+@group(0) @binding(0) var<uniform> uniforms: Uniforms;
+@group(0) @binding(1) var<storage, read_write> field: array<f32>;
+@group(0) @binding(2) var<storage, read_write> colors: array<vec4<f32>>;
+@group(0) @binding(3) var<storage, read> circles: array<Circle>;
+
+${SDF_OPERATORS_WGSL}
+
+@compute @workgroup_size(8, 8)
+fn computeCircleField(@builtin(global_invocation_id) id: vec3<u32>) {
+    let gridSize = u32(uniforms.gridSize);
+    if (id.x >= gridSize || id.y >= gridSize) {
+        return;
+    }
+
+    let index = id.x * gridSize + id.y;
+    let p = (vec2<f32>(id.xy) - uniforms.gridSize * 0.5) * uniforms.cellSize;
+
+    // Union of all circles, far away when there are none
+    var d = 1000.0;
+    for (var i = 0u; i < uniforms.numCircles; i++) {
+        let circle = circles[i];
+        d = opSmoothUnion(d, length(p - circle.center) - circle.radius, uniforms.blend);
+    }
+
+    field[index] = d;
+    colors[index] = vec4<f32>(max(d, 0.0), 0.0, max(-d, 0.0), 1.0);
+}
+`;
@@ -0,0 +1,162 @@
+import * as THREE from 'three';
+import {
+    MeshBasicNodeMaterial,
+    attribute,
+    uniform,
+    vec3,
+    float,
+    abs,
+    fract,
+    fwidth,
+    max,
+    mix,
+    smoothstep,
+    step
+} from 'three/examples/jsm/nodes/Nodes.js';
+
+// Field surface - draws a WebGPUSDFGrid straight from the buffer its compute shader writes
+//
+// The grid's field buffer is a storage attribute of a WebGPURenderer (see
+// WebGPUSDFGrid.forRenderer); this mesh uses it as a vertex attribute, so every dispatch
+// shows up in the next frame without the field passing through the CPU. Vertex (i, j)
+// sits at index i * gridSize + j, the layout of the field, with field y on world z.
+//
+// Colors follow field_visuals.js: red for positive distances, blue for negative, at full
+// strength at `colorScale`. Contours are drawn in the fragment shader at multiples of
+// `contourSpacing` from 0 up to `contourCount` lines, about `lineWidth` pixels wide.
+//
+// createColorSurface draws a color buffer the compute shader fills instead, such as
+// SDFBufferManager's (sdf_buffer.js), in the same layout.
+
+// Default values for the surface options
+const DEFAULTS = {
+    height: 0,                  // world y of the surface
+    colorScale: 1,              // distance shown at full color
+    contourSpacing: 0.5,        // world units between contours
+    contourCount: 4,            // contours at 0, spacing, 2 * spacing, ...
+    contourColor: 0x00ff00,
+    lineWidth: 1.5              // pixels
+};
+
+/**
+ * Triangles over the grid, two per cell, in the field's index layout
+ */
+function createGridGeometry(field, height) {
+    const resX = field.resolutionX;
+    const resY = field.resolutionY;
+    const positions = new Float32Array(resX * resY * 3);
+
+    for (let i = 0; i < resX; i++) {
+        for (let j = 0; j < resY; j++) {
+            const index = field.index(i, j);
+            positions[index * 3] = field.xAt(i);
+            positions[index * 3 + 1] = height;
+            positions[index * 3 + 2] = field.yAt(j);
+        }
+    }
+
+    const indices = new Uint32Array((resX - 1) * (resY - 1) * 6);
+    let k = 0;
+    for (let i = 0; i < resX - 1; i++) {
+        for (let j = 0; j < resY - 1; j++) {
+            const a = i * resY + j;
+            const b = a + resY;
+            indices.set([a, a + 1, b, b, a + 1, b + 1], k);
+            k += 6;
+        }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    return geometry;
+}
+
+/**
+ * Create a mesh showing the grid's GPU field
+ * @param {WebGPUSDFGrid} grid - Made with WebGPUSDFGrid.forRenderer
+ * @param {Object} options - Overrides for DEFAULTS
+ * @returns {THREE.Mesh} With the shader uniforms in userData.uniforms
+ */
+export function createFieldSurface(grid, options = {}) {
+    if (!grid.fieldAttribute) {
+        throw new Error('createFieldSurface needs a grid made with WebGPUSDFGrid.forRenderer');
+    }
+
+    const settings = { ...DEFAULTS, ...options };
+    const geometry = createGridGeometry(grid.field, settings.height);
+    geometry.setAttribute('sdfDistance', grid.fieldAttribute);
+
+    const uniforms = {
+        colorScale: uniform(settings.colorScale),
+        contourSpacing: uniform(settings.contourSpacing),
+        contourCount: uniform(settings.contourCount),
+        contourColor: uniform(new THREE.Color(settings.contourColor)),
+        lineWidth: uniform(settings.lineWidth)
+    };
+
+    // Not named 'distance', which is a WGSL built-in function
+    const distance = attribute('sdfDistance', 'float');
+
+    // Red outside, blue inside
+    const scaled = distance.div(uniforms.colorScale);
+    const fieldColor = vec3(max(scaled, 0), 0, max(scaled.negate(), 0));
+
+    // Anti-aliased lines at multiples of the spacing, inside the contour range
+    const level = distance.div(uniforms.contourSpacing);
+    const offset = abs(fract(level.add(0.5)).sub(0.5)).div(fwidth(level));
+    const line = float(1).sub(smoothstep(0, uniforms.lineWidth.mul(0.5), offset));
+    const inRange = step(-0.5, level).mul(step(level, uniforms.contourCount.sub(0.5)));
+
+    const material = new MeshBasicNodeMaterial({ side: THREE.DoubleSide });
+    material.colorNode = mix(fieldColor, uniforms.contourColor, line.mul(inRange));
+
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = 'field surface';
+    mesh.frustumCulled = false;
+    mesh.userData.uniforms = uniforms;
+    return mesh;
+}
+
+/**
+ * Create a mesh showing a color storage attribute written by a compute shader
+ * @param {ScalarField2D} field - Grid layout of the colors
+ * @param {StorageBufferAttribute} colorAttribute - One vec4 per grid point, e.g. SDFBufferManager's attributes.colors
+ * @param {Object} options - { height }
+ * @returns {THREE.Mesh}
+ */
+export function createColorSurface(field, colorAttribute, { height = DEFAULTS.height } = {}) {
+    if (!colorAttribute) {
+        throw new Error('createColorSurface needs a color storage attribute');
+    }
+
+    const geometry = createGridGeometry(field, height);
+    geometry.setAttribute('sdfColor', colorAttribute);
+
+    const material = new MeshBasicNodeMaterial({ side: THREE.DoubleSide });
+    material.colorNode = attribute('sdfColor', 'vec4').xyz;
+
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = 'color surface';
+    mesh.frustumCulled = false;
+    return mesh;
+}
+
+/**
+ * Change the colors or contours of a surface made by createFieldSurface
+ * @param {THREE.Mesh} surface
+ * @param {Object} options - Any of colorScale, contourSpacing, contourCount, contourColor, lineWidth
+ */
+export function updateFieldSurface(surface, options) {
+    const { uniforms } = surface.userData;
+
+    for (const [key, value] of Object.entries(options)) {
+        if (!(key in uniforms)) continue;
+
+        if (key === 'contourColor') {
+            uniforms.contourColor.value.set(value);
+        } else {
+            uniforms[key].value = value;
+        }
+    }
+}
@@ -0,0 +1,121 @@
+import * as THREE from 'three';
+import { ScalarField2D, centeredBounds } from '../field/scalar_field_2d.js';
+import { createFieldPoints } from '../field/field_visuals.js';
+import { traceContours, createContourLines } from '../field/contour_polylines.js';
+import { createShapeSDF } from './sdf_primitives.js';
+import { getOperation, opOffset, opOnion, opMorph } from './sdf_operators.js';
+import { createNodeSDF, parseScene } from './sdf_node.js';
+
+// Values of another field (or a plain array) laid out like `field`
+function matchingValues(field, other) {
+    const values = other.data ?? other;
+    if (values.length !== field.data.length) {
+        throw new Error(`Field size mismatch: expected ${field.data.length} values, got ${values.length}`);
+    }
+    return values;
+}
+
+// CPU signed distance field on a square grid, built by adding shapes
+export class SDFGrid extends ScalarField2D {
+    constructor(size = 200) {
+        super(size, size, centeredBounds(size), Infinity);
+        this.size = size;
+        this.material = new THREE.PointsMaterial({
+            size: 0.03,
+            vertexColors: true
+        });
+    }
+
+    // Initialize the grid with empty field
+    initialize() {
+        this.fill(Infinity);
+    }
+
+    // Add a circle to the field
+    addCircle(centerX, centerY, radius, operation = 'union', blend = 0) {
+        this.addShape({ type: 'circle', center: [centerX, centerY], radius }, operation, blend);
+    }
+
+    // Add any shape described as in sdf_primitives.js to the field, combined with
+    // one of the operations in sdf_operators.js (union by default)
+    addShape(shape, operation = 'union', blend = 0) {
+        const sdf = createShapeSDF(shape);
+        const op = getOperation(operation);
+
+        this.apply((value, x, y) => op(value, sdf(x, y), blend));
+    }
+
+    // Add a node tree described as in sdf_node.js, combined like addShape
+    addNode(node, operation = 'union', blend = 0) {
+        const sdf = createNodeSDF(node);
+        const op = getOperation(operation);
+
+        this.apply((value, x, y) => op(value, sdf(x, y), blend));
+    }
+
+    // Replace the field with a scene given as JSON text or an already parsed object
+    loadScene(json) {
+        this.initialize();
+        this.addNode(parseScene(json));
+    }
+
+    // Combine another field of the same size into this one, cell by cell
+    combine(other, operation = 'union', blend = 0) {
+        const op = getOperation(operation);
+        const values = matchingValues(this, other);
+        this.apply((value, x, y, i, j) => op(value, values[this.index(i, j)], blend));
+        return this;
+    }
+
+    union(other) { return this.combine(other, 'union'); }
+    intersect(other) { return this.combine(other, 'intersection'); }
+    subtract(other) { return this.combine(other, 'subtraction'); }
+    xor(other) { return this.combine(other, 'xor'); }
+    smoothUnion(other, blend) { return this.combine(other, 'smoothUnion', blend); }
+    smoothIntersect(other, blend) { return this.combine(other, 'smoothIntersection', blend); }
+    smoothSubtract(other, blend) { return this.combine(other, 'smoothSubtraction', blend); }
+
+    // Grow (positive) or shrink (negative) every shape in the field
+    offset(amount) {
+        this.apply((value) => opOffset(value, amount));
+        return this;
+    }
+
+    // Replace the shapes with shells of the given half thickness
+    onion(thickness) {
+        this.apply((value) => opOnion(value, thickness));
+        return this;
+    }
+
+    // Blend towards another field, t = 0 keeps this field and t = 1 gives the other
+    morph(other, t) {
+        const values = matchingValues(this, other);
+        this.apply((value, x, y, i, j) => opMorph(value, values[this.index(i, j)], t));
+        return this;
+    }
+
+    // Union operation between two fields
+    static union(field1, field2) {
+        return field1.map((value, index) => Math.min(value, field2[index]));
+    }
+
+    // Create the visualization
+    createVisualization() {
+        return createFieldPoints(this, this.material);
+    }
+
+    // Marching squares contour extraction at any threshold
+    createContour(threshold = 0, color = 0x000000) {
+        return createContourLines(this, threshold, color);
+    }
+
+    // Contour at any threshold as ordered polylines with length, area and nesting
+    traceContours(threshold = 0) {
+        return traceContours(this, threshold);
+    }
+
+    // Update field values
+    updateField(newField) {
+        this.copyFrom(newField);
+    }
+}
@@ -0,0 +1,85 @@
+import { sdPackedShape } from './sdf_primitives.js';
+import { opSmoothUnion } from './sdf_operators.js';
+
+// JavaScript kernels for the software device (see gpu/software_device.js)
+//
+// Each kernel mirrors a compute shader entry point: it reads the same bindings with the
+// same layout and writes the same cells, so a software run checks everything around the
+// shader - uniform packing, buffer sizes and usage, dispatch size and readback - against
+// the CPU reference. Scene graphs compiled to WGSL (sdf_node.js) can't be run this way.
+
+const WORKGROUP_SIZE = 8;
+
+/**
+ * WebGPUSDFGrid's computeSDF entry point (sdf.js): the packed shape at every grid point
+ * @param {ArrayBuffer[][]} bindings - [[uniforms, sdfField, polygonVertices]]
+ * @param {number[]} workgroups - Dispatch size
+ */
+function computeSDF(bindings, workgroups) {
+    const [uniformData, fieldData, vertexData] = bindings[0];
+    const floats = new Float32Array(uniformData);
+    const uints = new Uint32Array(uniformData);
+
+    const gridSize = floats[0];
+    const cellSize = floats[1];
+    const kind = uints[2];
+    const vertexCount = uints[3];
+    const a = floats.subarray(4, 8);
+    const b = floats.subarray(8, 12);
+    const vertices = new Float32Array(vertexData, 0, vertexCount * 2);
+    const field = new Float32Array(fieldData);
+
+    const countX = Math.min(workgroups[0] * WORKGROUP_SIZE, gridSize);
+    const countY = Math.min(workgroups[1] * WORKGROUP_SIZE, gridSize);
+
+    for (let x = 0; x < countX; x++) {
+        for (let y = 0; y < countY; y++) {
+            const worldX = Math.fround((x - gridSize * 0.5) * cellSize);
+            const worldZ = Math.fround((y - gridSize * 0.5) * cellSize);
+            field[x * gridSize + y] = sdPackedShape(kind, worldX, worldZ, a, b, vertices);
+        }
+    }
+}
+
+/**
+ * SDFBufferManager's computeCircleField entry point (sdf_circles_wgsl.js): the union of
+ * the circles and its color at every grid point
+ * @param {ArrayBuffer[][]} bindings - [[uniforms, field, colors, circles]]
+ * @param {number[]} workgroups - Dispatch size
+ */
+function computeCircleField(bindings, workgroups) {
+    const [uniformData, fieldData, colorData, circleData] = bindings[0];
+    const floats = new Float32Array(uniformData);
+    const uints = new Uint32Array(uniformData);
+
+    const gridSize = floats[0];
+    const cellSize = floats[1];
+    const numCircles = uints[2];
+    const blend = floats[3];
+    const circles = new Float32Array(circleData, 0, numCircles * 4);
+    const field = new Float32Array(fieldData);
+    const colors = new Float32Array(colorData);
+
+    const countX = Math.min(workgroups[0] * WORKGROUP_SIZE, gridSize);
+    const countY = Math.min(workgroups[1] * WORKGROUP_SIZE, gridSize);
+
+    for (let x = 0; x < countX; x++) {
+        for (let y = 0; y < countY; y++) {
+            const worldX = Math.fround((x - gridSize * 0.5) * cellSize);
+            const worldZ = Math.fround((y - gridSize * 0.5) * cellSize);
+
+            let d = 1000.0;
+            for (let k = 0; k < numCircles * 4; k += 4) {
+                const circle = Math.hypot(worldX - circles[k], worldZ - circles[k + 1]) - circles[k + 2];
+                d = opSmoothUnion(d, circle, blend);
+            }
+
+            const index = x * gridSize + y;
+            field[index] = d;
+            colors.set([Math.max(d, 0), 0, Math.max(-d, 0), 1], index * 4);
+        }
+    }
+}
+
+// Kernels by entry point, for createSoftwareDevice({ kernels: SDF_KERNELS })
+export const SDF_KERNELS = { computeSDF, computeCircleField };
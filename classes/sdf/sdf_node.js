@@ -0,0 +1,315 @@
+// SDF scene graph - a tree of primitives, operators and transforms described as plain
+// objects, so a whole field can be written (or loaded from JSON) in one place.
+//
+// Every node has a `type`:
+//   primitives  - any shape from sdf_primitives.js
+//                 { type: 'circle', center: [0, 0], radius: 1 }
+//   operators   - the binary operators of sdf_operators.js, folded over two or more children
+//                 { type: 'union', children: [...] }
+//                 { type: 'smoothSubtraction', blend: 0.5, children: [...] }   (cuts every later child out of the first)
+//   modifiers   - { type: 'offset', amount: 0.2, child }
+//                 { type: 'onion', thickness: 0.1, child }
+//                 { type: 'morph', t: 0.5, children: [a, b] }
+//   transforms  - { type: 'translate', offset: [x, y], child }
+//                 { type: 'rotate', angle: Math.PI / 4, child }              (counter-clockwise, radians)
+//                 { type: 'scale', factor: 2, child }                        (uniform, keeps distances exact)
+//                 { type: 'repeat', period: [px, py], count: [nx, ny], child }
+//                               (a period of 0 leaves that axis alone; count is optional and keeps copies -n..n)
+//                 { type: 'mirror', axis: 'x' | 'y' | 'xy', child }          (reflects the positive half onto the negative one)
+//
+// createNodeSDF() evaluates a tree on the CPU, compileNodeWGSL() turns it into a WGSL function
+// for the GPU grid, and parseScene() / serializeScene() load and save the JSON form.
+
+import { SHAPE_KINDS, createShapeSDF, packShape } from './sdf_primitives.js';
+import { OPERATIONS, opOffset, opOnion, opMorph } from './sdf_operators.js';
+
+const MODIFIERS = ['offset', 'onion'];
+const TRANSFORMS = ['translate', 'rotate', 'scale', 'repeat', 'mirror'];
+
+// Required numeric or vector fields of every node type
+const REQUIRED_FIELDS = {
+    circle: ['center', 'radius'],
+    box: ['center', 'halfSize'],
+    roundedBox: ['center', 'halfSize', 'radius'],
+    segment: ['a', 'b'],
+    capsule: ['a', 'b', 'radius'],
+    polygon: ['points'],
+    ellipse: ['center', 'radii'],
+    arc: ['center', 'radius', 'aperture', 'thickness'],
+    star: ['center', 'radius', 'points', 'sharpness'],
+    triangle: ['a', 'b', 'c'],
+    offset: ['amount'],
+    onion: ['thickness'],
+    morph: ['t'],
+    translate: ['offset'],
+    rotate: ['angle'],
+    scale: ['factor'],
+    repeat: ['period'],
+    mirror: ['axis']
+};
+
+// The single child of a modifier or transform
+function onlyChild(node) {
+    return node.child ?? node.children?.[0];
+}
+
+/**
+ * Check a node tree and throw an error naming the first bad node
+ * @param {Object} node
+ * @param {string} path - Where the node sits in the tree, used in error messages
+ */
+export function validateNode(node, path = 'scene') {
+    if (!node || typeof node !== 'object') {
+        throw new Error(`${path}: expected a node object`);
+    }
+
+    const { type } = node;
+    const required = Object.hasOwn(REQUIRED_FIELDS, type) ? REQUIRED_FIELDS[type] : [];
+    for (const field of required) {
+        if (node[field] === undefined) {
+            throw new Error(`${path}: "${type}" node needs "${field}"`);
+        }
+    }
+
+    if (Object.hasOwn(SHAPE_KINDS, type)) {
+        return node;
+    }
+
+    if (Object.hasOwn(OPERATIONS, type) || type === 'morph') {
+        if (!Array.isArray(node.children) || node.children.length < 2) {
+            throw new Error(`${path}: "${type}" node needs at least 2 children`);
+        }
+        if (type === 'morph' && node.children.length !== 2) {
+            throw new Error(`${path}: "morph" node needs exactly 2 children`);
+        }
+        node.children.forEach((child, i) => validateNode(child, `${path}.children[${i}]`));
+        return node;
+    }
+
+    if (MODIFIERS.includes(type) || TRANSFORMS.includes(type)) {
+        if (type === 'scale' && !(node.factor > 0)) {
+            throw new Error(`${path}: "scale" factor must be positive`);
+        }
+        if (type === 'mirror' && !['x', 'y', 'xy'].includes(node.axis)) {
+            throw new Error(`${path}: "mirror" axis must be 'x', 'y' or 'xy'`);
+        }
+        validateNode(onlyChild(node), `${path}.child`);
+        return node;
+    }
+
+    throw new Error(`${path}: unknown node type "${type}"`);
+}
+
+// CPU evaluation
+
+// Fold a point onto the repeated cell around the origin along one axis. Cells are picked
+// with floor(x + 0.5) rather than rounding, so halves go up on the CPU and in WGSL alike
+// (WGSL's round() takes halves to even).
+function repeatAxis(value, period, count) {
+    if (!period) return value;
+    let cell = Math.floor(value / period + 0.5);
+    if (count !== undefined) {
+        cell = Math.min(Math.max(cell, -count), count);
+    }
+    return value - period * cell;
+}
+
+/**
+ * Create a distance function (x, y) => distance for a node tree
+ */
+export function createNodeSDF(node) {
+    const { type } = node;
+
+    if (Object.hasOwn(SHAPE_KINDS, type)) {
+        return createShapeSDF(node);
+    }
+
+    if (Object.hasOwn(OPERATIONS, type)) {
+        const op = OPERATIONS[type];
+        const blend = node.blend ?? 0;
+        const [first, ...rest] = node.children.map(createNodeSDF);
+        return (x, y) => rest.reduce((d, sdf) => op(d, sdf(x, y), blend), first(x, y));
+    }
+
+    if (type === 'morph') {
+        const [a, b] = node.children.map(createNodeSDF);
+        return (x, y) => opMorph(a(x, y), b(x, y), node.t);
+    }
+
+    const child = createNodeSDF(onlyChild(node));
+
+    switch (type) {
+        case 'offset':
+            return (x, y) => opOffset(child(x, y), node.amount);
+        case 'onion':
+            return (x, y) => opOnion(child(x, y), node.thickness);
+        case 'translate': {
+            const [ox, oy] = node.offset;
+            return (x, y) => child(x - ox, y - oy);
+        }
+        case 'rotate': {
+            const c = Math.cos(node.angle);
+            const s = Math.sin(node.angle);
+            return (x, y) => child(c * x + s * y, -s * x + c * y);
+        }
+        case 'scale': {
+            const k = node.factor;
+            return (x, y) => child(x / k, y / k) * k;
+        }
+        case 'repeat': {
+            const [px, py] = node.period;
+            const [nx, ny] = node.count ?? [];
+            return (x, y) => child(repeatAxis(x, px, nx), repeatAxis(y, py, ny));
+        }
+        case 'mirror': {
+            const mx = node.axis.includes('x');
+            const my = node.axis.includes('y');
+            return (x, y) => child(mx ? Math.abs(x) : x, my ? Math.abs(y) : y);
+        }
+        default:
+            throw new Error(`Unknown SDF node type "${type}"`);
+    }
+}
+
+// WGSL compilation
+
+// WGSL float literal (WGSL needs a decimal point or exponent to infer f32); negative
+// values are parenthesized so they can follow any operator
+function float(value) {
+    if (!Number.isFinite(value)) {
+        throw new Error(`Cannot compile non-finite value ${value} to WGSL`);
+    }
+    let text = String(value);
+    if (!/[.e]/.test(text)) text += '.0';
+    return value < 0 ? `(${text})` : text;
+}
+
+function vec2(x, y) {
+    return `vec2<f32>(${float(x)}, ${float(y)})`;
+}
+
+function vec4(values) {
+    return `vec4<f32>(${values.map(float).join(', ')})`;
+}
+
+function repeatAxisWGSL(value, period, count) {
+    if (!period) return value;
+    const cell = count === undefined
+        ? `floor(${value} / ${float(period)} + 0.5)`
+        : `clamp(floor(${value} / ${float(period)} + 0.5), ${float(-count)}, ${float(count)})`;
+    return `${value} - ${float(period)} * ${cell}`;
+}
+
+// WGSL name of an operator: 'smoothUnion' -> 'opSmoothUnion'
+function operatorFunction(type) {
+    return `op${type[0].toUpperCase()}${type.slice(1)}`;
+}
+
+/**
+ * Compile a node tree into WGSL source defining `fn sdScene(p: vec2<f32>) -> f32`.
+ * The source calls into SDF_PRIMITIVES_WGSL and SDF_OPERATORS_WGSL, which the shader must
+ * also include; polygon corners are read from `polygonVertices`, which must be filled with
+ * the returned `vertices`.
+ * @returns {{ code: string, vertices: Float32Array, vertexCount: number }}
+ */
+export function compileNodeWGSL(node) {
+    validateNode(node);
+
+    const lines = [];
+    const vertices = [];
+    let counter = 0;
+
+    const declare = (prefix, expression) => {
+        const name = `${prefix}${counter++}`;
+        lines.push(`    let ${name} = ${expression};`);
+        return name;
+    };
+
+    // Emit the statements for a node evaluated at point p, returning the distance variable
+    const emit = (node, p) => {
+        const { type } = node;
+
+        if (Object.hasOwn(SHAPE_KINDS, type)) {
+            const packed = packShape(node);
+            if (type === 'polygon') {
+                const start = vertices.length / 2;
+                vertices.push(...packed.vertices);
+                return declare('d', `sdPolygonAt(${p}, ${start}u, ${packed.vertices.length / 2}u)`);
+            }
+            return declare('d', `sdShape(${packed.kind}u, ${p}, ${vec4(packed.a)}, ${vec4(packed.b)}, 0u)`);
+        }
+
+        if (Object.hasOwn(OPERATIONS, type)) {
+            const fn = operatorFunction(type);
+            const blend = type.startsWith('smooth') ? `, ${float(node.blend ?? 0)}` : '';
+            const [first, ...rest] = node.children.map((child) => emit(child, p));
+            return rest.reduce((d, other) => declare('d', `${fn}(${d}, ${other}${blend})`), first);
+        }
+
+        if (type === 'morph') {
+            const [a, b] = node.children.map((child) => emit(child, p));
+            return declare('d', `opMorph(${a}, ${b}, ${float(node.t)})`);
+        }
+
+        const child = onlyChild(node);
+
+        switch (type) {
+            case 'offset':
+                return declare('d', `opOffset(${emit(child, p)}, ${float(node.amount)})`);
+            case 'onion':
+                return declare('d', `opOnion(${emit(child, p)}, ${float(node.thickness)})`);
+            case 'translate':
+                return emit(child, declare('p', `${p} - ${vec2(...node.offset)}`));
+            case 'rotate': {
+                const c = float(Math.cos(node.angle));
+                const s = float(Math.sin(node.angle));
+                const negS = float(-Math.sin(node.angle));
+                return emit(child, declare('p', `vec2<f32>(${c} * ${p}.x + ${s} * ${p}.y, ${negS} * ${p}.x + ${c} * ${p}.y)`));
+            }
+            case 'scale': {
+                const d = emit(child, declare('p', `${p} / ${float(node.factor)}`));
+                return declare('d', `${d} * ${float(node.factor)}`);
+            }
+            case 'repeat': {
+                const [px, py] = node.period;
+                const [nx, ny] = node.count ?? [];
+                const x = repeatAxisWGSL(`${p}.x`, px, nx);
+                const y = repeatAxisWGSL(`${p}.y`, py, ny);
+                return emit(child, declare('p', `vec2<f32>(${x}, ${y})`));
+            }
+            case 'mirror': {
+                const x = node.axis.includes('x') ? `abs(${p}.x)` : `${p}.x`;
+                const y = node.axis.includes('y') ? `abs(${p}.y)` : `${p}.y`;
+                return emit(child, declare('p', `vec2<f32>(${x}, ${y})`));
+            }
+            default:
+                throw new Error(`Unknown SDF node type "${type}"`);
+        }
+    };
+
+    const result = emit(node, 'p');
+    const code = `fn sdScene(p: vec2<f32>) -> f32 {\n${lines.join('\n')}\n    return ${result};\n}\n`;
+
+    return {
+        code,
+        vertices: new Float32Array(vertices),
+        vertexCount: vertices.length / 2
+    };
+}
+
+// JSON
+
+/**
+ * Read a scene from its JSON text (or an already parsed object) and validate it
+ */
+export function parseScene(json) {
+    const node = typeof json === 'string' ? JSON.parse(json) : json;
+    return validateNode(node);
+}
+
+/**
+ * Write a scene as JSON text
+ */
+export function serializeScene(node, space = 2) {
+    return JSON.stringify(validateNode(node), null, space);
+}
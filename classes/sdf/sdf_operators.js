@@ -0,0 +1,101 @@
+// SDF field operators - boolean, smooth and shape-modifying operations on distances
+//
+// Binary operators take two distances (a, b) and return the combined distance;
+// "subtraction" cuts b out of a. Smooth variants blend within `blend` units of the
+// seam (polynomial smooth min), and fall back to the hard operator when blend <= 0.
+// Each function is mirrored in sdf_operators_wgsl.js.
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+// Written so a weight of exactly 0 or 1 returns one input untouched, which keeps
+// Infinity (an empty field) from turning into NaN
+function mix(a, b, t) {
+    if (t <= 0) return a;
+    if (t >= 1) return b;
+    return a + (b - a) * t;
+}
+
+// Boolean operators
+
+export function opUnion(a, b) {
+    return Math.min(a, b);
+}
+
+export function opIntersection(a, b) {
+    return Math.max(a, b);
+}
+
+export function opSubtraction(a, b) {
+    return Math.max(a, -b);
+}
+
+export function opXor(a, b) {
+    return Math.max(Math.min(a, b), -Math.max(a, b));
+}
+
+// Smooth boolean operators
+
+export function opSmoothUnion(a, b, blend) {
+    if (blend <= 0) return opUnion(a, b);
+    const h = clamp(0.5 + 0.5 * (b - a) / blend, 0, 1);
+    return mix(b, a, h) - (h > 0 && h < 1 ? blend * h * (1 - h) : 0);
+}
+
+export function opSmoothIntersection(a, b, blend) {
+    if (blend <= 0) return opIntersection(a, b);
+    const h = clamp(0.5 - 0.5 * (b - a) / blend, 0, 1);
+    return mix(b, a, h) + (h > 0 && h < 1 ? blend * h * (1 - h) : 0);
+}
+
+export function opSmoothSubtraction(a, b, blend) {
+    if (blend <= 0) return opSubtraction(a, b);
+    const h = clamp(0.5 - 0.5 * (a + b) / blend, 0, 1);
+    return mix(a, -b, h) + (h > 0 && h < 1 ? blend * h * (1 - h) : 0);
+}
+
+// Unary operators
+
+/**
+ * Grow (positive amount) or shrink (negative amount) a shape, rounding its corners
+ */
+export function opOffset(d, amount) {
+    return d - amount;
+}
+
+/**
+ * Turn a shape into a shell of the given half thickness around its boundary
+ */
+export function opOnion(d, thickness) {
+    return Math.abs(d) - thickness;
+}
+
+/**
+ * Blend between two shapes, t = 0 gives a and t = 1 gives b
+ */
+export function opMorph(a, b, t) {
+    return mix(a, b, t);
+}
+
+// Binary operators by name, each called as fn(a, b, blend)
+export const OPERATIONS = {
+    union: opUnion,
+    intersection: opIntersection,
+    subtraction: opSubtraction,
+    xor: opXor,
+    smoothUnion: opSmoothUnion,
+    smoothIntersection: opSmoothIntersection,
+    smoothSubtraction: opSmoothSubtraction
+};
+
+/**
+ * Look up a binary operator by name
+ */
+export function getOperation(name) {
+    const operation = OPERATIONS[name];
+    if (!operation) {
+        throw new Error(`Unknown SDF operation "${name}". Available: ${Object.keys(OPERATIONS).join(', ')}`);
+    }
+    return operation;
+}
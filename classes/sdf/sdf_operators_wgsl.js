@@ -0,0 +1,56 @@
+// WGSL mirror of sdf_operators.js - include this source in a compute shader to combine
+// distances on the GPU the same way as on the CPU.
+
+export const SDF_OPERATORS_WGSL = /* wgsl */ `
+fn opUnion(a: f32, b: f32) -> f32 {
+    return min(a, b);
+}
+
+fn opIntersection(a: f32, b: f32) -> f32 {
+    return max(a, b);
+}
+
+fn opSubtraction(a: f32, b: f32) -> f32 {
+    return max(a, -b);
+}
+
+fn opXor(a: f32, b: f32) -> f32 {
+    return max(min(a, b), -max(a, b));
+}
+
+fn opSmoothUnion(a: f32, b: f32, blend: f32) -> f32 {
+    if (blend <= 0.0) {
+        return opUnion(a, b);
+    }
+    let h = clamp(0.5 + 0.5 * (b - a) / blend, 0.0, 1.0);
+    return mix(b, a, h) - blend * h * (1.0 - h);
+}
+
+fn opSmoothIntersection(a: f32, b: f32, blend: f32) -> f32 {
+    if (blend <= 0.0) {
+        return opIntersection(a, b);
+    }
+    let h = clamp(0.5 - 0.5 * (b - a) / blend, 0.0, 1.0);
+    return mix(b, a, h) + blend * h * (1.0 - h);
+}
+
+fn opSmoothSubtraction(a: f32, b: f32, blend: f32) -> f32 {
+    if (blend <= 0.0) {
+        return opSubtraction(a, b);
+    }
+    let h = clamp(0.5 - 0.5 * (a + b) / blend, 0.0, 1.0);
+    return mix(a, -b, h) + blend * h * (1.0 - h);
+}
+
+fn opOffset(d: f32, amount: f32) -> f32 {
+    return d - amount;
+}
+
+fn opOnion(d: f32, thickness: f32) -> f32 {
+    return abs(d) - thickness;
+}
+
+fn opMorph(a: f32, b: f32, t: f32) -> f32 {
+    return mix(a, b, t);
+}
+`;
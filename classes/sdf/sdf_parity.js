@@ -0,0 +1,167 @@
+import { ScalarField2D } from '../field/scalar_field_2d.js';
+import { createSoftwareBackend } from '../gpu/compute_backend.js';
+import { WebGPUSDFGrid } from './sdf.js';
+import { SDF_KERNELS } from './sdf_kernels.js';
+import { createShapeSDF } from './sdf_primitives.js';
+import { createNodeSDF } from './sdf_node.js';
+
+// CPU/GPU parity checks - runs WebGPUSDFGrid on a device, reads the compute shader's field
+// back and compares it cell by cell with the CPU distance functions on the same grid.
+//
+// On a real device this checks the WGSL against the JavaScript. The software device
+// (runSoftwareParity, which also runs in Node) runs kernels built on the same distance
+// functions as the reference, so its errors are no more than float32 rounding by
+// construction: it only checks the packing, dispatch and readback path around the
+// shader, and its report says so. Scene graphs are skipped there and count neither as
+// passed nor as failed. Given a WGSL interpreter (`interpret`, see software_device.js)
+// the software device runs the shaders themselves, scene graphs included - this is how
+// `npm test` checks the WGSL without a GPU:
+//
+//   const report = await runSoftwareParity();
+//   console.log(formatParityReport(report));
+
+// One case per shape kind, plus a scene graph for devices that run WGSL
+export const PARITY_CASES = [
+    { label: 'circle', shape: { type: 'circle', center: [0.5, -1], radius: 2 } },
+    { label: 'box', shape: { type: 'box', center: [-1, 0.5], halfSize: [2, 1] } },
+    { label: 'roundedBox', shape: { type: 'roundedBox', center: [0, 0], halfSize: [2.5, 1.5], radius: 0.5 } },
+    { label: 'segment', shape: { type: 'segment', a: [-3, -2], b: [2, 3] } },
+    { label: 'capsule', shape: { type: 'capsule', a: [-2, 1], b: [3, -1], radius: 0.75 } },
+    { label: 'polygon', shape: { type: 'polygon', points: [[-3, -2], [3, -2.5], [1, 0], [2.5, 3], [-2, 2]] } },
+    { label: 'ellipse', shape: { type: 'ellipse', center: [0, 0], radii: [3, 1.5] } },
+    { label: 'arc', shape: { type: 'arc', center: [0, -0.5], radius: 2.5, aperture: Math.PI * 0.6, thickness: 0.3 } },
+    { label: 'star', shape: { type: 'star', center: [0.5, 0], radius: 3, points: 5, sharpness: 3 } },
+    { label: 'triangle', shape: { type: 'triangle', a: [-3, -2], b: [3, -1], c: [0, 3] } },
+    {
+        label: 'scene',
+        node: {
+            type: 'smoothUnion',
+            blend: 0.5,
+            children: [
+                { type: 'circle', center: [-1.5, 0], radius: 1.5 },
+                { type: 'rotate', angle: 0.4, child: { type: 'box', center: [1.5, 0], halfSize: [1.5, 0.75] } }
+            ]
+        }
+    }
+];
+
+/**
+ * Compare a GPU field with a CPU one
+ * @returns {{ maxError: number, meanError: number, worst: { index: number, gpu: number, cpu: number } }}
+ */
+export function compareFields(gpu, cpu) {
+    let maxError = 0;
+    let sum = 0;
+    let worst = { index: -1, gpu: 0, cpu: 0 };
+
+    for (let k = 0; k < cpu.length; k++) {
+        // NaN counts as an infinite error
+        const error = Math.abs(gpu[k] - cpu[k]);
+        const value = Number.isNaN(error) ? Infinity : error;
+        sum += value;
+        if (value > maxError || worst.index < 0) {
+            maxError = Math.max(maxError, value);
+            worst = { index: k, gpu: gpu[k], cpu: cpu[k] };
+        }
+    }
+
+    return { maxError, meanError: sum / cpu.length, worst };
+}
+
+/**
+ * Run every case on the device and compare the GPU field with the CPU reference
+ * @param {GPUDevice} device - A WebGPU device, or one from createSoftwareDevice
+ * @param {Object} options
+ * @param {number} options.gridSize
+ * @param {number} options.tolerance - Largest accepted difference, in world units
+ * @param {Object[]} options.cases - { label, shape } or { label, node }, see PARITY_CASES
+ * @returns {Promise<{ passed: boolean, shaders: boolean, results: Object[] }>} `passed` once
+ *   at least one case ran and every case that ran passed; `shaders` when the device ran
+ *   the WGSL rather than JavaScript kernels
+ */
+export async function runSDFParity(device, { gridSize = 64, tolerance = 1e-3, cases = PARITY_CASES } = {}) {
+    const runsShaders = !device.isSoftware || Boolean(device.runsShaders);
+    const grid = new WebGPUSDFGrid(device, gridSize);
+    if (grid.deviceLost) {
+        grid.destroy();
+        throw new Error('Could not set up the SDF grid on this device');
+    }
+
+    const results = [];
+    try {
+        for (const { label, shape, node } of cases) {
+            // The software kernels cover the packed shape only
+            if (node && !runsShaders) {
+                results.push({ label, skipped: true, reason: 'scene graphs need a device that runs WGSL' });
+                continue;
+            }
+
+            if (node) grid.setNode(node);
+            else grid.setShape(shape);
+
+            const gpu = await grid.readField();
+            const cpu = ScalarField2D.centered(grid.gridSize, 10)
+                .evaluate(node ? createNodeSDF(node) : createShapeSDF(shape));
+
+            const { maxError, meanError, worst } = compareFields(gpu, cpu.data);
+            const i = Math.floor(worst.index / grid.gridSize);
+            const j = worst.index % grid.gridSize;
+
+            results.push({
+                label,
+                maxError,
+                meanError,
+                worst: { x: cpu.xAt(i), y: cpu.yAt(j), gpu: worst.gpu, cpu: worst.cpu },
+                passed: maxError <= tolerance
+            });
+        }
+    } finally {
+        grid.destroy();
+    }
+
+    const checked = results.filter((result) => !result.skipped);
+    return {
+        passed: checked.length > 0 && checked.every((result) => result.passed),
+        shaders: runsShaders,
+        results
+    };
+}
+
+/**
+ * Run the parity cases on a software device, e.g. in Node where there is no WebGPU
+ * @param {Object} options - As for runSDFParity, plus `interpret` to run the WGSL itself
+ */
+export async function runSoftwareParity({ interpret = null, ...options } = {}) {
+    const backend = createSoftwareBackend({ kernels: SDF_KERNELS, interpret });
+
+    try {
+        return await runSDFParity(backend.device, options);
+    } finally {
+        backend.destroy();
+    }
+}
+
+/**
+ * One line per case: pass/fail/skip, errors and where the largest one is, then a summary
+ */
+export function formatParityReport({ passed, shaders, results }) {
+    const lines = results.map((result) => {
+        if (result.skipped) return `skip  ${result.label.padEnd(10)}  ${result.reason}`;
+
+        const { x, y, gpu, cpu } = result.worst;
+        return `${result.passed ? 'pass' : 'FAIL'}  ${result.label.padEnd(10)}` +
+            `  max ${result.maxError.toExponential(2)}  mean ${result.meanError.toExponential(2)}` +
+            `  worst at (${x.toFixed(2)}, ${y.toFixed(2)}): gpu ${gpu.toFixed(5)}, cpu ${cpu.toFixed(5)}`;
+    });
+
+    const count = (test) => results.filter(test).length;
+    const failed = count((result) => !result.skipped && !result.passed);
+    const skipped = count((result) => result.skipped);
+    lines.push(`CPU/GPU parity: ${passed ? 'PASS' : 'FAIL'} - ${results.length - failed - skipped} passed, ` +
+        `${failed} failed, ${skipped} skipped`);
+    if (!shaders) {
+        lines.push('Software device: its kernels share the reference\'s distance functions, so this ' +
+            'covers uniform packing, dispatch and readback only, not the WGSL');
+    }
+    return lines.join('\n');
+}
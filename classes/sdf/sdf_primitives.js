@@ -0,0 +1,323 @@
+// 2D SDF primitive library - exact signed distance functions
+//
+// Negative inside, positive outside. Distance functions follow Inigo Quilez's 2D
+// distance functions (https://iquilezles.org/articles/distfunctions2d/) and are mirrored
+// one-to-one in sdf_primitives_wgsl.js so the CPU and GPU fields match.
+//
+// Shapes are described by plain objects, e.g.
+//   { type: 'circle',     center: [0, 0], radius: 1 }
+//   { type: 'box',        center: [0, 0], halfSize: [2, 1] }
+//   { type: 'roundedBox', center: [0, 0], halfSize: [2, 1], radius: 0.3 }
+//   { type: 'segment',    a: [0, 0], b: [2, 1] }               (unsigned distance)
+//   { type: 'capsule',    a: [0, 0], b: [2, 1], radius: 0.5 }
+//   { type: 'polygon',    points: [[0, 0], [2, 0], [1, 2]] }
+//   { type: 'ellipse',    center: [0, 0], radii: [2, 1] }
+//   { type: 'arc',        center: [0, 0], radius: 2, aperture: Math.PI / 2, thickness: 0.2 }
+//                         (symmetric about +y, aperture is the half angle)
+//   { type: 'star',       center: [0, 0], radius: 2, points: 5, sharpness: 3 }
+//                         (sharpness between 2 and points; 2 = regular polygon)
+//   { type: 'triangle',   a: [0, 0], b: [2, 0], c: [1, 2] }
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+// GLSL/WGSL style modulo (result has the sign of y)
+function mod(x, y) {
+    return x - y * Math.floor(x / y);
+}
+
+// Primitive distance functions, all centered on the origin unless they take points
+
+export function sdCircle(px, py, radius) {
+    return Math.hypot(px, py) - radius;
+}
+
+export function sdBox(px, py, hx, hy) {
+    const dx = Math.abs(px) - hx;
+    const dy = Math.abs(py) - hy;
+    return Math.hypot(Math.max(dx, 0), Math.max(dy, 0)) + Math.min(Math.max(dx, dy), 0);
+}
+
+export function sdRoundedBox(px, py, hx, hy, radius) {
+    return sdBox(px, py, hx - radius, hy - radius) - radius;
+}
+
+export function sdSegment(px, py, ax, ay, bx, by) {
+    const pax = px - ax, pay = py - ay;
+    const bax = bx - ax, bay = by - ay;
+    const h = clamp((pax * bax + pay * bay) / (bax * bax + bay * bay), 0, 1);
+    return Math.hypot(pax - bax * h, pay - bay * h);
+}
+
+export function sdCapsule(px, py, ax, ay, bx, by, radius) {
+    return sdSegment(px, py, ax, ay, bx, by) - radius;
+}
+
+/**
+ * @param {number[]} vertices - Flat [x0, y0, x1, y1, ...] list of polygon corners
+ */
+export function sdPolygon(px, py, vertices) {
+    const n = vertices.length / 2;
+    let d = (px - vertices[0]) ** 2 + (py - vertices[1]) ** 2;
+    let s = 1;
+
+    for (let i = 0, j = n - 1; i < n; j = i, i++) {
+        const vix = vertices[i * 2], viy = vertices[i * 2 + 1];
+        const vjx = vertices[j * 2], vjy = vertices[j * 2 + 1];
+        const ex = vjx - vix, ey = vjy - viy;
+        const wx = px - vix, wy = py - viy;
+        const h = clamp((wx * ex + wy * ey) / (ex * ex + ey * ey), 0, 1);
+        const bx = wx - ex * h, by = wy - ey * h;
+        d = Math.min(d, bx * bx + by * by);
+
+        const c1 = py >= viy;
+        const c2 = py < vjy;
+        const c3 = ex * wy > ey * wx;
+        if ((c1 && c2 && c3) || (!c1 && !c2 && !c3)) s = -s;
+    }
+
+    return s * Math.sqrt(d);
+}
+
+export function sdEllipse(px, py, ra, rb) {
+    // The closed form divides by ra² - rb²; a circle is the exact limit
+    if (Math.abs(ra - rb) < 1e-6) return sdCircle(px, py, ra);
+
+    px = Math.abs(px);
+    py = Math.abs(py);
+    if (px > py) {
+        [px, py] = [py, px];
+        [ra, rb] = [rb, ra];
+    }
+
+    const l = rb * rb - ra * ra;
+    const m = ra * px / l, m2 = m * m;
+    const n = rb * py / l, n2 = n * n;
+    const c = (m2 + n2 - 1) / 3, c3 = c * c * c;
+    const q = c3 + m2 * n2 * 2;
+    const d = c3 + m2 * n2;
+    const g = m + m * n2;
+
+    let co;
+    if (d < 0) {
+        const h = Math.acos(clamp(q / c3, -1, 1)) / 3;
+        const s = Math.cos(h);
+        const t = Math.sin(h) * Math.sqrt(3);
+        const rx = Math.sqrt(-c * (s + t + 2) + m2);
+        const ry = Math.sqrt(-c * (s - t + 2) + m2);
+        co = (ry + Math.sign(l) * rx + Math.abs(g) / (rx * ry) - m) / 2;
+    } else {
+        const h = 2 * m * n * Math.sqrt(d);
+        const s = Math.sign(q + h) * Math.pow(Math.abs(q + h), 1 / 3);
+        const u = Math.sign(q - h) * Math.pow(Math.abs(q - h), 1 / 3);
+        const rx = -s - u - c * 4 + 2 * m2;
+        const ry = (s - u) * Math.sqrt(3);
+        const rm = Math.hypot(rx, ry);
+        // Both terms are 0 / 0 on the axis, where they tend to 0
+        const k = rm - rx > 0 ? ry / Math.sqrt(rm - rx) : 0;
+        const w = rm > 0 ? 2 * g / rm : 0;
+        co = (k + w - m) / 2;
+    }
+
+    const rx = ra * co;
+    const ry = rb * Math.sqrt(Math.max(1 - co * co, 0));
+    return Math.hypot(rx - px, ry - py) * Math.sign(py - ry);
+}
+
+/**
+ * Arc symmetric about +y
+ * @param {number} sinAperture - sin of the half aperture angle
+ * @param {number} cosAperture - cos of the half aperture angle
+ */
+export function sdArc(px, py, sinAperture, cosAperture, radius, thickness) {
+    px = Math.abs(px);
+    const d = (cosAperture * px > sinAperture * py)
+        ? Math.hypot(px - sinAperture * radius, py - cosAperture * radius)
+        : Math.abs(Math.hypot(px, py) - radius);
+    return d - thickness;
+}
+
+/**
+ * Star with `points` tips; sharpness between 2 (regular polygon) and points
+ */
+export function sdStar(px, py, radius, points, sharpness) {
+    const an = Math.PI / points;
+    const en = Math.PI / sharpness;
+    const acx = Math.cos(an), acy = Math.sin(an);
+    const ecx = Math.cos(en), ecy = Math.sin(en);
+
+    const bn = mod(Math.atan2(px, py), 2 * an) - an;
+    const len = Math.hypot(px, py);
+    let qx = len * Math.cos(bn) - radius * acx;
+    let qy = len * Math.abs(Math.sin(bn)) - radius * acy;
+    const h = clamp(-(qx * ecx + qy * ecy), 0, radius * acy / ecy);
+    qx += ecx * h;
+    qy += ecy * h;
+    return Math.hypot(qx, qy) * Math.sign(qx);
+}
+
+export function sdTriangle(px, py, ax, ay, bx, by, cx, cy) {
+    const e0x = bx - ax, e0y = by - ay;
+    const e1x = cx - bx, e1y = cy - by;
+    const e2x = ax - cx, e2y = ay - cy;
+    const v0x = px - ax, v0y = py - ay;
+    const v1x = px - bx, v1y = py - by;
+    const v2x = px - cx, v2y = py - cy;
+
+    const h0 = clamp((v0x * e0x + v0y * e0y) / (e0x * e0x + e0y * e0y), 0, 1);
+    const h1 = clamp((v1x * e1x + v1y * e1y) / (e1x * e1x + e1y * e1y), 0, 1);
+    const h2 = clamp((v2x * e2x + v2y * e2y) / (e2x * e2x + e2y * e2y), 0, 1);
+    const pq0x = v0x - e0x * h0, pq0y = v0y - e0y * h0;
+    const pq1x = v1x - e1x * h1, pq1y = v1y - e1y * h1;
+    const pq2x = v2x - e2x * h2, pq2y = v2y - e2y * h2;
+
+    const s = Math.sign(e0x * e2y - e0y * e2x);
+    const dx = Math.min(pq0x * pq0x + pq0y * pq0y, pq1x * pq1x + pq1y * pq1y, pq2x * pq2x + pq2y * pq2y);
+    const dy = Math.min(
+        s * (v0x * e0y - v0y * e0x),
+        s * (v1x * e1y - v1y * e1x),
+        s * (v2x * e2y - v2y * e2x)
+    );
+    return -Math.sqrt(dx) * Math.sign(dy);
+}
+
+// Shape descriptions
+
+// Shape kind ids, shared with the WGSL sdShape() switch
+export const SHAPE_KINDS = {
+    circle: 0,
+    box: 1,
+    roundedBox: 2,
+    segment: 3,
+    capsule: 4,
+    polygon: 5,
+    ellipse: 6,
+    arc: 7,
+    star: 8,
+    triangle: 9
+};
+
+function flattenPoints(points) {
+    const flat = new Float32Array(points.length * 2);
+    points.forEach(([x, y], i) => {
+        flat[i * 2] = x;
+        flat[i * 2 + 1] = y;
+    });
+    return flat;
+}
+
+/**
+ * Create a distance function (x, y) => distance for a shape description
+ */
+export function createShapeSDF(shape) {
+    const [cx, cy] = shape.center || [0, 0];
+
+    switch (shape.type) {
+        case 'circle':
+            return (x, y) => sdCircle(x - cx, y - cy, shape.radius);
+        case 'box':
+            return (x, y) => sdBox(x - cx, y - cy, shape.halfSize[0], shape.halfSize[1]);
+        case 'roundedBox':
+            return (x, y) => sdRoundedBox(x - cx, y - cy, shape.halfSize[0], shape.halfSize[1], shape.radius);
+        case 'segment':
+            return (x, y) => sdSegment(x, y, shape.a[0], shape.a[1], shape.b[0], shape.b[1]);
+        case 'capsule':
+            return (x, y) => sdCapsule(x, y, shape.a[0], shape.a[1], shape.b[0], shape.b[1], shape.radius);
+        case 'polygon': {
+            const vertices = flattenPoints(shape.points);
+            return (x, y) => sdPolygon(x, y, vertices);
+        }
+        case 'ellipse':
+            return (x, y) => sdEllipse(x - cx, y - cy, shape.radii[0], shape.radii[1]);
+        case 'arc': {
+            const sin = Math.sin(shape.aperture);
+            const cos = Math.cos(shape.aperture);
+            return (x, y) => sdArc(x - cx, y - cy, sin, cos, shape.radius, shape.thickness);
+        }
+        case 'star':
+            return (x, y) => sdStar(x - cx, y - cy, shape.radius, shape.points, shape.sharpness);
+        case 'triangle':
+            return (x, y) => sdTriangle(x, y, ...shape.a, ...shape.b, ...shape.c);
+        default:
+            throw new Error(`Unknown SDF shape type "${shape.type}"`);
+    }
+}
+
+/**
+ * Pack a shape into the layout read by the WGSL sdShape() function:
+ * a kind id, two vec4 parameter slots and, for polygons, the vertex list
+ * @returns {{ kind: number, a: number[], b: number[], vertices: Float32Array }}
+ */
+export function packShape(shape) {
+    const [cx, cy] = shape.center || [0, 0];
+    const kind = SHAPE_KINDS[shape.type];
+    if (kind === undefined) {
+        throw new Error(`Unknown SDF shape type "${shape.type}"`);
+    }
+
+    let a = [0, 0, 0, 0];
+    let b = [0, 0, 0, 0];
+    let vertices = new Float32Array(0);
+
+    switch (shape.type) {
+        case 'circle':
+            a = [cx, cy, shape.radius, 0];
+            break;
+        case 'box':
+            a = [cx, cy, shape.halfSize[0], shape.halfSize[1]];
+            break;
+        case 'roundedBox':
+            a = [cx, cy, shape.halfSize[0], shape.halfSize[1]];
+            b = [shape.radius, 0, 0, 0];
+            break;
+        case 'segment':
+            a = [...shape.a, ...shape.b];
+            break;
+        case 'capsule':
+            a = [...shape.a, ...shape.b];
+            b = [shape.radius, 0, 0, 0];
+            break;
+        case 'polygon':
+            vertices = flattenPoints(shape.points);
+            break;
+        case 'ellipse':
+            a = [cx, cy, shape.radii[0], shape.radii[1]];
+            break;
+        case 'arc':
+            a = [cx, cy, shape.radius, shape.thickness];
+            b = [Math.sin(shape.aperture), Math.cos(shape.aperture), 0, 0];
+            break;
+        case 'star':
+            a = [cx, cy, shape.radius, shape.points];
+            b = [shape.sharpness, 0, 0, 0];
+            break;
+        case 'triangle':
+            a = [...shape.a, ...shape.b];
+            b = [...shape.c, 0, 0];
+            break;
+    }
+
+    return { kind, a, b, vertices };
+}
+
+/**
+ * Evaluate a packed shape like the WGSL sdShape() function, for running the compute
+ * shader in JavaScript (see sdf_kernels.js)
+ * @param {number[]} vertices - Flat polygon corners, read for polygons only
+ */
+export function sdPackedShape(kind, px, py, a, b, vertices) {
+    switch (kind) {
+        case SHAPE_KINDS.circle: return sdCircle(px - a[0], py - a[1], a[2]);
+        case SHAPE_KINDS.box: return sdBox(px - a[0], py - a[1], a[2], a[3]);
+        case SHAPE_KINDS.roundedBox: return sdRoundedBox(px - a[0], py - a[1], a[2], a[3], b[0]);
+        case SHAPE_KINDS.segment: return sdSegment(px, py, a[0], a[1], a[2], a[3]);
+        case SHAPE_KINDS.capsule: return sdCapsule(px, py, a[0], a[1], a[2], a[3], b[0]);
+        case SHAPE_KINDS.polygon: return sdPolygon(px, py, vertices);
+        case SHAPE_KINDS.ellipse: return sdEllipse(px - a[0], py - a[1], a[2], a[3]);
+        case SHAPE_KINDS.arc: return sdArc(px - a[0], py - a[1], b[0], b[1], a[2], a[3]);
+        case SHAPE_KINDS.star: return sdStar(px - a[0], py - a[1], a[2], a[3], b[0]);
+        case SHAPE_KINDS.triangle: return sdTriangle(px, py, a[0], a[1], a[2], a[3], b[0], b[1]);
+        default: return 1000.0;
+    }
+}
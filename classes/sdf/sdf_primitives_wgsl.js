@@ -0,0 +1,176 @@
+// WGSL mirror of sdf_primitives.js - include this source in a compute shader to get the
+// same distance functions on the GPU.
+//
+// sdShape() reads polygon corners from `polygonVertices`, which the including shader
+// must declare as a module-scope storage array, e.g.
+//   @group(0) @binding(2) var<storage, read> polygonVertices: array<vec2<f32>>;
+
+export const SDF_PRIMITIVES_WGSL = /* wgsl */ `
+fn sdCircle(p: vec2<f32>, radius: f32) -> f32 {
+    return length(p) - radius;
+}
+
+fn sdBox(p: vec2<f32>, halfSize: vec2<f32>) -> f32 {
+    let d = abs(p) - halfSize;
+    return length(max(d, vec2<f32>(0.0))) + min(max(d.x, d.y), 0.0);
+}
+
+fn sdRoundedBox(p: vec2<f32>, halfSize: vec2<f32>, radius: f32) -> f32 {
+    return sdBox(p, halfSize - vec2<f32>(radius)) - radius;
+}
+
+fn sdSegment(p: vec2<f32>, a: vec2<f32>, b: vec2<f32>) -> f32 {
+    let pa = p - a;
+    let ba = b - a;
+    let h = clamp(dot(pa, ba) / dot(ba, ba), 0.0, 1.0);
+    return length(pa - ba * h);
+}
+
+fn sdCapsule(p: vec2<f32>, a: vec2<f32>, b: vec2<f32>, radius: f32) -> f32 {
+    return sdSegment(p, a, b) - radius;
+}
+
+// Polygon whose corners are polygonVertices[start .. start + count)
+fn sdPolygonAt(p: vec2<f32>, start: u32, count: u32) -> f32 {
+    var d = dot(p - polygonVertices[start], p - polygonVertices[start]);
+    var s = 1.0;
+    var j = start + count - 1u;
+    for (var i = start; i < start + count; i++) {
+        let vi = polygonVertices[i];
+        let vj = polygonVertices[j];
+        let e = vj - vi;
+        let w = p - vi;
+        let b = w - e * clamp(dot(w, e) / dot(e, e), 0.0, 1.0);
+        d = min(d, dot(b, b));
+        let c1 = p.y >= vi.y;
+        let c2 = p.y < vj.y;
+        let c3 = e.x * w.y > e.y * w.x;
+        if ((c1 && c2 && c3) || (!c1 && !c2 && !c3)) {
+            s = -s;
+        }
+        j = i;
+    }
+    return s * sqrt(d);
+}
+
+fn sdPolygon(p: vec2<f32>, count: u32) -> f32 {
+    return sdPolygonAt(p, 0u, count);
+}
+
+fn signedCbrt(x: f32) -> f32 {
+    return sign(x) * pow(abs(x), 1.0 / 3.0);
+}
+
+fn sdEllipse(pIn: vec2<f32>, radiiIn: vec2<f32>) -> f32 {
+    if (abs(radiiIn.x - radiiIn.y) < 1e-6) {
+        return sdCircle(pIn, radiiIn.x);
+    }
+
+    var p = abs(pIn);
+    var ab = radiiIn;
+    if (p.x > p.y) {
+        p = p.yx;
+        ab = ab.yx;
+    }
+
+    let l = ab.y * ab.y - ab.x * ab.x;
+    let m = ab.x * p.x / l;
+    let m2 = m * m;
+    let n = ab.y * p.y / l;
+    let n2 = n * n;
+    let c = (m2 + n2 - 1.0) / 3.0;
+    let c3 = c * c * c;
+    let q = c3 + m2 * n2 * 2.0;
+    let d = c3 + m2 * n2;
+    let g = m + m * n2;
+
+    var co: f32;
+    if (d < 0.0) {
+        let h = acos(clamp(q / c3, -1.0, 1.0)) / 3.0;
+        let s = cos(h);
+        let t = sin(h) * sqrt(3.0);
+        let rx = sqrt(-c * (s + t + 2.0) + m2);
+        let ry = sqrt(-c * (s - t + 2.0) + m2);
+        co = (ry + sign(l) * rx + abs(g) / (rx * ry) - m) / 2.0;
+    } else {
+        let h = 2.0 * m * n * sqrt(d);
+        let s = signedCbrt(q + h);
+        let u = signedCbrt(q - h);
+        let rx = -s - u - c * 4.0 + 2.0 * m2;
+        let ry = (s - u) * sqrt(3.0);
+        let rm = sqrt(rx * rx + ry * ry);
+        // Both terms are 0 / 0 on the axis, where they tend to 0
+        var k = 0.0;
+        if (rm - rx > 0.0) {
+            k = ry / sqrt(rm - rx);
+        }
+        var w = 0.0;
+        if (rm > 0.0) {
+            w = 2.0 * g / rm;
+        }
+        co = (k + w - m) / 2.0;
+    }
+
+    let r = ab * vec2<f32>(co, sqrt(max(1.0 - co * co, 0.0)));
+    return length(r - p) * sign(p.y - r.y);
+}
+
+fn sdArc(pIn: vec2<f32>, sc: vec2<f32>, radius: f32, thickness: f32) -> f32 {
+    let p = vec2<f32>(abs(pIn.x), pIn.y);
+    var d: f32;
+    if (sc.y * p.x > sc.x * p.y) {
+        d = length(p - sc * radius);
+    } else {
+        d = abs(length(p) - radius);
+    }
+    return d - thickness;
+}
+
+fn sdStar(pIn: vec2<f32>, radius: f32, points: f32, sharpness: f32) -> f32 {
+    let an = 3.14159265 / points;
+    let en = 3.14159265 / sharpness;
+    let acs = vec2<f32>(cos(an), sin(an));
+    let ecs = vec2<f32>(cos(en), sin(en));
+
+    let angle = atan2(pIn.x, pIn.y);
+    let bn = angle - 2.0 * an * floor(angle / (2.0 * an)) - an;
+    var p = length(pIn) * vec2<f32>(cos(bn), abs(sin(bn)));
+    p -= radius * acs;
+    p += ecs * clamp(-dot(p, ecs), 0.0, radius * acs.y / ecs.y);
+    return length(p) * sign(p.x);
+}
+
+fn sdTriangle(p: vec2<f32>, p0: vec2<f32>, p1: vec2<f32>, p2: vec2<f32>) -> f32 {
+    let e0 = p1 - p0;
+    let e1 = p2 - p1;
+    let e2 = p0 - p2;
+    let v0 = p - p0;
+    let v1 = p - p1;
+    let v2 = p - p2;
+    let pq0 = v0 - e0 * clamp(dot(v0, e0) / dot(e0, e0), 0.0, 1.0);
+    let pq1 = v1 - e1 * clamp(dot(v1, e1) / dot(e1, e1), 0.0, 1.0);
+    let pq2 = v2 - e2 * clamp(dot(v2, e2) / dot(e2, e2), 0.0, 1.0);
+    let s = sign(e0.x * e2.y - e0.y * e2.x);
+    let d = min(min(vec2<f32>(dot(pq0, pq0), s * (v0.x * e0.y - v0.y * e0.x)),
+                    vec2<f32>(dot(pq1, pq1), s * (v1.x * e1.y - v1.y * e1.x))),
+                    vec2<f32>(dot(pq2, pq2), s * (v2.x * e2.y - v2.y * e2.x)));
+    return -sqrt(d.x) * sign(d.y);
+}
+
+// Evaluate a shape packed by packShape() in sdf_primitives.js
+fn sdShape(kind: u32, p: vec2<f32>, a: vec4<f32>, b: vec4<f32>, vertexCount: u32) -> f32 {
+    switch kind {
+        case 0u: { return sdCircle(p - a.xy, a.z); }
+        case 1u: { return sdBox(p - a.xy, a.zw); }
+        case 2u: { return sdRoundedBox(p - a.xy, a.zw, b.x); }
+        case 3u: { return sdSegment(p, a.xy, a.zw); }
+        case 4u: { return sdCapsule(p, a.xy, a.zw, b.x); }
+        case 5u: { return sdPolygon(p, vertexCount); }
+        case 6u: { return sdEllipse(p - a.xy, a.zw); }
+        case 7u: { return sdArc(p - a.xy, b.xy, a.z, a.w); }
+        case 8u: { return sdStar(p - a.xy, a.z, a.w, b.x); }
+        case 9u: { return sdTriangle(p, a.xy, a.zw, b.xy); }
+        default: { return 1000.0; }
+    }
+}
+`;
@@ -0,0 +1,129 @@
+import { ScalarField2D } from '../field/scalar_field_2d.js';
+import { createNodeSDF } from '../sdf/sdf_node.js';
+import { opSmoothIntersection, opUnion } from '../sdf/sdf_operators.js';
+import { evaluateTPMS, tpmsSolid } from './tpms_catalogue.js';
+import { resolveGrading } from './grading.js';
+
+// Default values for the constructor options
+const DEFAULTS = {
+    surface: 'gyroid',
+    solid: 'sheet',
+    period: 2,       // world size of a unit cell, number or grading map
+    thickness: 0.2,  // wall thickness (sheet) or level shift (network) in world units, number or grading map
+    envelope: null,  // shape the lattice is clipped to
+    blend: 0,        // smooth intersection radius between lattice and envelope
+    skin: 0          // thickness of a solid wall just inside the envelope, 0 for none
+};
+
+/**
+ * Turn an envelope description into a distance function (x, y) => d:
+ * a ScalarField2D (e.g. an SDFGrid), an SDF node from sdf_node.js, or a function
+ */
+function resolveEnvelope(envelope) {
+    if (!envelope) return null;
+    if (typeof envelope === 'function') return envelope;
+    if (envelope instanceof ScalarField2D) {
+        return (x, y) => {
+            const d = envelope.interpolate(x, y);
+            return Number.isNaN(d) ? Infinity : d; // Empty SDF cells hold Infinity
+        };
+    }
+    return createNodeSDF(envelope);
+}
+
+/**
+ * Lattice infill - a TPMS solid with spatially graded period and wall thickness,
+ * clipped to an SDF envelope
+ *
+ * Values approximate signed distances in world units (negative inside the solid), so they
+ * can be contoured, meshed or combined with other SDFs. The TPMS is scaled by the local
+ * period, which is exact for a constant period and a good approximation while it varies slowly.
+ * Gradings and the envelope are given in plan coordinates (x, y) - world x and z.
+ */
+export class GradedTPMS {
+    /**
+     * @param {Object} options - Overrides for DEFAULTS
+     */
+    constructor(options = {}) {
+        const settings = { ...DEFAULTS, ...options };
+
+        this.surface = settings.surface;
+        this.solid = settings.solid;
+        this.blend = settings.blend;
+        this.skin = settings.skin;
+        this.setPeriod(settings.period);
+        this.setThickness(settings.thickness);
+        this.setEnvelope(settings.envelope);
+    }
+
+    /**
+     * @param {number|Function} period - Number or grading map from grading.js
+     */
+    setPeriod(period) {
+        this.period = resolveGrading(period);
+    }
+
+    /**
+     * @param {number|Function} thickness - Number or grading map from grading.js
+     */
+    setThickness(thickness) {
+        this.thickness = resolveGrading(thickness);
+    }
+
+    /**
+     * @param {ScalarField2D|Object|Function|null} envelope - Field, SDF node or distance function
+     */
+    setEnvelope(envelope) {
+        this.envelope = resolveEnvelope(envelope);
+    }
+
+    /**
+     * Value at plan position (x, y) and height h
+     */
+    valueAt(x, y, h = 0) {
+        const period = this.period(x, y);
+        const scale = (2 * Math.PI) / period;
+
+        // Normalized TPMS value, brought to world units by the local cell size
+        const value = evaluateTPMS(this.surface, x * scale, y * scale, h * scale) / scale;
+        let d = tpmsSolid(value, this.solid, this.thickness(x, y));
+
+        if (this.envelope) {
+            const outside = this.envelope(x, y);
+            d = opSmoothIntersection(d, outside, this.blend);
+
+            if (this.skin > 0) {
+                // Wall from the envelope boundary inwards
+                d = opUnion(d, Math.max(outside, -outside - this.skin));
+            }
+        }
+
+        return d;
+    }
+
+    /**
+     * Fill a 2D field with the horizontal section at height h
+     * @param {ScalarField2D} field
+     */
+    fillField(field, h = 0) {
+        return field.evaluate((x, y) => this.valueAt(x, y, h));
+    }
+
+    /**
+     * Create a 2D field laid out like `like` (e.g. the envelope's SDFGrid) holding the section at height h
+     * @param {ScalarField2D} like
+     */
+    createField(like, h = 0) {
+        const field = new ScalarField2D(like.resolutionX, like.resolutionY, like.bounds);
+        return this.fillField(field, h);
+    }
+
+    /**
+     * Fill a volume for meshing; the plan maps to world x and z, and the
+     * envelope is extruded along world y
+     * @param {ScalarField3D} volume
+     */
+    fillVolume(volume) {
+        return volume.evaluate((x, y, z) => this.valueAt(x, z, y));
+    }
+}
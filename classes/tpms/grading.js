@@ -0,0 +1,75 @@
+// Grading maps - functions (x, y) => value that vary a lattice parameter across the plan
+//
+// Every map blends from `start` to `end` as its own parameter t goes from 0 to 1, clamped
+// outside that range. Plan coordinates are field coordinates (world x and world z).
+
+function clamp01(t) {
+    return Math.min(Math.max(t, 0), 1);
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+/**
+ * The same value everywhere
+ */
+export function constantGrading(value) {
+    return () => value;
+}
+
+/**
+ * Blend along the line from `from` to `to`
+ */
+export function linearGrading(start, end, { from = [-5, 0], to = [5, 0] } = {}) {
+    const dx = to[0] - from[0];
+    const dy = to[1] - from[1];
+    const lengthSq = Math.max(dx * dx + dy * dy, 1e-12);
+
+    return (x, y) => lerp(start, end, clamp01(((x - from[0]) * dx + (y - from[1]) * dy) / lengthSq));
+}
+
+/**
+ * Blend outwards from `center`, reaching `end` at `radius`
+ */
+export function radialGrading(start, end, { center = [0, 0], radius = 5 } = {}) {
+    return (x, y) => lerp(start, end, clamp01(Math.hypot(x - center[0], y - center[1]) / radius));
+}
+
+// Smallest and largest finite values of a field; [0, 1] when it has none
+function finiteRange(field) {
+    let low = Infinity;
+    let high = -Infinity;
+    for (const value of field.data) {
+        if (!Number.isFinite(value)) continue;
+        low = Math.min(low, value);
+        high = Math.max(high, value);
+    }
+    return low <= high ? [low, high] : [0, 1];
+}
+
+/**
+ * Blend by the value of another field (e.g. the distance to an SDF boundary),
+ * mapping field values across `range` to start..end
+ * @param {ScalarField2D} field
+ * @param {Object} options
+ * @param {number[]} options.range - By default the field's finite values, so empty cells don't stretch it
+ */
+export function fieldGrading(field, start, end, { range = finiteRange(field) } = {}) {
+    const [low, high] = range;
+    const span = high - low || 1;
+
+    return (x, y) => {
+        const value = field.interpolate(x, y);
+        // Empty SDF cells hold Infinity, which counts as the far end of the range
+        const t = Number.isNaN(value) ? 1 : (value - low) / span;
+        return lerp(start, end, clamp01(t));
+    };
+}
+
+/**
+ * Accept a number or a grading map and return a grading map
+ */
+export function resolveGrading(value) {
+    return typeof value === 'function' ? value : constantGrading(value);
+}
@@ -0,0 +1,271 @@
+import * as THREE from 'three';
+import { ScalarField2D, centeredBounds } from '../field/scalar_field_2d.js';
+import { createFieldPoints } from '../field/field_visuals.js';
+import { traceContours, createContourLines } from '../field/contour_polylines.js';
+import { ScalarField3D } from '../field/scalar_field_3d.js';
+import { createIsosurfaceMesh } from '../field/surface_nets.js';
+import { TPMS_SURFACES, evaluateTPMS, tpmsSolid } from './tpms_catalogue.js';
+
+// Default values for the constructor options
+const DEFAULTS = {
+    pointSize: 0.03,
+    contourZOffset: 0.05,
+    contourColor: 0x333333,
+    surfaceColor: 0x8899aa,
+    sliceZ: -1.0,
+    extent: 10,
+    surface: 'custom', // 'custom' (the six-term sum below) or a name from tpms_catalogue.js
+    cells: 1,          // unit cells across the grid
+    period: null,      // world size of a unit cell, overrides cells when set
+    solid: 'surface',  // 'surface', 'sheet' or 'network', see TPMS_SOLIDS
+    thickness: 0,      // wall thickness (sheet) or level shift (network), in normalized field units
+    coefficients: {
+        a1: 1.0, a2: 1.0, a3: 1.0,
+        a4: 1.0, a5: 1.0, a6: 1.0
+    }
+};
+
+/**
+ * Class representing a minimal surface field visualization
+ *
+ * The field holds one Z slice of a periodic function evaluated over `cells` periods
+ * ([-PI, PI]² for one cell), drawn on a grid `extent` units wide. The function is either
+ * the custom six-term sum with coefficients a1..a6 or a surface from tpms_catalogue.js.
+ */
+export class MinimalSurfaceField extends ScalarField2D {
+    /**
+     * @param {number} size - Grid resolution along each axis
+     * @param {Object} options - Overrides for DEFAULTS
+     */
+    constructor(size = 100, options = {}) {
+        const settings = { ...DEFAULTS, ...options };
+        super(size, size, centeredBounds(size, settings.extent));
+
+        this.size = size;
+        this.stackedContours = [];
+        this.contourZOffset = settings.contourZOffset;
+        this.contourColor = settings.contourColor;
+        this.sliceZ = settings.sliceZ;
+        this.extent = settings.extent;
+        this.surface = settings.surface;
+        this.cells = settings.cells;
+        this.period = settings.period;
+        this.solid = settings.solid;
+        this.thickness = settings.thickness;
+        
+        // Initialize parameters
+        Object.assign(this, DEFAULTS.coefficients, options.coefficients);
+        
+        // Setup materials
+        this.pointMaterial = new THREE.PointsMaterial({
+            size: settings.pointSize,
+            vertexColors: true
+        });
+        this.surfaceMaterial = new THREE.MeshStandardMaterial({
+            color: settings.surfaceColor,
+            roughness: 0.6,
+            metalness: 0.1
+        });
+    }
+
+    /**
+     * Initialize the field with zeros
+     */
+    initialize() {
+        this.fill(0);
+    }
+
+    /**
+     * Switch to another surface, see DEFAULTS for the options
+     * @param {string} surface - 'custom' or a name from TPMS_SURFACES
+     * @param {Object} options - Any of cells, period, solid, thickness
+     */
+    setSurface(surface, options = {}) {
+        if (surface !== 'custom' && !(surface in TPMS_SURFACES)) {
+            throw new Error(`Unknown surface "${surface}"`);
+        }
+        this.surface = surface;
+        for (const key of ['cells', 'period', 'solid', 'thickness']) {
+            if (key in options) this[key] = options[key];
+        }
+    }
+
+    /**
+     * Number of unit cells across the grid
+     */
+    cellsAcross() {
+        return this.period ? this.extent / this.period : this.cells;
+    }
+
+    /**
+     * Update field values based on minimal surface function
+     */
+    update() {
+        const span = Math.PI * this.cellsAcross();
+        const step = (2.0 * span) / (this.size - 1);
+        const z = this.sliceZ;
+
+        for (let i = 0; i < this.size; i++) {
+            for (let j = 0; j < this.size; j++) {
+                const x = -span + i * step;
+                const y = -span + j * step;
+                this.set(i, j, this.evaluateSurface(x, y, z));
+            }
+        }
+
+        this.finishSlice(this.data);
+    }
+
+    /**
+     * Raw surface value at a point in radians: the custom sum, or a normalized catalogue surface
+     */
+    evaluateSurface(x, y, z) {
+        if (this.surface === 'custom') {
+            return this.evaluateFieldFunction(x, y, z);
+        }
+        return evaluateTPMS(this.surface, x, y, z);
+    }
+
+    /**
+     * Largest magnitude the custom sum can reach: each term is bounded by its coefficient
+     */
+    customScale() {
+        const sum = Math.abs(this.a1) + Math.abs(this.a2) + Math.abs(this.a3) +
+                    Math.abs(this.a4) + Math.abs(this.a5) + Math.abs(this.a6);
+        return Math.max(sum, 1e-6);
+    }
+
+    /**
+     * Bring one slice of raw values to its final form in place: the custom sum is scaled
+     * into [-1, 1] (catalogue surfaces are already normalized), then the solid is applied.
+     * The scale is the same for every slice and keeps zero at zero, so slices and volumes
+     * share the zero set of evaluateFieldFunction.
+     */
+    finishSlice(values) {
+        if (this.surface === 'custom') {
+            const scale = this.customScale();
+            for (let n = 0; n < values.length; n++) {
+                values[n] /= scale;
+            }
+        }
+
+        if (this.solid !== 'surface') {
+            for (let n = 0; n < values.length; n++) {
+                values[n] = tpmsSolid(values[n], this.solid, this.thickness);
+            }
+        }
+    }
+
+    /**
+     * Evaluate the minimal surface function at a point
+     */
+    evaluateFieldFunction(x, y, z) {
+        return (this.a1 * Math.cos(1 * x) * Math.cos(2 * y) * Math.cos(3 * z)) +
+               (this.a3 * Math.cos(2 * x) * Math.cos(1 * y) * Math.cos(3 * z)) +
+               (this.a4 * Math.cos(2 * x) * Math.cos(3 * y) * Math.cos(1 * z)) +
+               (this.a5 * Math.sin(3 * x) * Math.sin(1 * y) * Math.sin(2 * z)) +
+               (this.a2 * Math.sin(1 * x) * Math.sin(3 * y) * Math.sin(2 * z)) +
+               (this.a6 * Math.sin(3 * x) * Math.sin(2 * y) * Math.sin(1 * z));
+    }
+
+    /**
+     * Evaluate the surface function through a volume for meshing
+     *
+     * World x and z span the field's bounds and map to the same periods as update();
+     * world y spans [0, height] and maps to zRange, the sliceZ values at the bottom and
+     * top. Each horizontal layer is finished like a slice, with the same scale for all of
+     * them, so the isosurface is the surface's own and passes through the contours stacked
+     * at the same heights.
+     * @param {number} resolution - Grid points along x and z
+     * @param {number} height - World height of the volume
+     * @param {number[]} zRange - sliceZ at the bottom and top of the volume
+     * @param {number} layers - Grid points along y
+     * @returns {ScalarField3D}
+     */
+    createVolume(resolution = 48, height = 1, zRange = [-1, 1], layers = resolution) {
+        const { minX, maxX, minY, maxY } = this.bounds;
+        const volume = new ScalarField3D(resolution, layers, resolution, {
+            minX, maxX,
+            minY: 0, maxY: height,
+            minZ: minY, maxZ: maxY
+        });
+
+        const span = Math.PI * this.cellsAcross();
+        const step = (2.0 * span) / (resolution - 1);
+        const layerStep = (zRange[1] - zRange[0]) / Math.max(layers - 1, 1);
+        const layer = new Float32Array(resolution * resolution);
+
+        for (let j = 0; j < layers; j++) {
+            const z = zRange[0] + j * layerStep;
+
+            for (let i = 0; i < resolution; i++) {
+                for (let k = 0; k < resolution; k++) {
+                    layer[i * resolution + k] = this.evaluateSurface(-span + i * step, -span + k * step, z);
+                }
+            }
+
+            this.finishSlice(layer);
+            for (let i = 0; i < resolution; i++) {
+                for (let k = 0; k < resolution; k++) {
+                    volume.set(i, j, k, layer[i * resolution + k]);
+                }
+            }
+        }
+
+        return volume;
+    }
+
+    /**
+     * Create a watertight mesh of the surface through a volume (see createVolume)
+     */
+    createSurfaceMesh(resolution = 48, height = 1, zRange = [-1, 1], threshold = 0) {
+        const volume = this.createVolume(resolution, height, zRange);
+        return createIsosurfaceMesh(volume, threshold, this.surfaceMaterial, { closed: true });
+    }
+
+    /**
+     * Create visualization of field points
+     */
+    createVisualization() {
+        return createFieldPoints(this, this.pointMaterial);
+    }
+
+    /**
+     * Create isocontours at given threshold
+     */
+    createContour(threshold = 0) {
+        return createContourLines(this, threshold, this.contourColor);
+    }
+
+    /**
+     * Isocontours at given threshold as ordered polylines (see contour_polylines.js)
+     */
+    traceContours(threshold = 0) {
+        return traceContours(this, threshold);
+    }
+
+    /**
+     * Add current contour to stacked contours
+     */
+    addStackedContour(threshold = 0) {
+        const contour = this.createContour(threshold);
+        contour.position.y = this.stackedContours.length * this.contourZOffset;
+        this.stackedContours.push(contour);
+    }
+
+    /**
+     * Clear all stacked contours
+     */
+    clearStackedContours() {
+        this.stackedContours = [];
+    }
+
+    /**
+     * Draw all stacked contours to scene
+     */
+    drawStackedContours(scene) {
+        for (const contour of this.stackedContours) {
+            scene.add(contour);
+        }
+    }
+}
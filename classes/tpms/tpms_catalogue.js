@@ -0,0 +1,91 @@
+// Catalogue of triply periodic minimal surfaces (TPMS) as implicit functions
+//
+// Each function takes a point in radians and is periodic with period 2*PI along every axis
+// (the common nodal approximations). `amplitude` is the largest absolute value the function
+// reaches, used to bring every surface to roughly [-1, 1] without moving its zero level.
+
+const { sin, cos } = Math;
+
+export const TPMS_SURFACES = {
+    gyroid: {
+        label: 'Gyroid',
+        amplitude: 1.5,
+        evaluate: (x, y, z) => sin(x) * cos(y) + sin(y) * cos(z) + sin(z) * cos(x)
+    },
+    schwarzP: {
+        label: 'Schwarz P',
+        amplitude: 3,
+        evaluate: (x, y, z) => cos(x) + cos(y) + cos(z)
+    },
+    schwarzD: {
+        label: 'Schwarz D',
+        amplitude: Math.SQRT2,
+        evaluate: (x, y, z) =>
+            sin(x) * sin(y) * sin(z) + sin(x) * cos(y) * cos(z) +
+            cos(x) * sin(y) * cos(z) + cos(x) * cos(y) * sin(z)
+    },
+    neovius: {
+        label: 'Neovius',
+        amplitude: 13,
+        evaluate: (x, y, z) => 3 * (cos(x) + cos(y) + cos(z)) + 4 * cos(x) * cos(y) * cos(z)
+    },
+    lidinoid: {
+        label: 'Lidinoid',
+        amplitude: 1.35,
+        evaluate: (x, y, z) =>
+            0.5 * (sin(2 * x) * cos(y) * sin(z) + sin(2 * y) * cos(z) * sin(x) + sin(2 * z) * cos(x) * sin(y)) -
+            0.5 * (cos(2 * x) * cos(2 * y) + cos(2 * y) * cos(2 * z) + cos(2 * z) * cos(2 * x)) + 0.15
+    },
+    iwp: {
+        label: 'I-WP',
+        amplitude: 5,
+        evaluate: (x, y, z) =>
+            2 * (cos(x) * cos(y) + cos(y) * cos(z) + cos(z) * cos(x)) -
+            (cos(2 * x) + cos(2 * y) + cos(2 * z))
+    },
+    fischerKoch: {
+        label: 'Fischer-Koch S',
+        amplitude: Math.SQRT2,
+        evaluate: (x, y, z) =>
+            cos(2 * x) * sin(y) * cos(z) + cos(x) * cos(2 * y) * sin(z) + sin(x) * cos(y) * cos(2 * z)
+    }
+};
+
+// How the surface is turned into a solid:
+//   surface - the bare function, its zero level is the minimal surface
+//   sheet   - a wall of the given thickness around the surface (negative inside the wall)
+//   network - one of the two labyrinths filled, thickness shifts the level and so the volume fraction
+export const TPMS_SOLIDS = ['surface', 'sheet', 'network'];
+
+/**
+ * Look up a catalogue surface by name
+ */
+export function getTPMS(name) {
+    const surface = TPMS_SURFACES[name];
+    if (!surface) {
+        throw new Error(`Unknown TPMS "${name}". Available: ${Object.keys(TPMS_SURFACES).join(', ')}`);
+    }
+    return surface;
+}
+
+/**
+ * Turn a normalized TPMS value into a solid's value, see TPMS_SOLIDS
+ */
+export function tpmsSolid(value, solid = 'surface', thickness = 0) {
+    switch (solid) {
+        case 'sheet':
+            return Math.abs(value) - thickness / 2;
+        case 'network':
+            return value - thickness;
+        default:
+            return value;
+    }
+}
+
+/**
+ * Normalized value of a catalogue surface at a point in radians
+ */
+export function evaluateTPMS(name, x, y, z) {
+    const surface = getTPMS(name);
+    return surface.evaluate(x, y, z) / surface.amplitude;
+}
@@ -1,7 +1,7 @@
 import * as THREE from 'three';
 
 // Example sketch - A rotating cube with shadows
-export function setup(scene, camera) {
+export function setup(scene, camera, context) {
     // Create a ground plane
     const groundGeometry = new THREE.PlaneGeometry(10, 10);
     const groundMaterial = new THREE.MeshStandardMaterial({ 
@@ -13,6 +13,7 @@ export function setup(scene, camera) {
     ground.rotation.x = -Math.PI / 2; // Rotate to be horizontal
     ground.position.y = -2;
     ground.receiveShadow = true;
+    ground.name = 'ground';
     scene.add(ground);
 
     // Create a cube with better materials
@@ -27,17 +28,18 @@ export function setup(scene, camera) {
     const cube = new THREE.Mesh(geometry, material);
     cube.castShadow = true;
     cube.receiveShadow = true;
+    cube.name = 'cube';
     scene.add(cube);
     
     // Return any objects you want to animate
     return { cube };
 }
 
-export function update(objects) {
-    // Animate the cube
-    objects.cube.rotation.x += 0.01;
-    objects.cube.rotation.y += 0.01;
+export function update(objects, context) {
+    // Animate the cube (0.6 radians per second, from clock time so it can be scrubbed)
+    objects.cube.rotation.x = 0.6 * context.time;
+    objects.cube.rotation.y = 0.6 * context.time;
     
     // Add a gentle floating motion
-    objects.cube.position.y = Math.sin(Date.now() * 0.001) * 0.5;
+    objects.cube.position.y = Math.sin(context.time) * 0.5;
 } 
\ No newline at end of file
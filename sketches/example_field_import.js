@@ -0,0 +1,210 @@
+import * as THREE from 'three';
+import { SDFGrid } from '../classes/sdf/sdf_grid.js';
+import {
+    imageToGrid,
+    readFieldFile,
+    chooseFile,
+    gridToField,
+    maskToField,
+    IMAGE_CHANNELS,
+    RESAMPLE_FILTERS
+} from '../classes/field/field_import.js';
+
+/**
+ * Parameters shown in the host's control panel
+ */
+export const params = {
+    mode: { value: 'mask', options: ['mask', 'values'], label: 'read as', folder: 'Import' },
+    channel: { value: 'luminance', options: IMAGE_CHANNELS, label: 'image channel', folder: 'Import' },
+    maskThreshold: { value: 0.5, min: 0, max: 1, step: 0.01, label: 'mask threshold', folder: 'Import' },
+    invert: { value: false, label: 'invert mask', folder: 'Import' },
+    filter: { value: 'bilinear', options: RESAMPLE_FILTERS, label: 'resampling', folder: 'Import' },
+    rawWidth: { value: 0, min: 0, max: 4096, step: 1, label: 'raw width (0 = square)', folder: 'Import' },
+    gridSize: { value: 200, min: 50, max: 400, step: 10, rebuild: true },
+    numContours: { value: 12, min: 2, max: 40, step: 1, folder: 'Contours' },
+    maxThreshold: { value: 2.0, min: 0.5, max: 6, step: 0.1, label: 'max distance', folder: 'Contours' },
+    contourStart: { value: '#000000', type: 'color', folder: 'Contours' },
+    contourEnd: { value: '#ffffff', type: 'color', folder: 'Contours' },
+    showPoints: { value: true }
+};
+
+// Parameters that need the file read again
+const READ_PARAMS = ['channel', 'rawWidth'];
+
+// The opened file and the grid read from it, kept here so a rebuild (gridSize) starts
+// from the file rather than from the default source
+let source = null;
+
+/**
+ * Default source until a file is opened: white lettering and a ring on black
+ */
+function createDefaultGrid() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 256;
+    const context = canvas.getContext('2d');
+
+    context.fillStyle = '#000000';
+    context.fillRect(0, 0, 256, 256);
+    context.fillStyle = '#ffffff';
+    context.font = 'bold 88px Arial, sans-serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText('SDF', 128, 128);
+
+    context.strokeStyle = '#ffffff';
+    context.lineWidth = 14;
+    context.beginPath();
+    context.arc(128, 128, 112, 0, Math.PI * 2);
+    context.stroke();
+
+    return imageToGrid(canvas);
+}
+
+/**
+ * Fill the grid from the source: a true SDF of the thresholded mask, or the raw values
+ */
+function applySource(objects, params) {
+    const { sdfGrid, grid } = objects;
+
+    if (params.mode === 'mask') {
+        maskToField(grid, sdfGrid, { threshold: params.maskThreshold, invert: params.invert, filter: params.filter });
+    } else {
+        gridToField(grid, sdfGrid, { filter: params.filter });
+    }
+}
+
+/**
+ * Contour levels: distances from the mask boundary, or levels spread across the values
+ */
+function contourThresholds(sdfGrid, params) {
+    const n = params.numContours;
+    if (params.mode === 'mask') {
+        return Array.from({ length: n }, (_, k) => (k / (n - 1)) * params.maxThreshold);
+    }
+
+    const min = sdfGrid.min();
+    const max = sdfGrid.max();
+    return Array.from({ length: n }, (_, k) => min + ((k + 1) / (n + 1)) * (max - min));
+}
+
+/**
+ * Build the points and contours of the field and add them to the scene
+ */
+function buildVisuals(objects, params) {
+    const { sdfGrid, scene } = objects;
+
+    objects.points = sdfGrid.createVisualization();
+    objects.points.visible = params.showPoints;
+    scene.add(objects.points);
+
+    const startColor = new THREE.Color(params.contourStart);
+    const endColor = new THREE.Color(params.contourEnd);
+    const thresholds = contourThresholds(sdfGrid, params);
+
+    objects.contours = thresholds.map((threshold, k) => {
+        const color = startColor.clone().lerp(endColor, k / (thresholds.length - 1));
+        const contour = sdfGrid.createContour(threshold, color);
+        scene.add(contour);
+        return contour;
+    });
+}
+
+/**
+ * Remove the points and contours from the scene and free them
+ */
+function removeVisuals(objects) {
+    const { scene } = objects;
+
+    // The points material belongs to the grid and is reused
+    scene.remove(objects.points);
+    objects.points.geometry.dispose();
+
+    for (const contour of objects.contours) {
+        scene.remove(contour);
+        contour.geometry.dispose();
+        contour.material.dispose();
+    }
+}
+
+/**
+ * Rebuild the field and its visuals from the current source
+ */
+function refresh(objects, params) {
+    applySource(objects, params);
+    removeVisuals(objects);
+    buildVisuals(objects, params);
+}
+
+/**
+ * Read the opened file with the current import settings
+ */
+async function readSource(objects, params) {
+    const grid = await readFieldFile(objects.file, { channel: params.channel, width: params.rawWidth });
+    if (objects.disposed) return;
+
+    objects.grid = grid;
+    source = { file: objects.file, grid };
+    refresh(objects, params);
+}
+
+/**
+ * Buttons shown with the parameters
+ */
+export const actions = {
+    open: {
+        label: 'open file (image, CSV, Float32)',
+        folder: 'Import',
+        run: async (objects, context) => {
+            objects.file = await chooseFile();
+            await readSource(objects, context.params);
+        }
+    }
+};
+
+// Example sketch - scalar field imported from an image, mask, CSV or raw Float32 file
+export function setup(scene, camera, context) {
+    const sdfGrid = new SDFGrid(context.params.gridSize);
+
+    const objects = {
+        sdfGrid,
+        scene,
+        grid: source ? source.grid : createDefaultGrid(),
+        file: source ? source.file : null,
+        points: null,
+        contours: [],
+        disposed: false
+    };
+    applySource(objects, context.params);
+    buildVisuals(objects, context.params);
+    return objects;
+}
+
+export function update(objects, context) {
+    // Static field
+}
+
+/**
+ * Re-read, re-import or redraw when a parameter changes
+ */
+export function paramsChanged(objects, changed, context) {
+    if ('showPoints' in changed && Object.keys(changed).length === 1) {
+        objects.points.visible = changed.showPoints;
+        return;
+    }
+
+    if (objects.file && READ_PARAMS.some((key) => key in changed)) {
+        readSource(objects, context.params)
+            .catch((error) => console.error('Failed to read field file:', error));
+        return;
+    }
+
+    refresh(objects, context.params);
+}
+
+/**
+ * Stop a file read that finishes after switching away from drawing into the next sketch
+ */
+export function dispose(objects) {
+    objects.disposed = true;
+}
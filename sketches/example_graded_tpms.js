@@ -0,0 +1,153 @@
+import * as THREE from 'three';
+import { SDFGrid } from '../classes/sdf/sdf_grid.js';
+import { createFieldPoints } from '../classes/field/field_visuals.js';
+import { createContourLines } from '../classes/field/contour_polylines.js';
+import { ScalarField3D } from '../classes/field/scalar_field_3d.js';
+import { createIsosurfaceMesh } from '../classes/field/surface_nets.js';
+import { GradedTPMS } from '../classes/tpms/graded_tpms.js';
+import { TPMS_SURFACES, TPMS_SOLIDS } from '../classes/tpms/tpms_catalogue.js';
+import { constantGrading, linearGrading, radialGrading, fieldGrading } from '../classes/tpms/grading.js';
+
+// Plan of the part the lattice fills
+const ENVELOPE = {
+    type: 'smoothSubtraction',
+    blend: 0.5,
+    children: [
+        { type: 'roundedBox', center: [0, 0], halfSize: [4, 3], radius: 1 },
+        { type: 'circle', center: [1.5, 0], radius: 1 }
+    ]
+};
+
+const GRADINGS = ['none', 'linear', 'radial', 'field'];
+
+/**
+ * Parameters shown in the host's control panel
+ */
+export const params = {
+    surface: { value: 'gyroid', options: Object.keys(TPMS_SURFACES), folder: 'Lattice' },
+    solid: { value: 'sheet', options: TPMS_SOLIDS, folder: 'Lattice' },
+    height: { value: 0, min: -2, max: 2, step: 0.01, label: 'section height', folder: 'Lattice' },
+    periodGrading: { value: 'radial', options: GRADINGS, label: 'grading', folder: 'Period' },
+    periodStart: { value: 1.2, min: 0.5, max: 4, step: 0.05, label: 'start', folder: 'Period' },
+    periodEnd: { value: 2.5, min: 0.5, max: 4, step: 0.05, label: 'end', folder: 'Period' },
+    thicknessGrading: { value: 'field', options: GRADINGS, label: 'grading', folder: 'Thickness' },
+    thicknessStart: { value: 0.1, min: 0, max: 1, step: 0.01, label: 'start', folder: 'Thickness' },
+    thicknessEnd: { value: 0.35, min: 0, max: 1, step: 0.01, label: 'end', folder: 'Thickness' },
+    blend: { value: 0.2, min: 0, max: 1, step: 0.01, folder: 'Envelope' },
+    skin: { value: 0.15, min: 0, max: 0.5, step: 0.01, folder: 'Envelope' },
+    showMesh: { value: false, label: 'show mesh', folder: 'Mesh' },
+    meshResolution: { value: 64, min: 24, max: 128, step: 1, label: 'resolution', folder: 'Mesh' },
+    meshHeight: { value: 2, min: 0.5, max: 6, step: 0.1, label: 'height', folder: 'Mesh' }
+};
+
+/**
+ * Grading map of the chosen kind; 'field' follows the distance from the envelope boundary
+ */
+function createGrading(kind, start, end, envelope) {
+    switch (kind) {
+        case 'linear':
+            return linearGrading(start, end, { from: [-4, 0], to: [4, 0] });
+        case 'radial':
+            return radialGrading(start, end, { center: [0, 0], radius: 5 });
+        case 'field':
+            return fieldGrading(envelope, start, end, { range: [-2, 0] });
+        default:
+            return constantGrading(start);
+    }
+}
+
+/**
+ * Apply the panel values to the lattice
+ */
+function configureLattice(lattice, envelope, params) {
+    lattice.surface = params.surface;
+    lattice.solid = params.solid;
+    lattice.blend = params.blend;
+    lattice.skin = params.skin;
+    lattice.setPeriod(createGrading(params.periodGrading, params.periodStart, params.periodEnd, envelope));
+    lattice.setThickness(createGrading(params.thicknessGrading, params.thicknessStart, params.thicknessEnd, envelope));
+}
+
+/**
+ * Build the section (points and zero contour) and, if enabled, the 3D mesh
+ */
+function buildVisuals(objects, params) {
+    const { lattice, envelope, scene } = objects;
+
+    objects.section = lattice.createField(envelope, params.height);
+    objects.points = createFieldPoints(objects.section, objects.pointMaterial);
+    scene.add(objects.points);
+
+    objects.contour = createContourLines(objects.section, 0, 0x000000, 0.01);
+    scene.add(objects.contour);
+
+    if (params.showMesh) {
+        const h = params.meshHeight / 2;
+        const { minX, maxX, minY, maxY } = envelope.bounds;
+        const layers = Math.max(Math.round(params.meshResolution * params.meshHeight / (maxX - minX)), 2);
+        const volume = new ScalarField3D(params.meshResolution, layers, params.meshResolution, {
+            minX, maxX, minY: -h, maxY: h, minZ: minY, maxZ: maxY
+        });
+        lattice.fillVolume(volume);
+
+        objects.mesh = createIsosurfaceMesh(volume, 0, objects.meshMaterial, { closed: true });
+        objects.mesh.position.y = h;
+        scene.add(objects.mesh);
+    }
+}
+
+/**
+ * Remove everything built by buildVisuals, keeping the shared materials
+ */
+function removeVisuals(objects) {
+    const { scene } = objects;
+
+    scene.remove(objects.points);
+    objects.points.geometry.dispose();
+
+    scene.remove(objects.contour);
+    objects.contour.geometry.dispose();
+    objects.contour.material.dispose();
+
+    if (objects.mesh) {
+        scene.remove(objects.mesh);
+        objects.mesh.geometry.dispose();
+        objects.mesh = null;
+    }
+}
+
+// Example sketch - graded gyroid infill clipped to an SDF plan
+export function setup(scene, camera, context) {
+    const envelope = new SDFGrid(160);
+    envelope.addNode(ENVELOPE);
+
+    const lattice = new GradedTPMS({ envelope });
+    configureLattice(lattice, envelope, context.params);
+
+    const objects = {
+        lattice,
+        envelope,
+        scene,
+        pointMaterial: new THREE.PointsMaterial({ size: 0.03, vertexColors: true }),
+        meshMaterial: new THREE.MeshStandardMaterial({ color: 0xc8b68a, roughness: 0.7, metalness: 0.05 }),
+        section: null,
+        points: null,
+        contour: null,
+        mesh: null
+    };
+    buildVisuals(objects, context.params);
+    return objects;
+}
+
+export function update(objects, context) {
+    // Static field
+}
+
+/**
+ * Rebuild the lattice when a parameter changes
+ */
+export function paramsChanged(objects, changed, context) {
+    configureLattice(objects.lattice, objects.envelope, context.params);
+    removeVisuals(objects);
+    buildVisuals(objects, context.params);
+}
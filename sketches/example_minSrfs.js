@@ -1,13 +1,17 @@
-import * as THREE from 'three';
+import { MinimalSurfaceField } from '../classes/tpms/minimal_surface_field.js';
+import { updateFieldPoints } from '../classes/field/field_visuals.js';
+import { TPMS_SURFACES, TPMS_SOLIDS } from '../classes/tpms/tpms_catalogue.js';
+import { downloadContours, CONTOUR_UNITS, CONTOUR_LAYOUTS } from '../classes/export/contour_export.js';
+import { downloadGCode } from '../classes/export/gcode_export.js';
 
 // Configuration constants
 const CONFIG = {
     GRID_SIZE: 100,
     POINT_SIZE: 0.03,
     CONTOUR_Z_OFFSET: 0.05,
-    Z_SLICE_INCREMENT: 0.002,
+    Z_SLICE_SPEED: 0.12, // per second
     Z_SLICE_RANGE: [-1.0, 1.0],
-    CONTOUR_ADD_INTERVAL: 100, // ms
+    CONTOUR_ADD_INTERVAL: 0.1, // seconds
     CONTOUR_THRESHOLD: 0.0,
     FIELD_SCALE: 20,
     INITIAL_PARAMS: {
@@ -16,314 +20,255 @@ const CONFIG = {
     }
 };
 
+const COEFFICIENTS = Object.keys(CONFIG.INITIAL_PARAMS);
+const SURFACE_PARAMS = ['SHOW_SURFACE', 'SURFACE_RESOLUTION'];
+const EXPORT_PARAMS = [
+    'EXPORT_UNITS', 'EXPORT_SCALE', 'EXPORT_LAYOUT',
+    'GCODE_LAYER_HEIGHT', 'GCODE_FEED_RATE', 'GCODE_TRAVEL_RATE', 'GCODE_WIDTH', 'GCODE_PERIMETERS', 'GCODE_EXTRUDE'
+];
+
 /**
- * Class representing a minimal surface field visualization
+ * Surface options for MinimalSurfaceField from the panel values
  */
-class MinimalSurfaceField {
-    constructor(size = CONFIG.GRID_SIZE) {
-        this.size = size;
-        this.field = new Array(size * size).fill(0);
-        this.stackedContours = [];
-        this.contourZOffset = CONFIG.CONTOUR_Z_OFFSET;
-        this.sliceZ = CONFIG.Z_SLICE_RANGE[0];
-        
-        // Initialize parameters
-        Object.assign(this, CONFIG.INITIAL_PARAMS);
-        
-        // Setup materials
-        this.pointMaterial = new THREE.PointsMaterial({
-            size: CONFIG.POINT_SIZE,
-            vertexColors: true
-        });
-    }
-
-    /**
-     * Initialize the field with zeros
-     */
-    initialize() {
-        this.field.fill(0);
-    }
-
-    /**
-     * Update field values based on minimal surface function
-     */
-    update() {
-        const span = Math.PI;
-        const step = (2.0 * span) / (this.size - 1);
-
-        for (let i = 0; i < this.size; i++) {
-            for (let j = 0; j < this.size; j++) {
-                const x = -span + i * step;
-                const y = -span + j * step;
-                const z = this.sliceZ;
-
-                const fResult = this.evaluateFieldFunction(x, y, z);
-                this.field[i * this.size + j] = fResult;
-            }
-        }
-
-        this.rescaleFieldToRange(-1, 1);
-    }
-
-    /**
-     * Evaluate the minimal surface function at a point
-     */
-    evaluateFieldFunction(x, y, z) {
-        return (this.a1 * Math.cos(1 * x) * Math.cos(2 * y) * Math.cos(3 * z)) +
-               (this.a3 * Math.cos(2 * x) * Math.cos(1 * y) * Math.cos(3 * z)) +
-               (this.a4 * Math.cos(2 * x) * Math.cos(3 * y) * Math.cos(1 * z)) +
-               (this.a5 * Math.sin(3 * x) * Math.sin(1 * y) * Math.sin(2 * z)) +
-               (this.a2 * Math.sin(1 * x) * Math.sin(3 * y) * Math.sin(2 * z)) +
-               (this.a6 * Math.sin(3 * x) * Math.sin(2 * y) * Math.sin(1 * z));
-    }
-
-    /**
-     * Rescale field values to target range
-     */
-    rescaleFieldToRange(targetMin = -1.0, targetMax = 1.0) {
-        let min = Infinity;
-        let max = -Infinity;
-
-        // Find min and max
-        for (let i = 0; i < this.field.length; i++) {
-            min = Math.min(min, this.field[i]);
-            max = Math.max(max, this.field[i]);
-        }
-
-        const range = Math.max(max - min, 1e-6);
-        
-        // Rescale values
-        for (let i = 0; i < this.field.length; i++) {
-            this.field[i] = this.lerp(targetMin, targetMax, (this.field[i] - min) / range);
-        }
-    }
-
-    /**
-     * Linear interpolation helper
-     */
-    lerp(a, b, t) {
-        return a + (b - a) * t;
-    }
-
-    /**
-     * Create visualization of field points
-     */
-    createVisualization() {
-        const geometry = new THREE.BufferGeometry();
-        const positions = [];
-        const colors = [];
-
-        for (let i = 0; i < this.size; i++) {
-            for (let j = 0; j < this.size; j++) {
-                const value = this.field[i * this.size + j];
-                
-                // Position
-                positions.push(
-                    (i - this.size/2) * 0.5 * (CONFIG.FIELD_SCALE/this.size),  // x
-                    0,                                                          // y
-                    (j - this.size/2) * 0.5 * (CONFIG.FIELD_SCALE/this.size)   // z
-                );
-
-                // Color based on field value
-                const color = new THREE.Color();
-                if (value > 0) {
-                    color.setRGB(value, 0, 0);  // Red for positive
-                } else {
-                    color.setRGB(0, 0, -value); // Blue for negative
-                }
-                colors.push(color.r, color.g, color.b);
-            }
-        }
-
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-        
-        return new THREE.Points(geometry, this.pointMaterial);
-    }
-
-    /**
-     * Create isocontours at given threshold
-     */
-    createContour(threshold = CONFIG.CONTOUR_THRESHOLD) {
-        const vertices = [];
-        const cellSize = 0.5 * (CONFIG.FIELD_SCALE/this.size);
-
-        for (let i = 0; i < this.size - 1; i++) {
-            for (let j = 0; j < this.size - 1; j++) {
-                const x = (i - this.size/2) * cellSize;
-                const z = (j - this.size/2) * cellSize;
-                const p = [
-                    [x, z],
-                    [x + cellSize, z],
-                    [x + cellSize, z + cellSize],
-                    [x, z + cellSize]
-                ];
-                const v = [
-                    this.field[i * this.size + j],
-                    this.field[(i+1) * this.size + j],
-                    this.field[(i+1) * this.size + (j+1)],
-                    this.field[i * this.size + (j+1)]
-                ];
-
-                this.processCell(p, v, threshold, vertices);
-            }
-        }
+function surfaceOptions(params) {
+    return {
+        cells: params.CELLS,
+        solid: params.SOLID,
+        thickness: params.THICKNESS
+    };
+}
 
-        return this.createContourGeometry(vertices);
-    }
+/**
+ * Parameters shown in the host's control panel
+ */
+export const params = {
+    GRID_SIZE: { value: CONFIG.GRID_SIZE, min: 20, max: 300, step: 1, rebuild: true, label: 'grid size' },
+    Z_SLICE_SPEED: { value: CONFIG.Z_SLICE_SPEED, min: 0.01, max: 0.5, step: 0.01, label: 'slice speed' },
+    CONTOUR_ADD_INTERVAL: { value: CONFIG.CONTOUR_ADD_INTERVAL, min: 0.02, max: 1.0, step: 0.01, label: 'contour interval' },
+    SURFACE: { value: 'custom', options: ['custom', ...Object.keys(TPMS_SURFACES)], label: 'surface', folder: 'TPMS' },
+    CELLS: { value: 1, min: 1, max: 6, step: 1, label: 'cells', folder: 'TPMS' },
+    SOLID: { value: 'surface', options: TPMS_SOLIDS, label: 'solid', folder: 'TPMS' },
+    THICKNESS: { value: 0.3, min: 0, max: 1, step: 0.01, label: 'thickness', folder: 'TPMS' },
+    SHOW_SURFACE: { value: false, label: 'show surface', folder: 'Surface' },
+    SURFACE_RESOLUTION: { value: 48, min: 16, max: 128, step: 1, label: 'resolution', folder: 'Surface' },
+    EXPORT_UNITS: { value: 'mm', options: CONTOUR_UNITS, label: 'units', folder: 'Export' },
+    EXPORT_SCALE: { value: 10, min: 0.1, max: 100, step: 0.1, label: 'units per world unit', folder: 'Export' },
+    EXPORT_LAYOUT: { value: 'grid', options: CONTOUR_LAYOUTS, label: 'layout', folder: 'Export' },
+    GCODE_LAYER_HEIGHT: { value: 0.2, min: 0.05, max: 1, step: 0.01, label: 'layer height (mm)', folder: 'G-code' },
+    GCODE_FEED_RATE: { value: 1200, min: 100, max: 6000, step: 50, label: 'feed rate (mm/min)', folder: 'G-code' },
+    GCODE_TRAVEL_RATE: { value: 6000, min: 500, max: 12000, step: 100, label: 'travel rate (mm/min)', folder: 'G-code' },
+    GCODE_WIDTH: { value: 0.4, min: 0.1, max: 2, step: 0.01, label: 'extrusion width (mm)', folder: 'G-code' },
+    GCODE_PERIMETERS: { value: 1, min: 1, max: 6, step: 1, label: 'perimeters', folder: 'G-code' },
+    GCODE_EXTRUDE: { value: true, label: 'extrude (off for plotters)', folder: 'G-code' }
+};
+for (const key of COEFFICIENTS) {
+    params[key] = { value: CONFIG.INITIAL_PARAMS[key], min: -2, max: 2, step: 0.01, folder: 'Coefficients' };
+}
 
-    /**
-     * Process a single cell for contour generation
-     */
-    processCell(p, v, threshold, vertices) {
-        let idx = 0;
-        if (v[0] > threshold) idx |= 1;
-        if (v[1] > threshold) idx |= 2;
-        if (v[2] > threshold) idx |= 4;
-        if (v[3] > threshold) idx |= 8;
+/**
+ * Download the contour stack as a drawing, one layer per slice
+ */
+function exportStack(objects, context, format) {
+    const { params } = context;
+    const contours = objects.field.stackedContours;
+    downloadContours(contours, format, 'minimal_surface_stack', {
+        units: params.EXPORT_UNITS,
+        scale: params.EXPORT_SCALE,
+        layout: params.EXPORT_LAYOUT,
+        names: contours.map((contour, k) => `slice ${k + 1}`)
+    });
+}
 
-        const cases = [
-            [], [[0,1]], [[1,2]], [[0,2]], [[2,3]], [[0,1],[2,3]],
-            [[1,3]], [[0,3]], [[0,3]], [[1,3]], [[0,1],[2,3]],
-            [[2,3]], [[0,2]], [[1,2]], [[0,1]], []
-        ];
+/**
+ * Download the contour stack as G-code, one print layer per slice
+ */
+function exportToolpaths(objects, context) {
+    const { params } = context;
+    downloadGCode(objects.field.stackedContours, 'minimal_surface_stack', {
+        scale: params.EXPORT_SCALE,
+        layerHeight: params.GCODE_LAYER_HEIGHT,
+        feedRate: params.GCODE_FEED_RATE,
+        travelRate: params.GCODE_TRAVEL_RATE,
+        extrusionWidth: params.GCODE_WIDTH,
+        perimeters: params.GCODE_PERIMETERS,
+        extrude: params.GCODE_EXTRUDE
+    });
+}
 
-        const edgePoints = [
-            [p[0], p[3], v[0], v[3]],
-            [p[0], p[1], v[0], v[1]],
-            [p[1], p[2], v[1], v[2]],
-            [p[2], p[3], v[2], v[3]]
-        ];
+/**
+ * Buttons shown with the parameters
+ */
+export const actions = {
+    exportSVG: { label: 'export SVG', folder: 'Export', run: (objects, context) => exportStack(objects, context, 'svg') },
+    exportDXF: { label: 'export DXF', folder: 'Export', run: (objects, context) => exportStack(objects, context, 'dxf') },
+    exportGCode: { label: 'export G-code', folder: 'G-code', run: (objects, context) => exportToolpaths(objects, context) }
+};
 
-        for (const pair of cases[idx]) {
-            const a = edgePoints[pair[0]];
-            const b = edgePoints[pair[1]];
-            const pa = this.interpolate(a[0], a[1], a[2], a[3], threshold);
-            const pb = this.interpolate(b[0], b[1], b[2], b[3], threshold);
-            vertices.push(pa[0], 0, pa[1], pb[0], 0, pb[1]);
-        }
-    }
+/**
+ * Length of one slice sweep through Z_SLICE_RANGE, in seconds
+ */
+function sweepDuration(params) {
+    return (CONFIG.Z_SLICE_RANGE[1] - CONFIG.Z_SLICE_RANGE[0]) / params.Z_SLICE_SPEED;
+}
 
-    /**
-     * Interpolate between two points based on threshold
-     */
-    interpolate(p1, p2, v1, v2, threshold) {
-        const t = (threshold - v1) / (v2 - v1);
-        return [
-            p1[0] + t * (p2[0] - p1[0]),
-            p1[1] + t * (p2[1] - p1[1])
-        ];
-    }
+/**
+ * The timeline scrubber covers one sweep
+ */
+export function duration(context) {
+    return sweepDuration(context.params);
+}
 
-    /**
-     * Create geometry for contour lines
-     */
-    createContourGeometry(vertices) {
-        const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-        const material = new THREE.LineBasicMaterial({ 
-            color: 0x333333,
-            linewidth: 2
-        });
-        return new THREE.LineSegments(geometry, material);
-    }
+/**
+ * Slice position at a given time within the sweep
+ */
+function sliceZAt(sweepTime, params) {
+    return CONFIG.Z_SLICE_RANGE[0] + sweepTime * params.Z_SLICE_SPEED;
+}
 
-    /**
-     * Add current contour to stacked contours
-     */
-    addStackedContour(threshold = CONFIG.CONTOUR_THRESHOLD) {
-        const contour = this.createContour(threshold);
-        contour.position.y = this.stackedContours.length * this.contourZOffset;
-        this.stackedContours.push(contour);
-    }
+/**
+ * Mesh the surface through the whole sweep, lined up with the contour stack:
+ * contour n (from 1) sits at height (n - 1) * CONTOUR_Z_OFFSET and slices at sliceZAt(n * interval)
+ */
+function buildSurface(objects, params) {
+    const count = Math.floor(sweepDuration(params) / params.CONTOUR_ADD_INTERVAL);
+    if (count < 2) return;
+
+    const height = (count - 1) * CONFIG.CONTOUR_Z_OFFSET;
+    const zRange = [
+        sliceZAt(params.CONTOUR_ADD_INTERVAL, params),
+        sliceZAt(count * params.CONTOUR_ADD_INTERVAL, params)
+    ];
+    objects.surface = objects.field.createSurfaceMesh(params.SURFACE_RESOLUTION, height, zRange, CONFIG.CONTOUR_THRESHOLD);
+    objects.scene.add(objects.surface);
+}
 
-    /**
-     * Clear all stacked contours
-     */
-    clearStackedContours() {
-        this.stackedContours = [];
-    }
+/**
+ * Remove the surface mesh, keeping the field's shared material
+ */
+function removeSurface(objects) {
+    if (!objects.surface) return;
+    objects.scene.remove(objects.surface);
+    objects.surface.geometry.dispose();
+    objects.surface = null;
+}
 
-    /**
-     * Draw all stacked contours to scene
-     */
-    drawStackedContours(scene) {
-        for (const contour of this.stackedContours) {
-            scene.add(contour);
-        }
+/**
+ * Remove stacked contours from the scene until only `count` remain
+ */
+function trimStackedContours(field, scene, count) {
+    while (field.stackedContours.length > count) {
+        const contour = field.stackedContours.pop();
+        scene.remove(contour);
+        contour.geometry.dispose();
+        contour.material.dispose();
     }
 }
 
 /**
  * Setup function for the sketch
  */
-export function setup(scene, camera) {
-    const field = new MinimalSurfaceField();
+export function setup(scene, camera, context) {
+    const coefficients = {};
+    for (const key of COEFFICIENTS) {
+        coefficients[key] = context.params[key];
+    }
+
+    const field = new MinimalSurfaceField(context.params.GRID_SIZE, {
+        pointSize: CONFIG.POINT_SIZE,
+        contourZOffset: CONFIG.CONTOUR_Z_OFFSET,
+        sliceZ: CONFIG.Z_SLICE_RANGE[0],
+        extent: CONFIG.FIELD_SCALE / 2,
+        surface: context.params.SURFACE,
+        ...surfaceOptions(context.params),
+        coefficients
+    });
     field.initialize();
     field.update();
 
     const points = field.createVisualization();
     scene.add(points);
 
-    return { 
+    const objects = { 
         field, 
         points, 
         scene, 
-        lastContourTime: 0 
+        surface: null,
+        cycle: 0,
+        renderedSliceZ: field.sliceZ
     };
+    if (context.params.SHOW_SURFACE) {
+        buildSurface(objects, context.params);
+    }
+    return objects;
 }
 
 /**
  * Update function for the sketch
+ *
+ * Everything is derived from context.time, so pausing freezes the sweep at the
+ * current sliceZ and scrubbing rebuilds the contour stack for the new time.
  */
-export function update(objects) {
-    const { field, points, scene, lastContourTime } = objects;
-    const currentTime = performance.now();
-    
-    // Update Z-slice position
-    field.sliceZ += CONFIG.Z_SLICE_INCREMENT;
-    if (field.sliceZ > CONFIG.Z_SLICE_RANGE[1]) {
-        field.sliceZ = CONFIG.Z_SLICE_RANGE[0];
-        // Clear all contours when we start a new cycle
-        for (const contour of field.stackedContours) {
-            scene.remove(contour);
-        }
-        field.clearStackedContours();
-        objects.lastContourTime = currentTime;
+export function update(objects, context) {
+    const { field, points, scene } = objects;
+    const params = context.params;
+    const sweep = sweepDuration(params);
+    const cycle = Math.floor(context.time / sweep);
+    const sweepTime = context.time - cycle * sweep;
+    const contourCount = Math.floor(sweepTime / params.CONTOUR_ADD_INTERVAL);
+
+    // Clear all contours when we start a new cycle, or drop the ones past the
+    // current time when scrubbing backwards
+    if (cycle !== objects.cycle) {
+        trimStackedContours(field, scene, 0);
+        objects.cycle = cycle;
+    } else if (contourCount < field.stackedContours.length) {
+        trimStackedContours(field, scene, contourCount);
     }
-    
-    // Update field and visualization
-    field.update();
-    updatePointColors(points, field);
 
-    // Add contour to stack at intervals
-    if (currentTime - lastContourTime > CONFIG.CONTOUR_ADD_INTERVAL) {
-        field.addStackedContour();
-        field.drawStackedContours(scene);
-        objects.lastContourTime = currentTime;
+    // Add a contour to the stack for every interval passed since the last frame
+    while (field.stackedContours.length < contourCount) {
+        const index = field.stackedContours.length + 1;
+        field.sliceZ = sliceZAt(index * params.CONTOUR_ADD_INTERVAL, params);
+        field.update();
+        field.addStackedContour(CONFIG.CONTOUR_THRESHOLD);
+        scene.add(field.stackedContours[field.stackedContours.length - 1]);
+        objects.renderedSliceZ = null;
+    }
+
+    // Update field and visualization (skipped while paused on the same slice)
+    field.sliceZ = sliceZAt(sweepTime, params);
+    if (field.sliceZ !== objects.renderedSliceZ) {
+        field.update();
+        updateFieldPoints(points, field);
+        objects.renderedSliceZ = field.sliceZ;
     }
 }
 
 /**
- * Update point cloud colors based on field values
+ * Apply parameter changes from the control panel
  */
-function updatePointColors(points, field) {
-    const colors = points.geometry.attributes.color.array;
-    for (let i = 0; i < field.size; i++) {
-        for (let j = 0; j < field.size; j++) {
-            const value = field.field[i * field.size + j];
-            const colorIndex = (i * field.size + j) * 3;
-            
-            if (value > 0) {
-                colors[colorIndex] = value;     // R
-                colors[colorIndex + 1] = 0;     // G
-                colors[colorIndex + 2] = 0;     // B
-            } else {
-                colors[colorIndex] = 0;         // R
-                colors[colorIndex + 1] = 0;     // G
-                colors[colorIndex + 2] = -value; // B
-            }
-        }
+export function paramsChanged(objects, changed, context) {
+    const { field, scene } = objects;
+
+    if (Object.keys(changed).every((key) => EXPORT_PARAMS.includes(key))) {
+        return;
     }
-    points.geometry.attributes.color.needsUpdate = true;
-} 
\ No newline at end of file
+
+    for (const key of COEFFICIENTS) {
+        if (key in changed) field[key] = changed[key];
+    }
+    field.setSurface(context.params.SURFACE, surfaceOptions(context.params));
+
+    // The stack was built with the old values; update() rebuilds it up to the current time
+    const surfaceOnly = Object.keys(changed).every((key) => SURFACE_PARAMS.includes(key));
+    if (!surfaceOnly) {
+        trimStackedContours(field, scene, 0);
+        objects.renderedSliceZ = null;
+    }
+
+    // Coefficients and sweep timing reshape the surface as well
+    removeSurface(objects);
+    if (context.params.SHOW_SURFACE) {
+        buildSurface(objects, context.params);
+    }
+}
@@ -1,193 +1,211 @@
 import * as THREE from 'three';
+import { SDFGrid } from '../classes/sdf/sdf_grid.js';
+import { downloadContours, CONTOUR_UNITS, CONTOUR_LAYOUTS } from '../classes/export/contour_export.js';
+
+/**
+ * Parameters shown in the host's control panel
+ */
+export const params = {
+    shape: { value: 'circle', options: ['circle', 'box', 'roundedBox', 'segment', 'capsule', 'polygon', 'ellipse', 'arc', 'star', 'triangle'], folder: 'Layout' },
+    numCircles: { value: 12, min: 1, max: 36, step: 1, folder: 'Layout' },
+    radiusLayout: { value: 3.5, min: 0, max: 5, step: 0.05, folder: 'Layout' },
+    circleRadius: { value: 1.2, min: 0.1, max: 3, step: 0.05, folder: 'Layout' },
+    base: { value: 'none', options: ['none', 'roundedBox', 'circle'], label: 'footprint', folder: 'Composition' },
+    baseSize: { value: 4, min: 1, max: 5, step: 0.05, label: 'footprint size', folder: 'Composition' },
+    operation: { value: 'union', options: ['union', 'intersection', 'subtraction', 'xor', 'smoothUnion', 'smoothIntersection', 'smoothSubtraction'], folder: 'Composition' },
+    blend: { value: 0.5, min: 0, max: 3, step: 0.05, folder: 'Composition' },
+    offset: { value: 0, min: -1, max: 1, step: 0.05, folder: 'Composition' },
+    shell: { value: 0, min: 0, max: 1, step: 0.02, label: 'wall thickness', folder: 'Composition' },
+    numContours: { value: 16, min: 2, max: 40, step: 1, folder: 'Contours' },
+    maxThreshold: { value: 3.0, min: 0.5, max: 6, step: 0.1, folder: 'Contours' },
+    contourStart: { value: '#000000', type: 'color', folder: 'Contours' },
+    contourEnd: { value: '#ffffff', type: 'color', folder: 'Contours' },
+    exportUnits: { value: 'mm', options: CONTOUR_UNITS, label: 'units', folder: 'Export' },
+    exportScale: { value: 10, min: 0.1, max: 100, step: 0.1, label: 'units per world unit', folder: 'Export' },
+    exportLayout: { value: 'overlay', options: CONTOUR_LAYOUTS, label: 'layout', folder: 'Export' },
+    showPoints: { value: true }
+};
+
+// Parameters that only affect exported drawings
+const EXPORT_PARAMS = ['exportUnits', 'exportScale', 'exportLayout'];
+
+/**
+ * Download the current contours as a drawing, one layer per threshold
+ */
+function exportContours(objects, context, format) {
+    const { params } = context;
+    downloadContours(objects.contours, format, 'sdf_contours', {
+        units: params.exportUnits,
+        scale: params.exportScale,
+        layout: params.exportLayout,
+        names: objects.contours.map((contour) => `distance ${contour.userData.threshold.toFixed(2)}`)
+    });
+}
 
-class SDFGrid {
-    constructor(size = 200) {
-        this.size = size;
-        this.field = new Array(size * size).fill(Infinity);
-        this.points = [];
-        this.material = new THREE.PointsMaterial({
-            size: 0.03,
-            vertexColors: true
-        });
+/**
+ * Buttons shown with the parameters
+ */
+export const actions = {
+    exportSVG: { label: 'export SVG', folder: 'Export', run: (objects, context) => exportContours(objects, context, 'svg') },
+    exportDXF: { label: 'export DXF', folder: 'Export', run: (objects, context) => exportContours(objects, context, 'dxf') }
+};
+
+/**
+ * Describe one element of the layout as a primitive of the chosen type, about `size` across
+ */
+function layoutShape(type, cx, cy, size) {
+    switch (type) {
+        case 'box':
+            return { type, center: [cx, cy], halfSize: [size, size * 0.6] };
+        case 'roundedBox':
+            return { type, center: [cx, cy], halfSize: [size, size * 0.6], radius: size * 0.3 };
+        case 'segment':
+        case 'capsule':
+            return { type, a: [cx - size * 0.6, cy], b: [cx + size * 0.6, cy], radius: size * 0.4 };
+        case 'polygon': {
+            const points = [];
+            for (let k = 0; k < 6; k++) {
+                const angle = (k / 6) * Math.PI * 2;
+                points.push([cx + Math.cos(angle) * size, cy + Math.sin(angle) * size]);
+            }
+            return { type, points };
+        }
+        case 'ellipse':
+            return { type, center: [cx, cy], radii: [size, size * 0.5] };
+        case 'arc':
+            return { type, center: [cx, cy], radius: size, aperture: 2.0, thickness: size * 0.15 };
+        case 'star':
+            return { type, center: [cx, cy], radius: size, points: 5, sharpness: 3 };
+        case 'triangle':
+            return { type, a: [cx - size, cy - size * 0.6], b: [cx + size, cy - size * 0.6], c: [cx, cy + size] };
+        default:
+            return { type: 'circle', center: [cx, cy], radius: size };
     }
+}
 
-    // Initialize the grid with empty field
-    initialize() {
-        this.field.fill(Infinity);
-    }
+// Parameters that change the field itself rather than just its contours
+const FIELD_PARAMS = ['shape', 'numCircles', 'radiusLayout', 'circleRadius', 'base', 'baseSize', 'operation', 'blend', 'offset', 'shell'];
 
-    // Add a circle to the field
-    addCircle(centerX, centerY, radius) {
-        for (let i = 0; i < this.size; i++) {
-            for (let j = 0; j < this.size; j++) {
-                const x = (i - this.size/2) * 0.5 * (20/this.size);
-                const z = (j - this.size/2) * 0.5 * (20/this.size);
-                const distance = Math.sqrt(
-                    Math.pow(x - centerX, 2) + 
-                    Math.pow(z - centerY, 2)
-                ) - radius;
-                
-                // Union operation: take the minimum distance
-                const index = i * this.size + j;
-                this.field[index] = Math.min(this.field[index], distance);
-            }
-        }
+/**
+ * Footprint the radial layout is composed against
+ */
+function footprintShape(type, size) {
+    if (type === 'roundedBox') {
+        return { type, center: [0, 0], halfSize: [size, size * 0.75], radius: size * 0.2 };
     }
+    return { type: 'circle', center: [0, 0], radius: size };
+}
+
+/**
+ * Fill the grid with the radial layout, composed against the footprint
+ */
+function buildField(sdfGrid, params) {
+    sdfGrid.initialize();
 
-    // Union operation between two fields
-    static union(field1, field2) {
-        return field1.map((value, index) => Math.min(value, field2[index]));
+    if (params.base !== 'none') {
+        sdfGrid.addShape(footprintShape(params.base, params.baseSize));
     }
 
-    // Create the visualization
-    createVisualization() {
-        const geometry = new THREE.BufferGeometry();
-        const positions = [];
-        const colors = [];
-
-        for (let i = 0; i < this.size; i++) {
-            for (let j = 0; j < this.size; j++) {
-                const value = this.field[i * this.size + j];
-                
-                // Position
-                positions.push(
-                    (i - this.size/2) * 0.5 * (20/this.size),  // x
-                    0,                         // y
-                    (j - this.size/2) * 0.5 * (20/this.size)   // z
-                );
-
-                // Color based on field value
-                // Map the value to a color (red for positive, blue for negative)
-                const color = new THREE.Color();
-                if (value > 0) {
-                    color.setRGB(value, 0, 0);  // Red for positive
-                } else {
-                    color.setRGB(0, 0, -value); // Blue for negative
-                }
-                colors.push(color.r, color.g, color.b);
-            }
-        }
+    // Radial layout of shapes
+    for (let k = 0; k < params.numCircles; k++) {
+        const angle = (k / params.numCircles) * Math.PI * 2;
+        const cx = Math.cos(angle) * params.radiusLayout;
+        const cy = Math.sin(angle) * params.radiusLayout;
+        sdfGrid.addShape(layoutShape(params.shape, cx, cy, params.circleRadius), params.operation, params.blend);
+    }
 
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-        
-        return new THREE.Points(geometry, this.material);
+    if (params.offset !== 0) {
+        sdfGrid.offset(params.offset);
+    }
+    if (params.shell > 0) {
+        sdfGrid.onion(params.shell);
     }
+}
 
-    // Proper marching squares contour extraction (complete lookup table) at any threshold
-    createContour(threshold = 0, color = 0x000000) {
-        const vertices = [];
-        const cellSize = 0.5 * (20/this.size);
-        function interp(p1, p2, v1, v2) {
-            const t = (threshold - v1) / (v2 - v1);
-            return [
-                p1[0] + t * (p2[0] - p1[0]),
-                p1[1] + t * (p2[1] - p1[1])
-            ];
-        }
-        for (let i = 0; i < this.size - 1; i++) {
-            for (let j = 0; j < this.size - 1; j++) {
-                const x = (i - this.size/2) * cellSize;
-                const z = (j - this.size/2) * cellSize;
-                const p = [
-                    [x, z],
-                    [x + cellSize, z],
-                    [x + cellSize, z + cellSize],
-                    [x, z + cellSize]
-                ];
-                const v = [
-                    this.field[i * this.size + j],
-                    this.field[(i+1) * this.size + j],
-                    this.field[(i+1) * this.size + (j+1)],
-                    this.field[i * this.size + (j+1)]
-                ];
-                let idx = 0;
-                if (v[0] > threshold) idx |= 1;
-                if (v[1] > threshold) idx |= 2;
-                if (v[2] > threshold) idx |= 4;
-                if (v[3] > threshold) idx |= 8;
-                const cases = [
-                    [],
-                    [[0,1]],
-                    [[1,2]],
-                    [[0,2]],
-                    [[2,3]],
-                    [[0,1],[2,3]],
-                    [[1,3]],
-                    [[0,3]],
-                    [[0,3]],
-                    [[1,3]],
-                    [[0,1],[2,3]],
-                    [[2,3]],
-                    [[0,2]],
-                    [[1,2]],
-                    [[0,1]],
-                    []
-                ];
-                const edgePoints = [
-                    [p[0], p[3], v[0], v[3]],
-                    [p[0], p[1], v[0], v[1]],
-                    [p[1], p[2], v[1], v[2]],
-                    [p[2], p[3], v[2], v[3]]
-                ];
-                for (const pair of cases[idx]) {
-                    const a = edgePoints[pair[0]];
-                    const b = edgePoints[pair[1]];
-                    const pa = interp(a[0], a[1], a[2], a[3]);
-                    const pb = interp(b[0], b[1], b[2], b[3]);
-                    vertices.push(pa[0], 0, pa[1], pb[0], 0, pb[1]);
-                }
-            }
-        }
-        const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-        const material = new THREE.LineBasicMaterial({ color: color, linewidth: 2 });
-        return new THREE.LineSegments(geometry, material);
+/**
+ * Draw stacked contours with a gradient between the two contour colors
+ */
+function buildContours(sdfGrid, params) {
+    const contours = [];
+    const startColor = new THREE.Color(params.contourStart);
+    const endColor = new THREE.Color(params.contourEnd);
+
+    for (let i = 0; i < params.numContours; i++) {
+        const s = i / (params.numContours - 1);
+        const t = s * params.maxThreshold;
+        const color = startColor.clone().lerp(endColor, s);
+        contours.push(sdfGrid.createContour(t, color));
     }
 
-    // Update field values
-    updateField(newField) {
-        this.field = newField;
+    return contours;
+}
+
+/**
+ * Remove contours from the scene and free them
+ */
+function removeContours(scene, contours) {
+    for (const contour of contours) {
+        scene.remove(contour);
+        contour.geometry.dispose();
+        contour.material.dispose();
     }
 }
 
 // Example sketch - SDF Grid Visualization
-export function setup(scene, camera) {
+export function setup(scene, camera, context) {
     // Create and initialize SDF grid
     const sdfGrid = new SDFGrid(200);
-    sdfGrid.initialize();
-
-    // Radial layout of circles
-    const numCircles = 12;
-    const radiusLayout = 3.5;
-    const circleRadius = 1.2;
-    for (let k = 0; k < numCircles; k++) {
-        const angle = (k / numCircles) * Math.PI * 2;
-        const cx = Math.cos(angle) * radiusLayout;
-        const cy = Math.sin(angle) * radiusLayout;
-        sdfGrid.addCircle(cx, cy, circleRadius);
-    }
+    buildField(sdfGrid, context.params);
 
     const points = sdfGrid.createVisualization();
+    points.visible = context.params.showPoints;
     scene.add(points);
 
-    // Draw stacked contours with gradient
-    const numContours = 16;
-    const maxThreshold = 3.0;
-    for (let i = 0; i < numContours; i++) {
-        const t = (i / (numContours - 1)) * maxThreshold;
-        // Gradient from black to white
-        const gray = Math.round(255 * (i / (numContours - 1)));
-        const color = (gray << 16) | (gray << 8) | gray;
-        const contour = sdfGrid.createContour(t, color);
+    const contours = buildContours(sdfGrid, context.params);
+    for (const contour of contours) {
         scene.add(contour);
     }
 
     // Return objects for animation
-    return { sdfGrid, points };
+    return { sdfGrid, points, contours, scene };
 }
 
-export function update(objects) {
+export function update(objects, context) {
     // We can add animation here later
     // For now, the visualization is static
-} 
\ No newline at end of file
+}
+
+/**
+ * Rebuild the field and contours when a parameter changes
+ */
+export function paramsChanged(objects, changed, context) {
+    const { sdfGrid, scene } = objects;
+
+    if ('showPoints' in changed) {
+        objects.points.visible = changed.showPoints;
+    }
+
+    // A preset or the URL hash can change several parameters at once
+    const rebuildKeys = Object.keys(changed).filter((key) => key !== 'showPoints');
+    if (rebuildKeys.every((key) => EXPORT_PARAMS.includes(key))) {
+        return;
+    }
+
+    const layoutChanged = FIELD_PARAMS.some((key) => key in changed);
+    if (layoutChanged) {
+        buildField(sdfGrid, context.params);
+
+        // The points material belongs to the grid and is reused
+        scene.remove(objects.points);
+        objects.points.geometry.dispose();
+        objects.points = sdfGrid.createVisualization();
+        objects.points.visible = context.params.showPoints;
+        scene.add(objects.points);
+    }
+
+    removeContours(scene, objects.contours);
+    objects.contours = buildContours(sdfGrid, context.params);
+    for (const contour of objects.contours) {
+        scene.add(contour);
+    }
+}
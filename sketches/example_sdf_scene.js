@@ -0,0 +1,102 @@
+import * as THREE from 'three';
+import { SDFGrid } from '../classes/sdf/sdf_grid.js';
+
+// Scene descriptions bundled with the sketches, see classes/sdf/sdf_node.js for the format
+const SCENE_FILES = import.meta.glob('./scenes/*.json', { eager: true, import: 'default' });
+const SCENES = Object.fromEntries(
+    Object.entries(SCENE_FILES).map(([path, scene]) => [path.replace(/^.*\/(.*)\.json$/, '$1'), scene])
+);
+
+/**
+ * Parameters shown in the host's control panel
+ */
+export const params = {
+    scene: { value: Object.keys(SCENES)[0], options: Object.keys(SCENES) },
+    gridSize: { value: 200, min: 50, max: 400, step: 10, rebuild: true },
+    numContours: { value: 12, min: 2, max: 40, step: 1, folder: 'Contours' },
+    maxThreshold: { value: 2.0, min: 0.5, max: 6, step: 0.1, folder: 'Contours' },
+    contourStart: { value: '#000000', type: 'color', folder: 'Contours' },
+    contourEnd: { value: '#ffffff', type: 'color', folder: 'Contours' },
+    showPoints: { value: true }
+};
+
+/**
+ * Draw stacked contours with a gradient between the two contour colors
+ */
+function buildContours(sdfGrid, params) {
+    const contours = [];
+    const startColor = new THREE.Color(params.contourStart);
+    const endColor = new THREE.Color(params.contourEnd);
+
+    for (let i = 0; i < params.numContours; i++) {
+        const s = i / (params.numContours - 1);
+        const color = startColor.clone().lerp(endColor, s);
+        contours.push(sdfGrid.createContour(s * params.maxThreshold, color));
+    }
+
+    return contours;
+}
+
+/**
+ * Build the points and contours of the field and add them to the scene
+ */
+function buildVisuals(objects, params) {
+    const { sdfGrid, scene } = objects;
+
+    objects.points = sdfGrid.createVisualization();
+    objects.points.visible = params.showPoints;
+    scene.add(objects.points);
+
+    objects.contours = buildContours(sdfGrid, params);
+    for (const contour of objects.contours) {
+        scene.add(contour);
+    }
+}
+
+/**
+ * Remove the points and contours from the scene and free them
+ */
+function removeVisuals(objects) {
+    const { scene } = objects;
+
+    // The points material belongs to the grid and is reused
+    scene.remove(objects.points);
+    objects.points.geometry.dispose();
+
+    for (const contour of objects.contours) {
+        scene.remove(contour);
+        contour.geometry.dispose();
+        contour.material.dispose();
+    }
+}
+
+// Example sketch - SDF field built from a declarative scene description
+export function setup(scene, camera, context) {
+    const sdfGrid = new SDFGrid(context.params.gridSize);
+    sdfGrid.loadScene(SCENES[context.params.scene]);
+
+    const objects = { sdfGrid, scene, points: null, contours: [] };
+    buildVisuals(objects, context.params);
+    return objects;
+}
+
+export function update(objects, context) {
+    // Static field
+}
+
+/**
+ * Reload the scene or redraw the contours when a parameter changes
+ */
+export function paramsChanged(objects, changed, context) {
+    if ('showPoints' in changed && Object.keys(changed).length === 1) {
+        objects.points.visible = changed.showPoints;
+        return;
+    }
+
+    if ('scene' in changed) {
+        objects.sdfGrid.loadScene(SCENES[changed.scene]);
+    }
+
+    removeVisuals(objects);
+    buildVisuals(objects, context.params);
+}
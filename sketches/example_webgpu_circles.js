@@ -0,0 +1,79 @@
+import { SDFBufferManager } from '../classes/sdf/sdf_buffer.js';
+import { createColorSurface } from '../classes/sdf/sdf_field_surface.js';
+import { createContourLines, updateContourLines } from '../classes/field/contour_polylines.js';
+
+// Tell the host this sketch is drawn by the WebGPURenderer, whose device computes the field
+export const requiresWebGPURenderer = true;
+
+const MAX_CIRCLES = 64;
+
+/**
+ * Parameters shown in the host's control panel
+ */
+export const params = {
+    gridSize: { value: 512, min: 64, max: 1024, step: 64, rebuild: true },
+    count: { value: 32, min: 1, max: MAX_CIRCLES, step: 1 },
+    blend: { value: 0.3, min: 0, max: 1.5, step: 0.05 },
+    speed: { value: 0.5, min: 0, max: 2, step: 0.05 },
+    showContour: { value: true, label: 'zero contour' }
+};
+
+/**
+ * Circle k of the animation at time t, on its own Lissajous curve
+ */
+function circleAt(k, t) {
+    const a = 1 + (k % 3);
+    const b = 2 + (k % 4);
+    const phase = k * 2.399; // Golden angle, spreads the circles out
+    return {
+        x: Math.sin(a * t + phase) * 3.5,
+        y: Math.sin(b * t + phase * 1.7) * 3.5,
+        radius: 0.25 + 0.2 * (1 + Math.sin(phase * 3))
+    };
+}
+
+function circlesAt(count, t) {
+    return Array.from({ length: count }, (_, k) => circleAt(k, t));
+}
+
+// Example sketch - dozens of circles unioned by a compute shader and drawn from its color buffer
+export function setup(scene, camera, context) {
+    const { params } = context;
+
+    const manager = SDFBufferManager.forRenderer(context.renderer, params.gridSize, MAX_CIRCLES, { readback: true });
+    manager.setCircles(circlesAt(params.count, 0), params.blend);
+
+    const surface = createColorSurface(manager.field, manager.attributes.colors);
+    scene.add(surface);
+
+    // Traced on the CPU from the field read back, a frame or two behind the surface
+    const contour = createContourLines(manager.field, 0, 0x00ff00, 0.01);
+    contour.visible = params.showContour;
+    scene.add(contour);
+
+    return { manager, surface, contour };
+}
+
+export function update(objects, context) {
+    const { params } = context;
+    const { manager, contour } = objects;
+
+    manager.setCircles(circlesAt(params.count, context.time * params.speed), params.blend);
+
+    if (manager.pollField() && contour.visible) {
+        updateContourLines(contour, manager.field);
+    }
+}
+
+/**
+ * Circles, blend and speed are read every frame
+ */
+export function paramsChanged(objects, changed) {
+    if ('showContour' in changed) {
+        objects.contour.visible = changed.showContour;
+    }
+}
+
+export function dispose(objects) {
+    objects.manager.destroy();
+}
@@ -0,0 +1,82 @@
+import { WebGPUSDFGrid } from '../classes/sdf/sdf.js';
+import { createFieldSurface, updateFieldSurface } from '../classes/sdf/sdf_field_surface.js';
+
+// Tell the host this sketch is drawn by the WebGPURenderer, whose device computes the field
+export const requiresWebGPURenderer = true;
+
+/**
+ * Parameters shown in the host's control panel
+ */
+export const params = {
+    gridSize: { value: 1024, min: 64, max: 1024, step: 64, rebuild: true },
+    shape: { value: 'star', options: ['circle', 'star', 'roundedBox', 'capsule', 'ellipse'] },
+    speed: { value: 0.5, min: 0, max: 2, step: 0.05 },
+    colorScale: { value: 2, min: 0.1, max: 5, step: 0.1, label: 'color scale', folder: 'Colors' },
+    contourSpacing: { value: 0.5, min: 0.1, max: 2, step: 0.05, label: 'spacing', folder: 'Contours' },
+    contourCount: { value: 4, min: 0, max: 20, step: 1, label: 'count', folder: 'Contours' },
+    contourColor: { value: '#00ff00', type: 'color', label: 'color', folder: 'Contours' }
+};
+
+// Parameters that are shader uniforms of the surface
+const SURFACE_PARAMS = ['colorScale', 'contourSpacing', 'contourCount', 'contourColor'];
+
+/**
+ * The animated shape at time t: moving around the origin and changing its proportions
+ */
+function shapeAt(type, t) {
+    const center = [Math.cos(t) * 2, Math.sin(t) * 2];
+    const pulse = Math.sin(t * 2);
+
+    switch (type) {
+        case 'circle':
+            return { type, center, radius: 2 + 0.5 * pulse };
+        case 'star':
+            return { type, center, radius: 2.5, points: 5, sharpness: 3 + pulse };
+        case 'roundedBox':
+            return { type, center, halfSize: [2 + pulse, 1.5 - 0.5 * pulse], radius: 0.4 };
+        case 'capsule': {
+            const dx = Math.cos(t * 3) * 2;
+            const dy = Math.sin(t * 3) * 2;
+            return { type, a: [center[0] - dx, center[1] - dy], b: [center[0] + dx, center[1] + dy], radius: 0.75 };
+        }
+        case 'ellipse':
+            return { type, center, radii: [2.5 + 0.75 * pulse, 1.5] };
+    }
+}
+
+// Example sketch - a large SDF grid computed and drawn on the GPU without reading it back
+export function setup(scene, camera, context) {
+    const { params } = context;
+
+    const grid = WebGPUSDFGrid.forRenderer(context.renderer, params.gridSize);
+    grid.applyShape(shapeAt(params.shape, 0));
+
+    const surface = createFieldSurface(grid, {
+        colorScale: params.colorScale,
+        contourSpacing: params.contourSpacing,
+        contourCount: params.contourCount,
+        contourColor: params.contourColor
+    });
+    scene.add(surface);
+
+    return { grid, surface };
+}
+
+export function update(objects, context) {
+    const { params } = context;
+
+    // One dispatch per frame; the surface reads the result in the same frame
+    objects.grid.applyShape(shapeAt(params.shape, context.time * params.speed));
+}
+
+/**
+ * Colors and contours are uniforms; the shape and speed are read every frame
+ */
+export function paramsChanged(objects, changed, context) {
+    const uniforms = Object.fromEntries(Object.entries(changed).filter(([key]) => SURFACE_PARAMS.includes(key)));
+    updateFieldSurface(objects.surface, uniforms);
+}
+
+export function dispose(objects) {
+    objects.grid.destroy();
+}
@@ -1,47 +1,34 @@
 import * as THREE from 'three';
 import { WebGPUSDFGrid } from '../classes/sdf/sdf.js';
+import { runSDFParity, formatParityReport } from '../classes/sdf/sdf_parity.js';
 
-// Simple WebGPU SDF Example - Single Circle Field
-export async function setup(scene, camera) {
-    // Check for WebGPU support
-    if (!navigator.gpu) {
-        console.error('WebGPU not supported - navigator.gpu is undefined');
-        throw new Error('WebGPU not supported - navigator.gpu is undefined');
-    }
+// Tell the host this sketch runs on the WebGPU backend (or the software device without WebGPU)
+export const requiresWebGPU = true;
 
-    console.log('WebGPU available:', !!navigator.gpu);
-    console.log('GPU adapter request available:', !!navigator.gpu.requestAdapter);
+// Distances from the circle at which contours are drawn
+const CONTOUR_THRESHOLDS = [0, 0.5, 1.0, 1.5];
 
-    try {
-        // Initialize WebGPU with specific options
-        const adapter = await navigator.gpu.requestAdapter({
-            powerPreference: 'high-performance',
-            forceFallbackAdapter: false
-        });
-        
-        if (!adapter) {
-            console.error('No WebGPU adapter found. This could be due to:');
-            console.error('1. WebGPU not enabled in Chrome flags');
-            console.error('2. Graphics driver issues');
-            console.error('3. Hardware not supporting WebGPU');
-            throw new Error('No WebGPU adapter found');
+/**
+ * Buttons shown with the parameters
+ */
+export const actions = {
+    checkParity: {
+        label: 'check CPU/GPU parity',
+        run: async (objects) => {
+            // The grid's device, which is the software one after a GPU error
+            const report = await runSDFParity(objects.sdfGrid.device);
+            console.log(formatParityReport(report));
         }
+    }
+};
 
-        console.log('WebGPU adapter found:', adapter.name);
-        console.log('Adapter features:', adapter.features);
-
-        const device = await adapter.requestDevice({
-            requiredFeatures: [],
-            requiredLimits: {
-                maxStorageBufferBindingSize: 1024 * 1024 * 1024, // 1GB
-                maxBufferSize: 1024 * 1024 * 1024 // 1GB
-            }
-        });
-        
-        console.log('WebGPU device initialized successfully');
-
-        // Create simple SDF grid
-        const sdfGrid = new WebGPUSDFGrid(device, 1024); // 50x50 grid
+// Simple WebGPU SDF Example - Single Circle Field
+export async function setup(scene, camera, context) {
+    try {
+        // On the host's device: WebGPU when available, the software device running the same
+        // kernels otherwise. The grid is rebuilt on a new device if this one is lost.
+        const sdfGrid = await WebGPUSDFGrid.fromContext(context.gpu, 256); // 256x256 grid, contours are re-traced every frame
+        console.log(`Compute device: ${context.gpu.type}`);
         console.log('SDF Grid initialized');
 
         // Set a single circle at the center
@@ -53,10 +40,12 @@ export async function setup(scene, camera) {
         scene.add(points);
         console.log('Visualization created');
 
-        // Add a simple contour at zero threshold
-        const contour = sdfGrid.createContour(0.5, 0x00ff00);
-        scene.add(contour);
-        console.log('Contour created');
+        // Add contours at the circle boundary and a few offsets outside it
+        const contours = sdfGrid.createContours(CONTOUR_THRESHOLDS, 0x00ff00, 0x004400);
+        for (const contour of contours) {
+            scene.add(contour);
+        }
+        console.log('Contours created');
 
         // Add visual circle representations
         const circleRing = sdfGrid.createCircleVisual(0xffff00); // Yellow ring
@@ -71,10 +60,9 @@ export async function setup(scene, camera) {
         return { 
             sdfGrid, 
             points, 
-            contour,
+            contours,
             circleRing,
-            filledCircle,
-            device 
+            filledCircle
         };
 
     } catch (error) {
@@ -83,10 +71,10 @@ export async function setup(scene, camera) {
     }
 }
 
-export function update(objects) {
+export function update(objects, context) {
     // Animate the circle position
     if (objects && objects.sdfGrid) {
-        const time = Date.now() * 0.001; // Time in seconds
+        const time = context.time; // Time in seconds
         
         // Create a circular motion
         const radius = 3.0;
@@ -99,6 +87,9 @@ export function update(objects) {
         
         // Update visualization
         objects.sdfGrid.updateVisualization();
+        objects.contours.forEach((contour, k) => {
+            objects.sdfGrid.updateContour(contour, CONTOUR_THRESHOLDS[k]);
+        });
         
         // Update circle visuals
         if (objects.circleRing && objects.filledCircle) {
@@ -107,8 +98,8 @@ export function update(objects) {
     }
 }
 
-// Cleanup function for when the sketch is destroyed
-export function cleanup(objects) {
+// Dispose function for when the sketch is destroyed
+export function dispose(objects, context) {
     if (objects && objects.sdfGrid) {
         objects.sdfGrid.destroy();
     }
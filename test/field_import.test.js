@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCSV } from '../classes/field/field_import.js';
+
+test('parseCSV reads rows with any of the delimiters and skips a header', () => {
+    const grid = parseCSV('x,y\n1 2\r\n3;4\n\n5\t6\n');
+
+    assert.equal(grid.width, 2);
+    assert.equal(grid.height, 3);
+    assert.deepEqual([...grid.values], [1, 2, 3, 4, 5, 6]);
+});
+
+test('parseCSV ignores a delimiter at the end of a line', () => {
+    const grid = parseCSV('1,2,3,\n4,5,6,');
+
+    assert.equal(grid.width, 3);
+    assert.deepEqual([...grid.values], [1, 2, 3, 4, 5, 6]);
+});
+
+test('parseCSV rejects empty and non-numeric cells with their position', () => {
+    assert.throws(() => parseCSV('1,,3'), /CSV row 1, column 2: "" is not a number/);
+    assert.throws(() => parseCSV('a,b\n1,2\n3,x'), /CSV row 2, column 2: "x" is not a number/);
+    assert.throws(() => parseCSV('1,2\n3,Infinity'), /CSV row 2, column 2/);
+});
+
+test('parseCSV rejects rows of different widths', () => {
+    assert.throws(() => parseCSV('1,2\n3'), /CSV row 2 has 1 values, expected 2/);
+    assert.throws(() => parseCSV('only,text'), /no numeric rows/);
+});
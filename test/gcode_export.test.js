@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScalarField2D } from '../classes/field/scalar_field_2d.js';
+import { createContourLines } from '../classes/field/contour_polylines.js';
+import { contourLayers } from '../classes/export/contour_export.js';
+import { contoursToGCode } from '../classes/export/gcode_export.js';
+
+// A ring of material between radius 1 and 3
+function ringLayers() {
+    const field = ScalarField2D.centered(81, 10);
+    field.evaluate((x, y) => {
+        const r = Math.hypot(x, y);
+        return Math.max(r - 3, 1 - r);
+    });
+    return contourLayers([createContourLines(field, 0)]);
+}
+
+// Distances from the origin of every printing move
+function printRadii(gcode) {
+    return gcode.split('\n')
+        .filter((line) => line.startsWith('G1 X'))
+        .map((line) => line.match(/X(\S+) Y(\S+)/).slice(1).map(Number))
+        .map(([x, y]) => Math.hypot(x, y));
+}
+
+test('perimeters are offset into the material of walls and holes', () => {
+    const options = { scale: 1, origin: [0, 0], perimeters: 2, extrusionWidth: 0.5 };
+    const radii = printRadii(contoursToGCode(ringLayers(), options));
+
+    const near = (r) => radii.some((radius) => Math.abs(radius - r) < 0.05);
+    assert.ok(near(3) && near(2.5), 'outer wall and its inner perimeter');
+    assert.ok(near(1) && near(1.5), 'hole and its outer perimeter');
+    assert.ok(radii.every((radius) => radius > 0.95 && radius < 3.05), 'nothing outside the ring');
+});
+
+test('a layer height of 0 is rejected', () => {
+    assert.throws(() => contoursToGCode(ringLayers(), { layerHeight: 0 }), /layerHeight > 0/);
+    assert.throws(() => contoursToGCode(ringLayers(), { material: 'inside' }), /Unknown material side/);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSoftwareBackend } from '../classes/gpu/compute_backend.js';
+import { GPUReadback } from '../classes/gpu/gpu_readback.js';
+
+function setup(values) {
+    const backend = createSoftwareBackend();
+    const { device } = backend;
+    const source = device.createBuffer({
+        size: values.length * 4,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
+    });
+    device.queue.writeBuffer(source, 0, new Float32Array(values));
+    const readback = new GPUReadback(device, values.length * 4);
+    return { backend, device, source, readback };
+}
+
+test('request skips when every staging buffer is busy and take returns the newest result', async () => {
+    const { backend, source, readback } = setup([1, 2]);
+
+    const first = readback.request(source, 'a');
+    const second = readback.request(source, 'b');
+    assert.equal(readback.request(source, 'c'), null);
+    assert.equal(readback.available, false);
+
+    await Promise.all([first, second]);
+    const result = readback.take();
+    assert.equal(result.tag, 'b');
+    assert.deepEqual([...result.data], [1, 2]);
+    assert.equal(readback.take(), null);
+
+    readback.destroy();
+    backend.destroy();
+});
+
+test('read waits again when other requests take the freed staging buffers', async () => {
+    const { backend, device, source, readback } = setup([3, 4]);
+
+    const first = readback.request(source);
+    let polled = [];
+    // Runs before read() resumes and takes both buffers, like a poll on the next frame
+    first.then(() => {
+        polled = [readback.request(source), readback.request(source)];
+    });
+
+    const reading = readback.read(source, 'read');
+    await first;
+    device.queue.writeBuffer(source, 0, new Float32Array([5, 6]));
+
+    const result = await reading;
+    assert.equal(polled.filter(Boolean).length, 2);
+    assert.equal(result.tag, 'read');
+    assert.deepEqual([...result.data], [5, 6]);
+
+    readback.destroy();
+    backend.destroy();
+});
+
+test('read rejects once the readback is destroyed', async () => {
+    const { backend, source, readback } = setup([1]);
+
+    readback.request(source)?.catch(() => {});
+    const reading = readback.read(source);
+    readback.destroy();
+
+    await assert.rejects(reading, /GPU readback has been destroyed/);
+    backend.destroy();
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScalarField2D } from '../classes/field/scalar_field_2d.js';
+import { fieldGrading } from '../classes/tpms/grading.js';
+
+const BOUNDS = { minX: -5, maxX: 5, minY: -5, maxY: 5 };
+
+test('fieldGrading spans the finite values when the field has empty cells', () => {
+    const field = new ScalarField2D(11, 11, BOUNDS);
+    field.evaluate((x) => (x > 4 ? Infinity : x));
+    const grading = fieldGrading(field, 0, 1);
+
+    assert.ok(Math.abs(grading(-5, 0)) < 1e-9);
+    assert.ok(Math.abs(grading(0, 0) - 5 / 9) < 1e-9);
+    assert.equal(grading(5, 0), 1);
+});
+
+test('fieldGrading keeps an explicit range', () => {
+    const field = new ScalarField2D(11, 11, BOUNDS);
+    field.evaluate((x) => x);
+    const grading = fieldGrading(field, 10, 20, { range: [0, 5] });
+
+    assert.equal(grading(-3, 0), 10);
+    assert.ok(Math.abs(grading(2.5, 0) - 15) < 1e-9);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSoftwareBackend } from '../classes/gpu/compute_backend.js';
+import { ScalarField2D } from '../classes/field/scalar_field_2d.js';
+import { SDFBufferManager } from '../classes/sdf/sdf_buffer.js';
+import { SDF_KERNELS } from '../classes/sdf/sdf_kernels.js';
+import { createShapeSDF } from '../classes/sdf/sdf_primitives.js';
+import { opUnion } from '../classes/sdf/sdf_operators.js';
+
+const CIRCLES = [
+    { x: -2, y: 1, radius: 1.5 },
+    { x: 1.5, y: -0.5, radius: 2 },
+    { x: 3, y: 3, radius: 0.5 }
+];
+
+// Let the readback's mapAsync complete
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+test('computeCircleField matches the CPU union of circle SDFs', async () => {
+    const backend = createSoftwareBackend({ kernels: SDF_KERNELS });
+    const manager = new SDFBufferManager(backend.device, 48, 8, { readback: true });
+
+    try {
+        manager.setCircles(CIRCLES, 0);
+        await nextTask();
+        await nextTask();
+        assert.equal(manager.pollField(), true);
+
+        const shapes = CIRCLES.map(({ x, y, radius }) => createShapeSDF({ type: 'circle', center: [x, y], radius }));
+        const cpu = ScalarField2D.centered(48, 10)
+            .evaluate((x, y) => shapes.reduce((d, shape) => opUnion(d, shape(x, y)), Infinity));
+
+        let maxError = 0;
+        for (let k = 0; k < cpu.data.length; k++) {
+            maxError = Math.max(maxError, Math.abs(manager.field.data[k] - cpu.data[k]));
+        }
+        assert.ok(maxError < 1e-5, `max error ${maxError}`);
+    } finally {
+        manager.destroy();
+        backend.destroy();
+    }
+});
+
+test('readFieldData and readColorData can overlap and read the current buffers', async () => {
+    const backend = createSoftwareBackend({ kernels: SDF_KERNELS });
+    const manager = new SDFBufferManager(backend.device, 16, 4);
+
+    try {
+        manager.setCircles([{ x: 0, y: 0, radius: 2 }], 0);
+        const reads = [manager.readFieldData(), manager.readFieldData(), manager.readFieldData(), manager.readColorData()];
+        const [field, again, third, colors] = await Promise.all(reads);
+
+        assert.equal(field.length, 16 * 16);
+        assert.deepEqual(again, field);
+        assert.deepEqual(third, field);
+        assert.equal(colors.length, 16 * 16 * 4);
+
+        // Cell (8, 8) is the grid's origin, 2 inside the circle: blue, no red
+        const center = 8 * 16 + 8;
+        assert.ok(Math.abs(field[center] + 2) < 1e-6);
+        assert.deepEqual([...colors.subarray(center * 4, center * 4 + 4)], [0, 0, 2, 1]);
+    } finally {
+        manager.destroy();
+        backend.destroy();
+    }
+});
+
+test('readFieldData rejects once the manager is destroyed', async () => {
+    const backend = createSoftwareBackend({ kernels: SDF_KERNELS });
+    const manager = new SDFBufferManager(backend.device, 16, 4);
+
+    manager.setCircles([{ x: 0, y: 0, radius: 2 }], 0);
+    const reading = manager.readFieldData();
+    manager.destroy();
+
+    await assert.rejects(reading);
+    backend.destroy();
+});
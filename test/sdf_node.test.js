@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { validateNode, parseScene, createNodeSDF } from '../classes/sdf/sdf_node.js';
+import { PARITY_CASES } from '../classes/sdf/sdf_parity.js';
+
+const SCENE_DIR = new URL('../sketches/scenes/', import.meta.url);
+
+test('the example scenes and every parity shape validate', () => {
+    for (const file of fs.readdirSync(SCENE_DIR).filter((name) => name.endsWith('.json'))) {
+        assert.doesNotThrow(() => parseScene(fs.readFileSync(new URL(file, SCENE_DIR), 'utf8')), file);
+    }
+    for (const { label, shape, node } of PARITY_CASES) {
+        assert.doesNotThrow(() => validateNode(shape ?? node), label);
+    }
+});
+
+test('primitives missing a field are rejected instead of evaluating to NaN', () => {
+    assert.throws(() => validateNode({ type: 'circle' }), /"circle" node needs "center"/);
+    assert.throws(() => parseScene('{"type":"circle","center":[0,0]}'), /"circle" node needs "radius"/);
+    assert.throws(
+        () => validateNode({ type: 'union', children: [{ type: 'circle', center: [0, 0], radius: 1 }, { type: 'capsule', a: [0, 0], b: [1, 0] }] }),
+        /scene\.children\[1\]: "capsule" node needs "radius"/
+    );
+    assert.equal(createNodeSDF(validateNode({ type: 'circle', center: [0, 0], radius: 1 }))(2, 0), 1);
+});
+
+test('inherited property names are not node types', () => {
+    assert.throws(() => validateNode({ type: 'toString' }), /unknown node type "toString"/);
+    assert.throws(() => validateNode({ type: 'constructor', children: [] }), /unknown node type "constructor"/);
+});
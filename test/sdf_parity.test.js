@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSoftwareBackend } from '../classes/gpu/compute_backend.js';
+import { SDF_KERNELS } from '../classes/sdf/sdf_kernels.js';
+import { runSDFParity, runSoftwareParity, formatParityReport } from '../classes/sdf/sdf_parity.js';
+
+// The real kernel's field, moved off by a fixed amount everywhere
+function offsetKernel(kernel, offset) {
+    return (bindings, workgroups) => {
+        kernel(bindings, workgroups);
+        const field = new Float32Array(bindings[0][1]);
+        for (let k = 0; k < field.length; k++) field[k] += offset;
+    };
+}
+
+test('the software kernels pass every shape case', async () => {
+    const report = await runSoftwareParity({ gridSize: 32 });
+
+    assert.equal(report.passed, true);
+    assert.equal(report.shaders, false);
+    for (const result of report.results.filter((result) => !result.skipped)) {
+        assert.equal(result.passed, true, result.label);
+        assert.ok(result.maxError < 1e-5, result.label); // float32 rounding only
+    }
+});
+
+test('scene graphs are skipped on the software device, not passed', async () => {
+    const report = await runSoftwareParity({ gridSize: 16 });
+    const scene = report.results.find((result) => result.label === 'scene');
+
+    assert.equal(scene.skipped, true);
+    assert.equal(scene.passed, undefined);
+    assert.match(formatParityReport(report), /^skip {2}scene/m);
+    assert.match(formatParityReport(report), /1 skipped/);
+});
+
+test('only skipped cases do not make a passing report', async () => {
+    const report = await runSoftwareParity({
+        gridSize: 16,
+        cases: [{ label: 'scene', node: { type: 'circle', center: [0, 0], radius: 1 } }]
+    });
+
+    assert.equal(report.passed, false);
+});
+
+test('a kernel that is off by more than the tolerance fails', async () => {
+    const backend = createSoftwareBackend({
+        kernels: { ...SDF_KERNELS, computeSDF: offsetKernel(SDF_KERNELS.computeSDF, 0.01) }
+    });
+
+    try {
+        const report = await runSDFParity(backend.device, { gridSize: 32 });
+
+        assert.equal(report.passed, false);
+        for (const result of report.results.filter((result) => !result.skipped)) {
+            assert.equal(result.passed, false, result.label);
+            assert.ok(Math.abs(result.maxError - 0.01) < 1e-5, result.label);
+        }
+        assert.match(formatParityReport(report), /FAIL {2}circle/);
+    } finally {
+        backend.destroy();
+    }
+});
+
+test('the software report says what it covers', async () => {
+    const report = await runSoftwareParity({ gridSize: 16 });
+
+    assert.match(formatParityReport(report), /packing, dispatch and readback only/);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runSoftwareParity, formatParityReport, PARITY_CASES } from '../classes/sdf/sdf_parity.js';
+import { OPERATIONS } from '../classes/sdf/sdf_operators.js';
+import { interpretWGSL } from './wgsl_interpreter.js';
+
+// The WGSL itself, run by an interpreter on the software device, against the CPU reference
+
+const circle = { type: 'circle', center: [-1, 0.5], radius: 2 };
+const box = { type: 'box', center: [1, -0.5], halfSize: [1.5, 1] };
+
+// Every operator, modifier and transform of sdf_node.js around simple shapes
+const NODE_CASES = [
+    ...Object.keys(OPERATIONS).map((type) => ({
+        label: type,
+        node: { type, blend: 0.6, children: [circle, box, { type: 'circle', center: [2, 2], radius: 1 }] }
+    })),
+    { label: 'morph', node: { type: 'morph', t: 0.3, children: [circle, box] } },
+    { label: 'offset', node: { type: 'offset', amount: 0.4, child: box } },
+    { label: 'onion', node: { type: 'onion', thickness: 0.25, child: circle } },
+    { label: 'translate', node: { type: 'translate', offset: [1.5, -2], child: box } },
+    { label: 'rotate', node: { type: 'rotate', angle: 0.7, child: box } },
+    { label: 'scale', node: { type: 'scale', factor: 1.8, child: box } },
+    { label: 'repeat', node: { type: 'repeat', period: [2.5, 0], child: { type: 'circle', center: [0, 0], radius: 0.8 } } },
+    {
+        // Grid points fall on cell boundaries (x = ±1.25, ±3.75): both sides must pick the same cell
+        label: 'repeatCount',
+        node: { type: 'repeat', period: [2.5, 2.5], count: [1, 2], child: { type: 'box', center: [0.3, 0], halfSize: [0.5, 0.4] } }
+    },
+    ...['x', 'y', 'xy'].map((axis) => ({
+        label: `mirror ${axis}`,
+        node: { type: 'mirror', axis, child: { type: 'capsule', a: [1, 1], b: [3, -2], radius: 0.5 } }
+    }))
+];
+
+// Every primitive compiled from a scene graph rather than packed
+const SHAPE_NODE_CASES = PARITY_CASES
+    .filter(({ shape }) => shape)
+    .map(({ label, shape }) => ({ label: `${label} node`, node: { type: 'union', children: [shape, shape] } }));
+
+function assertPasses(report) {
+    assert.equal(report.shaders, true);
+    assert.equal(report.passed, true, formatParityReport(report));
+    assert.ok(report.results.every((result) => !result.skipped));
+}
+
+test('the compute shader matches the CPU for every packed shape and the scene case', async () => {
+    assertPasses(await runSoftwareParity({ gridSize: 16, interpret: interpretWGSL }));
+});
+
+test('compiled scene graphs match the CPU for every operator, modifier and transform', async () => {
+    assertPasses(await runSoftwareParity({ gridSize: 16, cases: NODE_CASES, interpret: interpretWGSL }));
+});
+
+test('compiled scene graphs match the CPU for every primitive', async () => {
+    assertPasses(await runSoftwareParity({ gridSize: 16, cases: SHAPE_NODE_CASES, interpret: interpretWGSL }));
+});
+
+test('a changed constant in the WGSL fails the check', async () => {
+    const interpret = (code, entryPoint) => interpretWGSL(code.replace('return length(p) - radius;', 'return length(p) - radius * 1.01;'), entryPoint);
+    const report = await runSoftwareParity({ gridSize: 16, cases: PARITY_CASES.slice(0, 1), interpret });
+
+    assert.equal(report.passed, false);
+    assert.match(formatParityReport(report), /FAIL {2}circle/);
+});
@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSoftwareDevice, GPU_BUFFER_USAGE as Usage, GPU_MAP_MODE } from '../classes/gpu/software_device.js';
+
+// Kernel for the tests: doubles every float of binding 0 in place, one per invocation
+function double(bindings, workgroups) {
+    const values = new Float32Array(bindings[0][0]);
+    const count = Math.min(workgroups[0], values.length);
+    for (let k = 0; k < count; k++) values[k] *= 2;
+}
+
+function createDevice() {
+    return createSoftwareDevice({ kernels: { double } });
+}
+
+// Map a MAP_READ buffer and copy its floats out
+async function readFloats(buffer) {
+    await buffer.mapAsync(GPU_MAP_MODE.READ);
+    const values = new Float32Array(buffer.getMappedRange());
+    buffer.unmap();
+    return [...values];
+}
+
+test('createBuffer allocates zeroed memory with the descriptor', () => {
+    const device = createDevice();
+    const buffer = device.createBuffer({ size: 16, usage: Usage.STORAGE, label: 'values' });
+
+    assert.equal(buffer.size, 16);
+    assert.equal(buffer.label, 'values');
+    assert.equal(buffer.mapState, 'unmapped');
+    assert.deepEqual([...new Float32Array(buffer.data)], [0, 0, 0, 0]);
+    assert.equal(device.createBuffer({ size: 4, usage: Usage.MAP_WRITE, mappedAtCreation: true }).mapState, 'mapped');
+});
+
+test('writeBuffer copies typed arrays and ArrayBuffers with offsets', () => {
+    const device = createDevice();
+    const buffer = device.createBuffer({ size: 16, usage: Usage.COPY_DST });
+
+    device.queue.writeBuffer(buffer, 4, new Float32Array([1, 2, 3, 4]), 1, 2);
+    assert.deepEqual([...new Float32Array(buffer.data)], [0, 2, 3, 0]);
+
+    device.queue.writeBuffer(buffer, 12, new Float32Array([5]).buffer);
+    assert.deepEqual([...new Float32Array(buffer.data)], [0, 2, 3, 5]);
+});
+
+test('writeBuffer checks the usage flag and the size', () => {
+    const device = createDevice();
+    const storage = device.createBuffer({ size: 8, usage: Usage.STORAGE, label: 'storage' });
+    const small = device.createBuffer({ size: 8, usage: Usage.COPY_DST, label: 'small' });
+
+    assert.throws(() => device.queue.writeBuffer(storage, 0, new Float32Array(2)), /usage flag/);
+    assert.throws(() => device.queue.writeBuffer(small, 4, new Float32Array(2)), /don't fit/);
+});
+
+test('dispatch runs the entry point kernel on the bound buffers when submitted', () => {
+    const device = createDevice();
+    const buffer = device.createBuffer({ size: 16, usage: Usage.STORAGE | Usage.COPY_DST });
+    device.queue.writeBuffer(buffer, 0, new Float32Array([1, 2, 3, 4]));
+
+    const module = device.createShaderModule({ code: '' });
+    const pipeline = device.createComputePipeline({ layout: 'auto', compute: { module, entryPoint: 'double' } });
+    const bindGroup = device.createBindGroup({
+        layout: pipeline.getBindGroupLayout(0),
+        entries: [{ binding: 0, resource: { buffer } }]
+    });
+
+    const encoder = device.createCommandEncoder();
+    const pass = encoder.beginComputePass();
+    pass.setPipeline(pipeline);
+    pass.setBindGroup(0, bindGroup);
+    pass.dispatchWorkgroups(3);
+    pass.end();
+
+    // Nothing runs before submit
+    const commands = encoder.finish();
+    assert.deepEqual([...new Float32Array(buffer.data)], [1, 2, 3, 4]);
+
+    device.queue.submit([commands]);
+    assert.deepEqual([...new Float32Array(buffer.data)], [2, 4, 6, 4]);
+});
+
+test('createComputePipeline needs a kernel for the entry point', () => {
+    const device = createDevice();
+    const module = device.createShaderModule({ code: '' });
+
+    assert.throws(
+        () => device.createComputePipeline({ layout: 'auto', compute: { module, entryPoint: 'missing' } }),
+        /no kernel for entry point "missing"/
+    );
+});
+
+test('copyBufferToBuffer copies byte ranges when submitted', async () => {
+    const device = createDevice();
+    const source = device.createBuffer({ size: 16, usage: Usage.COPY_SRC | Usage.COPY_DST });
+    const staging = device.createBuffer({ size: 8, usage: Usage.MAP_READ | Usage.COPY_DST });
+    device.queue.writeBuffer(source, 0, new Float32Array([1, 2, 3, 4]));
+
+    const encoder = device.createCommandEncoder();
+    encoder.copyBufferToBuffer(source, 8, staging, 0, 8);
+    device.queue.submit([encoder.finish()]);
+
+    assert.deepEqual(await readFloats(staging), [3, 4]);
+});
+
+test('copyBufferToBuffer checks usage flags and bounds', () => {
+    const device = createDevice();
+    const storage = device.createBuffer({ size: 16, usage: Usage.STORAGE });
+    const source = device.createBuffer({ size: 16, usage: Usage.COPY_SRC });
+    const destination = device.createBuffer({ size: 8, usage: Usage.COPY_DST });
+    const encoder = device.createCommandEncoder();
+
+    assert.throws(() => encoder.copyBufferToBuffer(storage, 0, destination, 0, 8), /source.*usage flag/);
+    assert.throws(() => encoder.copyBufferToBuffer(source, 0, storage, 0, 8), /destination.*usage flag/);
+    assert.throws(() => encoder.copyBufferToBuffer(source, 0, destination, 4, 8), /past the end/);
+});
+
+test('mapAsync completes after the current task and getMappedRange copies the data', async () => {
+    const device = createDevice();
+    const buffer = device.createBuffer({ size: 8, usage: Usage.MAP_READ | Usage.COPY_DST });
+    new Float32Array(buffer.data).set([7, 8]);
+
+    const mapping = buffer.mapAsync(GPU_MAP_MODE.READ);
+    assert.equal(buffer.mapState, 'pending');
+    assert.throws(() => buffer.getMappedRange(), /not mapped/);
+
+    await mapping;
+    assert.equal(buffer.mapState, 'mapped');
+    assert.deepEqual([...new Float32Array(buffer.getMappedRange(4, 4))], [8]);
+
+    // A mapped buffer can't be written until it is unmapped
+    assert.throws(() => device.queue.writeBuffer(buffer, 0, new Float32Array(1)), /is mapped/);
+    buffer.unmap();
+    device.queue.writeBuffer(buffer, 0, new Float32Array([9]));
+    assert.deepEqual(await readFloats(buffer), [9, 8]);
+});
+
+test('mapAsync rejects without the usage flag or when the buffer is destroyed', async () => {
+    const device = createDevice();
+    const storage = device.createBuffer({ size: 8, usage: Usage.STORAGE, label: 'storage' });
+    const staging = device.createBuffer({ size: 8, usage: Usage.MAP_READ, label: 'staging' });
+
+    await assert.rejects(storage.mapAsync(GPU_MAP_MODE.READ), /usage flag/);
+
+    const mapping = staging.mapAsync(GPU_MAP_MODE.READ);
+    staging.destroy();
+    await assert.rejects(mapping, /destroyed while mapping/);
+});
+
+test('destroy resolves the lost promise with reason "destroyed"', async () => {
+    const device = createDevice();
+    device.destroy();
+
+    const info = await device.lost;
+    assert.equal(info.reason, 'destroyed');
+});
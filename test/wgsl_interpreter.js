@@ -0,0 +1,38 @@
+import { WgslExec, WgslParser } from 'wgsl_reflect/wgsl_reflect.module.js';
+
+// Runs WGSL compute shaders on the CPU for the software device, so tests can check the
+// shaders themselves against the JavaScript reference:
+//
+//   const backend = createSoftwareBackend({ interpret: interpretWGSL });
+
+// wgsl_reflect binds each parameter before evaluating the next argument, so a call like
+// sdSegment(p, a.xy, a.zw) into fn sdSegment(p, a, b) reads `a.zw` from the new `a`.
+// Evaluate every argument first, as WGSL does.
+class WgslExecutor extends WgslExec {
+    _evalCallValue(node, context) {
+        const fn = node.cachedReturnValue === null ? context.getFunction(node.name) : null;
+        if (!fn) return super._evalCallValue(node, context);
+
+        const callee = context.clone();
+        callee.currentFunctionName = node.name;
+        const values = node.args.map((arg) => this.evalExpression(arg, callee));
+        fn.node.args.forEach((arg, k) => callee.createVariable(arg.name, values[k], arg));
+        return this._execStatements(fn.node.body, callee);
+    }
+}
+
+/**
+ * Kernel for createSoftwareDevice's `interpret` option: executes `entryPoint` of `code`
+ * with the bound buffers
+ */
+export function interpretWGSL(code, entryPoint) {
+    const exec = new WgslExecutor(new WgslParser().parse(code));
+
+    return (bindings, workgroups) => {
+        const groups = {};
+        bindings.forEach((buffers, group) => {
+            groups[group] = Object.fromEntries(buffers.map((buffer, binding) => [binding, buffer]));
+        });
+        exec.dispatchWorkgroups(entryPoint, workgroups, groups);
+    };
+}
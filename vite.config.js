@@ -0,0 +1,14 @@
+import { defineConfig } from 'vite';
+
+// three's WebGPURenderer (loaded by classes/host/viewport.js) uses top-level await,
+// which needs an ES2022 target both for the build and for the dev server's dependency bundling
+export default defineConfig({
+    build: {
+        target: 'es2022'
+    },
+    optimizeDeps: {
+        esbuildOptions: {
+            target: 'es2022'
+        }
+    }
+});